@@ -0,0 +1,245 @@
+// main/annotation-overlay.js
+// Drawing surface of the annotation overlay: pen, highlighter, arrow, rectangle and text, with undo,
+// clear and optional fading. Main switches draw mode; outside it the window lets clicks through and
+// the annotations simply stay on screen (or fade away).
+(function () {
+  const COLORS = ['#ff3b30', '#ffcc00', '#34c759', '#0a84ff', '#ffffff'];
+  const WIDTH = { pen: 4, highlighter: 22, arrow: 4, rect: 4 };
+  const TOOL_KEYS = { p: 'pen', h: 'highlighter', a: 'arrow', r: 'rect', t: 'text' };
+  // with Fade on, a finished shape stays this long and then fades out
+  const FADE_DELAY_MS = 3000;
+  const FADE_MS = 1000;
+  const TEXT_FONT = '600 28px Inter, "Segoe UI", Roboto, system-ui, sans-serif';
+
+  const canvas = document.getElementById('board');
+  const ctx = canvas.getContext('2d');
+  const toolbar = document.getElementById('toolbar');
+  const fadeBox = document.getElementById('fade');
+
+  let tool = 'pen';
+  let color = COLORS[0];
+  let drawing = false;
+  let shapes = []; // { tool, color, width, points | from/to | at/text, doneAt }
+  let current = null;
+  let textEntry = null;
+  let frame = null;
+
+  function resize() {
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(innerWidth * dpr);
+    canvas.height = Math.round(innerHeight * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    render();
+  }
+
+  function alphaOf(shape, now) {
+    if (!shape.fadeAt) return 1;
+    return Math.max(0, Math.min(1, 1 - (now - shape.fadeAt) / FADE_MS));
+  }
+
+  function strokePath(points) {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+    if (points.length === 1) ctx.lineTo(points[0].x + 0.1, points[0].y);
+    ctx.stroke();
+  }
+
+  function drawArrow(from, to, width) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const head = Math.max(14, width * 4);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(to.x, to.y);
+    ctx.lineTo(to.x - head * Math.cos(angle - Math.PI / 7), to.y - head * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(to.x - head * Math.cos(angle + Math.PI / 7), to.y - head * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  function drawShape(shape, alpha) {
+    ctx.save();
+    ctx.globalAlpha = alpha * (shape.tool === 'highlighter' ? 0.35 : 1);
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = shape.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    if (shape.tool === 'pen' || shape.tool === 'highlighter') strokePath(shape.points);
+    else if (shape.tool === 'arrow') drawArrow(shape.from, shape.to, shape.width);
+    else if (shape.tool === 'rect') ctx.strokeRect(Math.min(shape.from.x, shape.to.x), Math.min(shape.from.y, shape.to.y), Math.abs(shape.to.x - shape.from.x), Math.abs(shape.to.y - shape.from.y));
+    else if (shape.tool === 'text') {
+      ctx.font = TEXT_FONT;
+      ctx.textBaseline = 'top';
+      // dark outline so the text reads on any background
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.strokeText(shape.text, shape.at.x, shape.at.y);
+      ctx.fillText(shape.text, shape.at.x, shape.at.y);
+    }
+    ctx.restore();
+  }
+
+  function render() {
+    const now = performance.now();
+    shapes = shapes.filter(s => alphaOf(s, now) > 0);
+    ctx.clearRect(0, 0, innerWidth, innerHeight);
+    shapes.forEach(s => drawShape(s, alphaOf(s, now)));
+    if (current) drawShape(current, 1);
+    // keep animating only while something is waiting to fade
+    if (shapes.some(s => s.fadeAt) && !frame) frame = requestAnimationFrame(() => { frame = null; render(); });
+  }
+
+  function finish(shape) {
+    if (fadeBox.checked) shape.fadeAt = performance.now() + FADE_DELAY_MS;
+    shapes.push(shape);
+    render();
+  }
+
+  function setTool(next) {
+    commitText();
+    tool = next;
+    document.body.classList.toggle('tool-text', tool === 'text');
+    toolbar.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('active', b.dataset.tool === tool));
+  }
+
+  function setColor(next) {
+    color = next;
+    toolbar.querySelectorAll('.swatch').forEach(b => b.classList.toggle('active', b.dataset.color === color));
+    if (textEntry) textEntry.style.color = color;
+  }
+
+  function undo() {
+    if (textEntry) { cancelText(); return; }
+    shapes.pop();
+    render();
+  }
+
+  function clear() {
+    cancelText();
+    shapes = [];
+    render();
+  }
+
+  /* ---------- text ---------- */
+
+  function startText(x, y) {
+    commitText();
+    const input = document.createElement('input');
+    input.className = 'text-entry';
+    input.style.left = x + 'px';
+    input.style.top = y + 'px';
+    input.style.color = color;
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') commitText();
+      else if (e.key === 'Escape') cancelText();
+    });
+    input.addEventListener('blur', commitText);
+    document.body.appendChild(input);
+    textEntry = input;
+    // the entry's own padding / border, so the committed text lands where it was typed
+    textEntry.dataset.x = x + 5;
+    textEntry.dataset.y = y + 3;
+    setTimeout(() => input.focus(), 0);
+  }
+
+  function commitText() {
+    if (!textEntry) return;
+    const input = textEntry;
+    textEntry = null;
+    const text = input.value.trim();
+    input.remove();
+    if (text) finish({ tool: 'text', color, text, at: { x: Number(input.dataset.x), y: Number(input.dataset.y) } });
+  }
+
+  function cancelText() {
+    if (!textEntry) return;
+    const input = textEntry;
+    textEntry = null;
+    input.remove();
+  }
+
+  /* ---------- pointer ---------- */
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!drawing || e.button !== 0) return;
+    const p = { x: e.clientX, y: e.clientY };
+    if (tool === 'text') { startText(p.x, p.y); return; }
+    commitText();
+    canvas.setPointerCapture(e.pointerId);
+    current = tool === 'pen' || tool === 'highlighter'
+      ? { tool, color, width: WIDTH[tool], points: [p] }
+      : { tool, color, width: WIDTH[tool], from: p, to: p };
+    render();
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!current) return;
+    const p = { x: e.clientX, y: e.clientY };
+    if (current.points) current.points.push(p);
+    else current.to = p;
+    render();
+  });
+
+  const endStroke = () => {
+    if (!current) return;
+    const shape = current;
+    current = null;
+    // a click without a drag leaves no empty arrow / rectangle behind
+    if (shape.from && Math.hypot(shape.to.x - shape.from.x, shape.to.y - shape.from.y) < 4) { render(); return; }
+    finish(shape);
+  };
+  canvas.addEventListener('pointerup', endStroke);
+  canvas.addEventListener('pointercancel', endStroke);
+
+  document.addEventListener('keydown', (e) => {
+    if (!drawing) return;
+    const key = e.key.toLowerCase();
+    if (e.key === 'Escape') window.annotationAPI.exitDrawMode();
+    else if ((e.ctrlKey || e.metaKey) && key === 'z') undo();
+    else if (e.ctrlKey || e.metaKey || e.altKey) return;
+    else if (key === 'c') clear();
+    else if (TOOL_KEYS[key]) setTool(TOOL_KEYS[key]);
+  });
+
+  /* ---------- toolbar ---------- */
+
+  const colors = document.getElementById('colors');
+  COLORS.forEach(c => {
+    const b = document.createElement('button');
+    b.className = 'swatch';
+    b.dataset.color = c;
+    b.title = c;
+    b.style.background = c;
+    b.addEventListener('click', () => setColor(c));
+    colors.appendChild(b);
+  });
+  toolbar.querySelectorAll('[data-tool]').forEach(b => b.addEventListener('click', () => setTool(b.dataset.tool)));
+  document.getElementById('undo').addEventListener('click', undo);
+  document.getElementById('clear').addEventListener('click', clear);
+  document.getElementById('done').addEventListener('click', () => window.annotationAPI.exitDrawMode());
+  // turning Fade on also lets what is already on screen fade
+  fadeBox.addEventListener('change', () => {
+    const now = performance.now();
+    shapes.forEach(s => { s.fadeAt = fadeBox.checked ? now + FADE_DELAY_MS : null; });
+    render();
+  });
+
+  window.annotationAPI.onMode(({ drawing: next }) => {
+    drawing = !!next;
+    document.body.classList.toggle('drawing', drawing);
+    if (!drawing) {
+      commitText();
+      endStroke();
+    }
+  });
+
+  window.addEventListener('resize', resize);
+  setTool('pen');
+  setColor(COLORS[0]);
+  resize();
+})();
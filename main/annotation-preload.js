@@ -0,0 +1,9 @@
+// main/annotation-preload.js
+// Preload for the annotation overlay: draw mode on / off from main, and a way to leave it.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('annotationAPI', {
+  // cb({ drawing }) whenever main switches draw mode
+  onMode: (cb) => ipcRenderer.on('annotation-mode', (event, mode) => cb(mode)),
+  exitDrawMode: () => ipcRenderer.send('annotation-exit')
+});
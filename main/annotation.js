@@ -0,0 +1,126 @@
+// main/annotation.js
+// On-screen drawing while recording: a transparent, always-on-top window over the recorded display
+// (annotation-overlay.html). It is an ordinary window, so what is drawn on it is part of the screen
+// capture. Outside draw mode it ignores the mouse and never takes focus, so clicks reach the apps
+// underneath. The window is only created the first time draw mode is switched on.
+const { BrowserWindow, screen } = require('electron');
+const path = require('path');
+const { on, S } = require('./ipc');
+
+let target = null; // { displayId, onModeChange } while a screen recording is running
+let overlay = null;
+let overlayReady = null;
+let drawing = false;
+
+function createOverlay(displayId) {
+  const display = screen.getAllDisplays().find(d => String(d.id) === String(displayId)) || screen.getPrimaryDisplay();
+  const { x, y, width, height } = display.bounds;
+  const win = new BrowserWindow({
+    x, y, width, height,
+    show: false,
+    frame: false,
+    transparent: true,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    focusable: false,
+    resizable: false,
+    movable: false,
+    fullscreenable: false,
+    hasShadow: false,
+    enableLargerThanScreen: true,
+    webPreferences: {
+      preload: path.join(__dirname, 'annotation-preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+      // fading strokes must keep animating while another app has focus
+      backgroundThrottling: false
+    }
+  });
+  win.setAlwaysOnTop(true, 'screen-saver');
+  win.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+  win.setIgnoreMouseEvents(true);
+  win.on('closed', () => {
+    if (overlay === win) {
+      overlay = null;
+      overlayReady = null;
+      if (drawing) notify(false);
+    }
+  });
+  overlay = win;
+  overlayReady = win.loadFile(path.join(__dirname, 'annotation-overlay.html'))
+    .then(() => { if (!win.isDestroyed()) win.showInactive(); });
+  return overlayReady;
+}
+
+function notify(next) {
+  drawing = next;
+  if (overlay && !overlay.isDestroyed()) overlay.webContents.send('annotation-mode', { drawing });
+  if (target && target.onModeChange) target.onModeChange(drawing);
+}
+
+/* Allow drawing over `displayId` until disarmOverlay(); onModeChange(drawing) follows draw mode. */
+function armOverlay(displayId, onModeChange) {
+  if (target && String(target.displayId) !== String(displayId)) closeOverlay();
+  target = { displayId, onModeChange };
+}
+
+// recording over: the overlay and everything drawn on it go away
+function disarmOverlay() {
+  closeOverlay();
+  target = null;
+}
+
+function closeOverlay() {
+  if (drawing) notify(false);
+  if (overlay && !overlay.isDestroyed()) overlay.close();
+  overlay = null;
+  overlayReady = null;
+}
+
+/* Switch draw mode; resolves the new state, or null when no recording has armed the overlay. */
+async function setDrawMode(next) {
+  if (!target) return null;
+  if (!next && !overlay) return false;
+  if (!overlay || overlay.isDestroyed()) {
+    try {
+      await createOverlay(target.displayId);
+    } catch (err) {
+      console.error('annotation overlay load failed', err);
+      closeOverlay();
+      return false;
+    }
+  } else {
+    await overlayReady;
+  }
+  const win = overlay;
+  if (!win || win.isDestroyed()) return false;
+  if (next) {
+    win.setIgnoreMouseEvents(false);
+    win.setFocusable(true);
+    win.focus();
+  } else {
+    win.setIgnoreMouseEvents(true);
+    win.blur();
+    win.setFocusable(false);
+  }
+  notify(next);
+  return next;
+}
+
+function toggleDrawMode() {
+  return setDrawMode(!drawing);
+}
+
+// Esc / Done in the overlay
+on('annotation-exit', S.none, (event) => {
+  if (!overlay || event.sender !== overlay.webContents) return;
+  setDrawMode(false);
+});
+
+module.exports = {
+  armOverlay,
+  disarmOverlay,
+  setDrawMode,
+  toggleDrawMode
+};
@@ -0,0 +1,291 @@
+// main/auth.js
+// Email sign-in codes (OTP) and the signed-in session. Everything lives in main: the renderer only
+// ever sees { email, expiresAt }, never a code, a hash or the session token.
+// Codes are stored as HMACs and compared in constant time; sends and guesses are rate limited.
+// The session is a token signed with a per-install secret (encrypted with safeStorage when the OS
+// offers it), so editing the store file by hand does not produce a valid sign-in.
+const { safeStorage } = require('electron');
+const crypto = require('crypto');
+const { IpcError, ERROR_CODES } = require('./ipc');
+
+const OTP_TTL_MS = Number(process.env.OTP_TTL_SECONDS || 300) * 1000;
+const OTP_DIGITS = 6;
+// wrong guesses before a code is thrown away
+const MAX_ATTEMPTS = 5;
+// one email address: a short cooldown between sends and a cap per window
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_EMAIL = 5;
+// the whole install (a desktop app has no client IP): a cap across all addresses
+const MAX_SENDS_TOTAL = 20;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const SESSION_TTL_MS = Number(process.env.AUTH_SESSION_DAYS || 30) * 24 * 60 * 60 * 1000;
+const TOKEN_VERSION = 'v1';
+
+let storePromise = null;
+let secretCache = null;
+
+async function getStore() {
+  if (!storePromise) {
+    storePromise = import('electron-store').then(({ default: Store }) => new Store({
+      name: 'auth',
+      // otps: { [email]: { hash, expiresAt, attempts } }, sends: [{ email, at }], session: token | null,
+      // marks: { [purpose]: { keys: [...], mac } } (see hasMark)
+      defaults: { secret: null, secretEncrypted: false, otps: {}, sends: [], session: null, marks: {} },
+      clearInvalidConfig: true
+    }));
+  }
+  return storePromise;
+}
+
+// the per-install signing key, created on first use
+async function getSecret() {
+  if (secretCache) return secretCache;
+  const store = await getStore();
+  const stored = store.get('secret');
+  if (stored) {
+    try {
+      const raw = Buffer.from(stored, 'base64');
+      secretCache = store.get('secretEncrypted') ? Buffer.from(safeStorage.decryptString(raw), 'base64') : raw;
+      return secretCache;
+    } catch (err) {
+      // a locked keychain usually comes back: replacing the secret would void every seal made with it
+      console.warn('auth secret unreadable', err.message);
+      throw new IpcError(ERROR_CODES.SECRET_UNAVAILABLE, 'The app\'s key could not be read from the system keychain. Unlock it and try again.');
+    }
+  }
+  const secret = crypto.randomBytes(32);
+  const encrypted = safeStorage.isEncryptionAvailable();
+  store.set('secret', encrypted ? safeStorage.encryptString(secret.toString('base64')).toString('base64') : secret.toString('base64'));
+  store.set('secretEncrypted', encrypted);
+  store.set('otps', {});
+  store.set('session', null);
+  secretCache = secret;
+  return secret;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function hmac(secret, text) {
+  return crypto.createHmac('sha256', secret).update(text).digest();
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function rateLimited(message, retryAfterMs) {
+  const secs = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return new IpcError(ERROR_CODES.RATE_LIMITED, `${message} Try again in ${secs < 120 ? secs + ' s' : Math.ceil(secs / 60) + ' min'}.`, { retryAfterMs });
+}
+
+/* ---------- codes ---------- */
+
+// checks the send limits, records the send and returns the plaintext code for the email
+// (only the HMAC is kept). Throws RATE_LIMITED.
+async function issueOtp(rawEmail, now = Date.now()) {
+  const email = normalizeEmail(rawEmail);
+  const secret = await getSecret();
+  const store = await getStore();
+  const sends = (store.get('sends') || []).filter(s => now - s.at < SEND_WINDOW_MS);
+  const mine = sends.filter(s => s.email === email);
+
+  const last = mine.length ? Math.max(...mine.map(s => s.at)) : 0;
+  if (now - last < RESEND_COOLDOWN_MS) throw rateLimited('A code was just sent.', RESEND_COOLDOWN_MS - (now - last));
+  if (mine.length >= MAX_SENDS_PER_EMAIL) {
+    throw rateLimited('Too many codes requested for this email.', Math.min(...mine.map(s => s.at)) + SEND_WINDOW_MS - now);
+  }
+  if (sends.length >= MAX_SENDS_TOTAL) {
+    throw rateLimited('Too many codes requested.', Math.min(...sends.map(s => s.at)) + SEND_WINDOW_MS - now);
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_DIGITS)).padStart(OTP_DIGITS, '0');
+  const otps = store.get('otps') || {};
+  otps[email] = { hash: hmac(secret, `otp:${email}:${code}`).toString('base64'), expiresAt: now + OTP_TTL_MS, attempts: 0 };
+  // drop other expired codes while we're here
+  for (const [k, v] of Object.entries(otps)) if (v.expiresAt <= now) delete otps[k];
+  store.set('otps', otps);
+  store.set('sends', [...sends, { email, at: now }]);
+  return { code, expiresAt: now + OTP_TTL_MS, ttlMs: OTP_TTL_MS };
+}
+
+// the email could not be delivered: the code is useless. The send still counts toward the limits
+// unless forgetSend (a temporary transport failure the user should be able to retry right away).
+async function revokeOtp(rawEmail, { forgetSend = false } = {}) {
+  const email = normalizeEmail(rawEmail);
+  const store = await getStore();
+  const otps = store.get('otps') || {};
+  delete otps[email];
+  store.set('otps', otps);
+  if (forgetSend) {
+    const sends = store.get('sends') || [];
+    const last = sends.map(s => s.email).lastIndexOf(email);
+    if (last >= 0) store.set('sends', sends.filter((s, i) => i !== last));
+  }
+}
+
+// checks a code; on success the code is consumed and a session starts. Throws UNAUTHORIZED / RATE_LIMITED.
+async function verifyOtp(rawEmail, code, now = Date.now()) {
+  const email = normalizeEmail(rawEmail);
+  const secret = await getSecret();
+  const store = await getStore();
+  const otps = store.get('otps') || {};
+  const rec = otps[email];
+  if (!rec) throw new IpcError(ERROR_CODES.UNAUTHORIZED, 'No code was requested for this email');
+  if (now > rec.expiresAt) {
+    delete otps[email];
+    store.set('otps', otps);
+    throw new IpcError(ERROR_CODES.UNAUTHORIZED, 'The code has expired; request a new one');
+  }
+
+  const given = hmac(secret, `otp:${email}:${String(code).trim()}`);
+  if (!safeEqual(given, Buffer.from(rec.hash, 'base64'))) {
+    rec.attempts += 1;
+    if (rec.attempts >= MAX_ATTEMPTS) {
+      delete otps[email];
+      store.set('otps', otps);
+      throw new IpcError(ERROR_CODES.RATE_LIMITED, 'Too many wrong codes; request a new one');
+    }
+    store.set('otps', otps);
+    const left = MAX_ATTEMPTS - rec.attempts;
+    throw new IpcError(ERROR_CODES.UNAUTHORIZED, `Invalid code (${left} attempt${left === 1 ? '' : 's'} left)`);
+  }
+
+  delete otps[email];
+  store.set('otps', otps);
+  return startSession(email, now);
+}
+
+/* ---------- sessions ---------- */
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function sign(secret, body) {
+  return b64url(hmac(secret, `session:${body}`));
+}
+
+async function startSession(email, now = Date.now()) {
+  const secret = await getSecret();
+  const payload = { sid: crypto.randomUUID(), email, iat: now, exp: now + SESSION_TTL_MS };
+  const body = `${TOKEN_VERSION}.${b64url(JSON.stringify(payload))}`;
+  (await getStore()).set('session', `${body}.${sign(secret, body)}`);
+  console.log('signed in', email);
+  return publicSession(payload);
+}
+
+function publicSession(payload) {
+  return payload ? { email: payload.email, expiresAt: payload.exp } : null;
+}
+
+// payload of the stored token if its signature and expiry check out, else null (and the token is dropped)
+async function readSession(now = Date.now()) {
+  const store = await getStore();
+  const token = store.get('session');
+  if (!token) return null;
+  const secret = await getSecret();
+  const parts = String(token).split('.');
+  let payload = null;
+  if (parts.length === 3 && parts[0] === TOKEN_VERSION) {
+    const body = `${parts[0]}.${parts[1]}`;
+    if (safeEqual(Buffer.from(parts[2]), Buffer.from(sign(secret, body)))) {
+      try { payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')); } catch { payload = null; }
+    }
+  }
+  if (!payload || typeof payload.email !== 'string' || !(payload.exp > now)) {
+    if (payload) console.log('session expired for', payload.email);
+    else console.warn('discarding invalid session token');
+    store.set('session', null);
+    return null;
+  }
+  return payload;
+}
+
+// { email, expiresAt } or null
+async function getSession() {
+  return publicSession(await readSession());
+}
+
+// the verified email, or null for guests
+async function currentEmail() {
+  const payload = await readSession();
+  return payload ? payload.email : null;
+}
+
+async function logout() {
+  (await getStore()).set('session', null);
+  console.log('signed out');
+}
+
+// short public id of a secret, so a seal says which secret made it
+function secretId(secret) {
+  return b64url(crypto.createHash('sha256').update(secret).digest()).slice(0, 8);
+}
+
+// "<secret id>.<HMAC of `text`>" under the install secret, for other main-process state that must not be hand-edited
+async function seal(purpose, text) {
+  const secret = await getSecret();
+  return `${secretId(secret)}.${b64url(hmac(secret, `${purpose}:${text}`))}`;
+}
+
+/*
+  'valid', 'invalid' (edited, or not a seal), or 'other-secret': sealed under a secret this install
+  no longer has (auth.json deleted or copied over), which says nothing about the state being edited.
+*/
+async function checkSeal(purpose, text, mac) {
+  if (typeof mac !== 'string') return 'invalid';
+  const secret = await getSecret();
+  const dot = mac.indexOf('.');
+  // seals from before the secret id was added are plain HMACs
+  if (dot !== -1 && mac.slice(0, dot) !== secretId(secret)) return 'other-secret';
+  const expected = b64url(hmac(secret, `${purpose}:${text}`));
+  return safeEqual(Buffer.from(mac.slice(dot + 1)), Buffer.from(expected)) ? 'valid' : 'invalid';
+}
+
+async function verifySeal(purpose, text, mac) {
+  return (await checkSeal(purpose, text, mac)) === 'valid';
+}
+
+/*
+  Sealed lists of keys kept here rather than next to the state they describe, so deleting that
+  state's own file can be told apart from never having had any (quota.js: accounts with a record).
+  A list that fails its check marks every key.
+*/
+async function readMarks(store, purpose) {
+  const entry = (store.get('marks') || {})[purpose];
+  if (!entry) return [];
+  const keys = Array.isArray(entry.keys) ? entry.keys : [];
+  // a list from an earlier secret is still the list of accounts that had a record
+  return (await checkSeal('marks', `${purpose}|${JSON.stringify(keys)}`, entry.mac)) === 'invalid' ? null : keys;
+}
+
+async function hasMark(purpose, key) {
+  const keys = await readMarks(await getStore(), purpose);
+  return keys === null || keys.includes(key);
+}
+
+async function addMark(purpose, key) {
+  const store = await getStore();
+  const keys = await readMarks(store, purpose);
+  if (keys === null || keys.includes(key)) return;
+  const next = [...keys, key];
+  const mac = await seal('marks', `${purpose}|${JSON.stringify(next)}`);
+  store.set('marks', { ...store.get('marks'), [purpose]: { keys: next, mac } });
+}
+
+module.exports = {
+  OTP_TTL_MS,
+  issueOtp,
+  revokeOtp,
+  verifyOtp,
+  getSession,
+  currentEmail,
+  logout,
+  seal,
+  checkSeal,
+  verifySeal,
+  hasMark,
+  addMark
+};
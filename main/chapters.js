@@ -0,0 +1,84 @@
+// main/chapters.js
+// Markers dropped while recording ({ timeMs, name }, time on the recording's own clock, pauses
+// excluded) and their export formats: WebVTT chapters for players and a plain timestamp list for
+// video descriptions.
+
+const MAX_MARKERS = 500;
+const MAX_NAME = 100;
+
+// sorted, de-duplicated by time, names trimmed (unnamed ones become "Chapter N"); beyond durationMs dropped
+function normalizeMarkers(markers, durationMs = null) {
+  if (!Array.isArray(markers)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const m of markers) {
+    const timeMs = Math.round(Number(m && m.timeMs));
+    if (!Number.isFinite(timeMs) || timeMs < 0 || seen.has(timeMs)) continue;
+    if (durationMs && timeMs > durationMs) continue;
+    seen.add(timeMs);
+    out.push({ timeMs, name: String((m && m.name) || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME) });
+  }
+  out.sort((a, b) => a.timeMs - b.timeMs);
+  return out.slice(0, MAX_MARKERS).map((m, i) => ({ ...m, name: m.name || `Chapter ${i + 1}` }));
+}
+
+// markers of a recording cut to [startMs, endMs], on the trimmed file's clock
+function trimMarkers(markers, startMs, endMs) {
+  return normalizeMarkers((markers || [])
+    .filter(m => m.timeMs >= startMs && m.timeMs < endMs)
+    .map(m => ({ ...m, timeMs: m.timeMs - startMs })));
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+// 00:01:02.345
+function vttTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor(total / 60000) % 60;
+  const s = Math.floor(total / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(total % 1000, 3)}`;
+}
+
+// 1:02 or 1:01:02, the form video sites pick up from descriptions
+function shortTime(ms, withHours) {
+  const total = Math.floor(Math.max(0, ms) / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = total % 60;
+  return withHours ? `${h}:${pad(m)}:${pad(s)}` : `${Math.floor(total / 60)}:${pad(s)}`;
+}
+
+/*
+  WebVTT chapters: each marker runs until the next one, the last until durationMs
+  (or one minute past it when the duration is unknown).
+*/
+function toWebVTT(markers, durationMs = null) {
+  const list = normalizeMarkers(markers, durationMs);
+  const cues = list.map((m, i) => {
+    const end = i + 1 < list.length ? list[i + 1].timeMs : Math.max(durationMs || 0, m.timeMs + 60000);
+    // "-->" inside a cue payload would end the cue early
+    return `${i + 1}\n${vttTime(m.timeMs)} --> ${vttTime(end)}\n${m.name.replace(/-->/g, '->')}`;
+  });
+  return ['WEBVTT', '', ...cues.map(c => c + '\n')].join('\n');
+}
+
+// "0:00 Intro" lines; a "0:00 Start" line is added when the first marker is later, as description chapters must begin at zero
+function toTimestampList(markers, durationMs = null) {
+  const list = normalizeMarkers(markers, durationMs);
+  if (!list.length) return '';
+  const withHours = Math.max(durationMs || 0, list[list.length - 1].timeMs) >= 3600000;
+  const lines = list.map(m => `${shortTime(m.timeMs, withHours)} ${m.name}`);
+  if (list[0].timeMs >= 1000) lines.unshift(`${shortTime(0, withHours)} Start`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  MAX_MARKERS,
+  normalizeMarkers,
+  trimMarkers,
+  toWebVTT,
+  toTimestampList
+};
@@ -0,0 +1,162 @@
+// main/exporter.js
+// Export / transcode recordings with a locally installed ffmpeg binary.
+// ffmpeg is looked up on PATH unless FFMPEG_PATH points at a specific binary.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const H264_AAC = ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '160k'];
+
+// `args` are used as-is; `scaledArgs` replace them when a downscale is requested (stream copy can't scale)
+const PRESETS = {
+  mp4: { label: 'MP4 (H.264 / AAC)', ext: '.mp4', video: true, args: [...H264_AAC, '-movflags', '+faststart'] },
+  mkv: { label: 'MKV (original streams)', ext: '.mkv', video: true, args: ['-c', 'copy'], scaledArgs: [...H264_AAC] },
+  mp3: { label: 'MP3 (audio only)', ext: '.mp3', video: false, args: ['-vn', '-c:a', 'libmp3lame', '-q:a', '2'] },
+  opus: { label: 'Opus (audio only)', ext: '.opus', video: false, args: ['-vn', '-c:a', 'libopus', '-b:a', '128k'] }
+};
+
+const HEIGHTS = [1080, 720, 480];
+
+// re-encode settings for trims that can't be stream-copied, by source video codec
+const TRIM_VIDEO_ARGS = {
+  V_VP8: ['-c:v', 'libvpx', '-deadline', 'good', '-cpu-used', '4', '-crf', '10', '-b:v', '12M'],
+  V_VP9: ['-c:v', 'libvpx-vp9', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1', '-crf', '31', '-b:v', '0']
+};
+
+// jobId -> { child, outputPath, cancelled }
+const JOBS = new Map();
+
+function ffmpegPath() {
+  return process.env.FFMPEG_PATH || 'ffmpeg';
+}
+
+function listPresets() {
+  return Object.entries(PRESETS).map(([id, p]) => ({ id, label: p.label, ext: p.ext, video: p.video }));
+}
+
+function buildArgs({ inputPath, outputPath, preset, height }) {
+  const p = PRESETS[preset];
+  const scale = p.video && height ? ['-vf', `scale=-2:min(ih\\,${height})`] : [];
+  const codec = scale.length && p.scaledArgs ? p.scaledArgs : p.args;
+  return ['-hide_banner', '-nostats', '-progress', 'pipe:1', '-y', '-i', inputPath, ...scale, ...codec, outputPath];
+}
+
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+/*
+  Cut [startMs, endMs) out of a WebM into a new WebM.
+  copy: stream copy (start must be on a video keyframe); otherwise video is re-encoded with
+  the source codec so the first frame is exact.
+*/
+function buildTrimArgs({ inputPath, outputPath, startMs, endMs, copy, videoCodec }) {
+  const range = ['-ss', seconds(startMs), '-i', inputPath, '-t', seconds(endMs - startMs), '-map', '0'];
+  const codec = copy
+    ? ['-c', 'copy', '-avoid_negative_ts', 'make_zero']
+    : [...(TRIM_VIDEO_ARGS[videoCodec] || TRIM_VIDEO_ARGS.V_VP8), '-c:a', 'libopus', '-b:a', '128k'];
+  return ['-hide_banner', '-nostats', '-progress', 'pipe:1', '-y', ...range, ...codec, '-f', 'webm', outputPath];
+}
+
+/*
+  Start an ffmpeg job. `onEvent` receives:
+    { type: 'progress', percent, outTimeMs }
+    { type: 'done', outputPath, size }
+    { type: 'error', error }
+    { type: 'cancelled' }
+  Returns the job id.
+*/
+function startExport({ inputPath, outputPath, preset, height = null, durationMs = null, onEvent }) {
+  if (!PRESETS[preset]) throw new Error('Unknown export preset: ' + preset);
+  if (height != null && !HEIGHTS.includes(height)) throw new Error('Unsupported export height: ' + height);
+  return runJob(buildArgs({ inputPath, outputPath, preset, height }), { outputPath, durationMs, onEvent });
+}
+
+// same events as startExport; progress is relative to the trimmed length
+function startTrim({ inputPath, outputPath, startMs, endMs, copy, videoCodec = null, onEvent }) {
+  if (!(startMs >= 0) || !(endMs > startMs)) throw new Error('Invalid trim range');
+  const args = buildTrimArgs({ inputPath, outputPath, startMs, endMs, copy, videoCodec });
+  return runJob(args, { outputPath, durationMs: endMs - startMs, onEvent });
+}
+
+function runJob(args, { outputPath, durationMs, onEvent }) {
+  const jobId = crypto.randomUUID();
+  console.log('ffmpeg start', jobId, ffmpegPath(), args.join(' '));
+
+  const child = spawn(ffmpegPath(), args, { windowsHide: true });
+  const job = { child, outputPath, cancelled: false };
+  JOBS.set(jobId, job);
+
+  let stdoutTail = '';
+  const stderrLines = [];
+  let finished = false;
+
+  const finish = (evt) => {
+    if (finished) return;
+    finished = true;
+    JOBS.delete(jobId);
+    onEvent(evt);
+  };
+
+  child.stdout.on('data', data => {
+    // -progress emits key=value lines in blocks; out_time_us is the encoded position
+    stdoutTail += data.toString();
+    const lines = stdoutTail.split(/\r?\n/);
+    stdoutTail = lines.pop();
+    for (const line of lines) {
+      const [key, value] = line.split('=');
+      if (key !== 'out_time_us' && key !== 'out_time_ms') continue;
+      const outTimeMs = Number(value) / 1000;
+      if (!Number.isFinite(outTimeMs) || outTimeMs < 0) continue;
+      const percent = durationMs ? Math.min(100, (outTimeMs / durationMs) * 100) : null;
+      onEvent({ type: 'progress', percent, outTimeMs });
+    }
+  });
+
+  child.stderr.on('data', data => {
+    stderrLines.push(...data.toString().split(/\r?\n/).filter(Boolean));
+    if (stderrLines.length > 20) stderrLines.splice(0, stderrLines.length - 20);
+  });
+
+  child.on('error', err => {
+    const error = err.code === 'ENOENT'
+      ? 'ffmpeg not found — install ffmpeg or set FFMPEG_PATH'
+      : (err.message || String(err));
+    finish({ type: 'error', error });
+  });
+
+  child.on('close', async (code) => {
+    if (job.cancelled || code !== 0) {
+      await fs.promises.rm(outputPath, { force: true }).catch(() => {});
+      if (job.cancelled) return finish({ type: 'cancelled' });
+      return finish({ type: 'error', error: `ffmpeg exited with code ${code}: ${stderrLines.slice(-3).join(' | ')}` });
+    }
+    let size = null;
+    try { size = (await fs.promises.stat(outputPath)).size; } catch (e) { console.warn('export stat failed', e); }
+    finish({ type: 'done', outputPath, size });
+  });
+
+  return jobId;
+}
+
+function cancelExport(jobId) {
+  const job = JOBS.get(jobId);
+  if (!job) return false;
+  job.cancelled = true;
+  job.child.kill();
+  return true;
+}
+
+function cancelAllExports() {
+  for (const jobId of JOBS.keys()) cancelExport(jobId);
+}
+
+module.exports = {
+  PRESETS,
+  HEIGHTS,
+  listPresets,
+  startExport,
+  startTrim,
+  cancelExport,
+  cancelAllExports
+};
@@ -1,10 +1,56 @@
 // main/index.js
 require('dotenv').config(); // load .env in main process
-const { app, BrowserWindow, ipcMain, desktopCapturer, shell } = require('electron');
+const { app, BrowserWindow, desktopCapturer, shell, screen, dialog, session } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const webm = require('./webm');
+const exporter = require('./exporter');
+const settings = require('./settings');
+const library = require('./library');
+const thumbnailer = require('./thumbnailer');
+const shortcuts = require('./shortcuts');
+const scheduler = require('./scheduler');
+const auth = require('./auth');
+const quota = require('./quota');
+const mailer = require('./mailer');
+const mailTemplates = require('./mail-templates');
+const inputTracker = require('./input-tracker');
+const annotation = require('./annotation');
+const chapters = require('./chapters');
+const { handle, on, IpcError, ERROR_CODES, S } = require('./ipc');
+const { createTray } = require('./tray');
 
-console.log('MAIN starting, env BREVO_FROM_EMAIL present?', !!process.env.BREVO_FROM_EMAIL);
+console.log('MAIN starting');
+
+let mainWindow = null;
+let tray = null;
+
+// The packaged renderer carries its CSP as a <meta> tag (renderer/vite.config.js). The Vite dev
+// server needs inline scripts (React refresh preamble) and its HMR websocket, so it gets a header instead.
+let devCspApplied = false;
+function applyDevContentSecurityPolicy(devUrl) {
+  if (devCspApplied) return;
+  devCspApplied = true;
+  const origin = new URL(devUrl).origin;
+  const ws = origin.replace(/^http/, 'ws');
+  const csp = [
+    "default-src 'self'",
+    "script-src 'self' 'unsafe-inline'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob: file:",
+    "media-src 'self' blob: file: mediastream:",
+    "font-src 'self' data:",
+    `connect-src 'self' blob: data: ${ws}`,
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'none'"
+  ].join('; ');
+  session.defaultSession.webRequest.onHeadersReceived({ urls: [origin + '/*'] }, (details, callback) => {
+    callback({ responseHeaders: { ...details.responseHeaders, 'Content-Security-Policy': [csp] } });
+  });
+}
 
 function createWindow() {
   const win = new BrowserWindow({
@@ -14,9 +60,11 @@ function createWindow() {
       preload: path.join(__dirname, 'preload.js'),
       contextIsolation: true,
       nodeIntegration: false,
-      sandbox: false,
+      sandbox: true,
       webviewTag: false,
-      enableRemoteModule: false
+      enableRemoteModule: false,
+      // keep recording timers (canvas compositor, chunk flushes) running while the window is hidden
+      backgroundThrottling: false
     }
   });
 
@@ -24,6 +72,7 @@ function createWindow() {
   console.log('createWindow devUrl:', devUrl);
 
   if (devUrl) {
+    applyDevContentSecurityPolicy(devUrl);
     win.loadURL(devUrl)
       .then(() => console.log('Loaded dev URL:', devUrl))
       .catch(err => {
@@ -37,234 +86,1215 @@ function createWindow() {
     const filePath = path.join(__dirname, '../renderer/dist/index.html');
     win.loadFile(filePath).catch(err => console.error('loadFile error:', err));
   }
+
+  // a reloaded or crashed renderer can't finish its sessions; close them so the .part files become recoverable
+  const contentsId = win.webContents.id;
+  win.webContents.on('did-start-loading', () => {
+    rendererReady = false;
+    releaseSessions(contentsId);
+    inputTracker.stopTracking();
+    annotation.disarmOverlay();
+  });
+  win.webContents.on('render-process-gone', (event, details) => {
+    console.warn('renderer gone:', details && details.reason);
+    releaseSessions(contentsId);
+    inputTracker.stopTracking();
+    annotation.disarmOverlay();
+  });
+  win.on('closed', () => {
+    releaseSessions(contentsId);
+    inputTracker.stopTracking();
+    annotation.disarmOverlay();
+    // the hidden thumbnail worker must not keep the app alive on its own
+    thumbnailer.closeThumbnailWorker();
+    if (mainWindow === win) mainWindow = null;
+  });
+  mainWindow = win;
 }
 
-app.whenReady().then(createWindow);
+function showMainWindow() {
+  if (!mainWindow) return createWindow();
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+app.whenReady().then(() => {
+  createWindow();
+  tray = createTray({ onAction: sendRecorderCommand, onShow: showMainWindow, onQuit: () => app.quit() });
+  settings.getSettings()
+    .then(s => applyShortcuts(s.shortcuts))
+    .catch(err => console.warn('shortcut setup failed', err));
+  scheduler.initScheduler({
+    startRun: job => sendRecorderCommand('scheduled-start', { job }),
+    stopRun: (job, reason) => sendRecorderCommand('stop', { reason }),
+    onChange: state => { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('schedule-changed', state); }
+  });
+  findInterruptedRecordings()
+    .then(found => { if (found.length) console.log('interrupted recordings found:', found.map(f => f.name)); })
+    .catch(err => console.warn('interrupted recordings scan failed', err));
+});
 
 /* ===========================
    File save / desktop capture
    =========================== */
 
-// Robust save-video handler (accepts ArrayBuffer / TypedArray / Buffer / base64 / structured clone)
-ipcMain.handle('save-video', async (event, { buffer, filename }) => {
-  try {
-    if (!filename || typeof filename !== 'string') throw new Error('Invalid filename');
-
-    const videosPath = app.getPath('videos') || app.getPath('home');
-    await fs.promises.mkdir(videosPath, { recursive: true });
-    const filePath = path.join(videosPath, filename);
-    console.log('save-video ->', filePath);
-
-    let dataBuffer;
-
-    if (Buffer.isBuffer(buffer)) {
-      dataBuffer = buffer;
-    } else if (buffer instanceof ArrayBuffer) {
-      dataBuffer = Buffer.from(new Uint8Array(buffer));
-    } else if (ArrayBuffer.isView(buffer)) {
-      dataBuffer = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
-    } else if (buffer && typeof buffer === 'object' && (Array.isArray(buffer.data) || buffer.data instanceof ArrayBuffer || ArrayBuffer.isView(buffer.data))) {
-      if (Array.isArray(buffer.data)) dataBuffer = Buffer.from(buffer.data);
-      else if (buffer.data instanceof ArrayBuffer) dataBuffer = Buffer.from(new Uint8Array(buffer.data));
-      else if (ArrayBuffer.isView(buffer.data)) {
-        const v = buffer.data;
-        dataBuffer = Buffer.from(v.buffer, v.byteOffset, v.byteLength);
-      } else dataBuffer = Buffer.from(String(buffer.data));
-    } else if (typeof buffer === 'string') {
-      if (buffer.startsWith('data:')) {
-        const comma = buffer.indexOf(',');
-        const base64 = buffer.slice(comma + 1);
-        dataBuffer = Buffer.from(base64, 'base64');
-      } else {
-        try { dataBuffer = Buffer.from(buffer, 'base64'); }
-        catch { dataBuffer = Buffer.from(buffer); }
-      }
-    } else {
-      try {
-        const maybeArr = buffer && buffer.data ? buffer.data : buffer;
-        dataBuffer = Buffer.from(new Uint8Array(maybeArr));
-      } catch (err) {
-        console.warn('save-video: fallback stringify', err);
-        dataBuffer = Buffer.from(JSON.stringify(buffer || ''));
-      }
-    }
+// payload shapes shared by several channels (see ipc.js)
+const RECORDING_NAME = S.string(255, { minLength: 6, pattern: /\.webm$/i });
+// capture details for the library index; flat strings / numbers only
+const CAPTURE_META = { type: 'object', additionalProperties: { type: ['string', 'number', 'null'], maxLength: 500 } };
+const PATH_LIST = { type: 'array', minItems: 1, maxItems: 1000, items: S.path };
+const EMAIL = S.string(254, { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ });
+// chapter markers, times in ms on the recording's clock (chapters.js)
+const MARKERS = { type: 'array', maxItems: chapters.MAX_MARKERS, items: S.object({ timeMs: { type: 'number', minimum: 0 }, name: S.optional(S.string(200)) }, ['timeMs']) };
 
-    await fs.promises.writeFile(filePath, dataBuffer);
-    console.log('Saved', filePath, 'size=', dataBuffer.length);
-    return { success: true, path: filePath, size: dataBuffer.length };
+function isInside(folder, full) {
+  const rel = path.relative(folder, full);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// where a new recording called `filename` goes: a plain file name, directly in the recordings folder
+async function recordingTarget(filename) {
+  if (path.basename(filename) !== filename || /[<>:"/\\|?*\u0000-\u001f]/.test(filename) || filename.startsWith('.')) {
+    throw new IpcError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid filename');
+  }
+  const videosPath = path.resolve(await settings.recordingsDir());
+  const full = path.join(videosPath, filename);
+  if (path.dirname(full) !== videosPath) throw new IpcError(ERROR_CODES.OUTSIDE_RECORDINGS, 'Path is outside the recordings folder');
+  await fs.promises.mkdir(videosPath, { recursive: true });
+  return full;
+}
+
+// Normalize whatever the renderer sent (ArrayBuffer / TypedArray / Buffer / base64 / structured clone) into a Buffer
+function toBuffer(buffer) {
+  if (Buffer.isBuffer(buffer)) return buffer;
+  if (buffer instanceof ArrayBuffer) return Buffer.from(new Uint8Array(buffer));
+  if (ArrayBuffer.isView(buffer)) return Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  if (buffer && typeof buffer === 'object' && (Array.isArray(buffer.data) || buffer.data instanceof ArrayBuffer || ArrayBuffer.isView(buffer.data))) {
+    if (Array.isArray(buffer.data)) return Buffer.from(buffer.data);
+    if (buffer.data instanceof ArrayBuffer) return Buffer.from(new Uint8Array(buffer.data));
+    const v = buffer.data;
+    return Buffer.from(v.buffer, v.byteOffset, v.byteLength);
+  }
+  if (typeof buffer === 'string') {
+    if (buffer.startsWith('data:')) {
+      const comma = buffer.indexOf(',');
+      const base64 = buffer.slice(comma + 1);
+      return Buffer.from(base64, 'base64');
+    }
+    try { return Buffer.from(buffer, 'base64'); }
+    catch { return Buffer.from(buffer); }
+  }
+  try {
+    const maybeArr = buffer && buffer.data ? buffer.data : buffer;
+    return Buffer.from(new Uint8Array(maybeArr));
   } catch (err) {
-    console.error('save-video error:', err);
-    return { success: false, error: (err && err.message) || String(err) };
+    console.warn('toBuffer: fallback stringify', err);
+    return Buffer.from(JSON.stringify(buffer || ''));
   }
-});
+}
 
-// Provide desktop sources via main (desktopCapturer available here)
-ipcMain.handle('desktop-get-sources', async (event, opts = { types: ['screen', 'window'] }) => {
+// Write Duration + Cues into a saved WebM so players can show its length and seek.
+// Failure is not fatal: the file stays exactly as recorded.
+async function finalizeSavedRecording(filePath) {
   try {
-    const sources = await desktopCapturer.getSources(opts);
-    const mapped = sources.map(s => ({
-      id: s.id,
-      name: s.name,
-      thumbnail: s.thumbnail ? s.thumbnail.toDataURL() : null
-    }));
-    return { success: true, sources: mapped };
+    const res = await webm.finalizeWebm(filePath);
+    const { size } = await fs.promises.stat(filePath);
+    console.log('finalizeWebm', filePath, res, 'size=', size);
+    return { durationMs: res.durationMs, size };
   } catch (err) {
-    console.error('desktop-get-sources error', err);
-    return { success: false, error: err.message || String(err) };
+    console.warn('finalizeWebm failed for', filePath, err);
+    return { durationMs: null, size: null };
   }
-});
+}
 
-// Recordings helpers (list, open folder, reveal file)
-ipcMain.handle('list-recordings', async () => {
+// Add a finished recording to the library index. Failure is logged, never fatal:
+// the next list-recordings sync picks the file up anyway (without capture metadata).
+async function indexSavedRecording(filePath, meta, markers = []) {
   try {
-    const videosPath = app.getPath('videos');
-    const files = await fs.promises.readdir(videosPath);
-    const webmFiles = [];
-    for (const f of files) {
-      if (!f.toLowerCase().endsWith('.webm')) continue;
-      const full = path.join(videosPath, f);
-      try {
-        const stat = await fs.promises.stat(full);
-        webmFiles.push({ name: f, path: full, size: stat.size, mtimeMs: stat.mtimeMs });
-      } catch (e) {}
-    }
-    webmFiles.sort((a,b)=>b.mtimeMs-a.mtimeMs);
-    return { success: true, files: webmFiles, folder: videosPath };
+    await library.addRecording(filePath, meta, markers);
   } catch (err) {
-    console.error('list-recordings error', err);
-    return { success: false, error: err.message || String(err) };
+    console.warn('library index update failed for', filePath, err);
   }
-});
+}
+
+// the account a recording belongs to comes from the verified session, not from the renderer
+async function withAccount(meta) {
+  return { ...meta, accountEmail: (await auth.currentEmail()) || '' };
+}
+
+// Robust save-video handler (whole file in one IPC call; kept for the browser-style fallback path)
+handle('save-video', S.object({ buffer: { type: 'binary' }, filename: RECORDING_NAME, meta: S.optional(CAPTURE_META), markers: S.optional(MARKERS) }, ['buffer', 'filename']), async (event, { buffer, filename, meta, markers }) => {
+  const filePath = await recordingTarget(filename);
+  const fullMeta = await withAccount(meta);
+  sendQuotaChanged(await quota.consume(fullMeta.accountEmail || null));
+  console.log('save-video ->', filePath);
+
+  const dataBuffer = toBuffer(buffer);
 
-ipcMain.handle('open-recordings-folder', async () => {
   try {
-    const videosPath = app.getPath('videos');
-    const res = await shell.openPath(videosPath);
-    if (res) throw new Error(res);
-    return { success: true, folder: videosPath };
+    await fs.promises.writeFile(filePath, dataBuffer);
   } catch (err) {
-    console.error('open-recordings-folder error', err);
-    return { success: false, error: err.message || String(err) };
+    sendQuotaChanged(await quota.refund(fullMeta.accountEmail || null));
+    throw err;
   }
+  console.log('Saved', filePath, 'size=', dataBuffer.length);
+  const fin = await finalizeSavedRecording(filePath);
+  await indexSavedRecording(filePath, fullMeta, markers);
+  return { success: true, path: filePath, size: fin.size || dataBuffer.length, durationMs: fin.durationMs };
 });
 
-ipcMain.handle('reveal-recording', async (event, fullPath) => {
+/* ===========================
+   Chunked recording sessions
+   =========================== */
+
+// Chunks are appended to `<name>.part` in the recordings folder while recording,
+// then renamed to the final name on finalize (same folder -> atomic rename).
+const PART_EXT = '.part';
+
+// sessionId -> { owner, handle, tempPath, finalPath, meta, charged, segment, parent, sides, continued, bytes, chunks, queue }
+// segment: { group, index } of a part of a segmented recording; parent: the session a side track or
+// next part belongs to; sides: kinds of separate tracks opened for it; continued: its next part is open
+const RECORDING_SESSIONS = new Map();
+
+function getSession(sessionId) {
+  const session = RECORDING_SESSIONS.get(sessionId);
+  if (!session) throw new Error('Unknown recording session');
+  return session;
+}
+
+// appends must land in arrival order, so every write for a session runs on one promise chain
+function enqueue(session, task) {
+  const run = session.queue.then(task);
+  session.queue = run.catch(() => {});
+  return run;
+}
+
+// drop (but keep on disk) every open session belonging to a renderer
+function releaseSessions(ownerId) {
+  for (const [sessionId, session] of RECORDING_SESSIONS) {
+    if (session.owner !== ownerId) continue;
+    RECORDING_SESSIONS.delete(sessionId);
+    session.queue
+      .then(() => session.handle.close())
+      .then(() => console.log('recording session released ->', session.tempPath))
+      .catch(err => console.warn('releaseSessions close failed', err));
+  }
+}
+
+// "<group>_part002.webm", as the renderer names parts
+function segmentPath(dir, group, index) {
+  return path.join(dir, `${group}_part${String(index).padStart(3, '0')}.webm`);
+}
+
+/*
+  What a new file is, decided from the sessions this renderer really has open (never from the
+  renderer's meta, which could claim anything to skip the allowance):
+    { side: { parent, kind } }      <name>.<kind>.webm next to an open recording without that track yet
+    { next: { parent, segment } }   the next part of an open segmented recording not yet continued
+    {}                              a recording of its own, which is charged
+*/
+function relationOf(owner, finalPath, meta) {
+  for (const s of RECORDING_SESSIONS.values()) {
+    if (s.owner !== owner || s.meta.sideOf) continue;
+    const kind = library.SIDE_TRACK_KINDS.find(k => library.sideTrackPath(s.finalPath, k) === finalPath);
+    if (kind) return s.sides.has(kind) ? {} : { side: { parent: s, kind } };
+    if (s.segment && !s.continued && meta.segmentGroup === s.segment.group
+      && segmentPath(path.dirname(s.finalPath), s.segment.group, s.segment.index + 1) === finalPath) {
+      return { next: { parent: s, segment: { group: s.segment.group, index: s.segment.index + 1 } } };
+    }
+  }
+  return {};
+}
+
+// an aborted side track / next part frees its slot on the recording it belonged to
+function releaseClaim(session) {
+  if (!session.parent) return;
+  if (session.meta.sideOf) session.parent.sides.delete(session.meta.kind);
+  else session.parent.continued = false;
+}
+
+// meta: capture details for the library index ({ sourceName, mode, micLabel }; accountEmail is set here)
+handle('recording-open', S.object({ filename: RECORDING_NAME, meta: S.optional(CAPTURE_META) }, ['filename']), async (event, { filename, meta }) => {
+  const finalPath = await recordingTarget(filename);
+  const tempPath = finalPath + PART_EXT;
+  // the relation fields the renderer sent are only a request; relationOf decides
+  const { sideOf, kind, segmentIndex, ...captured } = await withAccount(meta);
+  const owner = event.sender.id;
+
+  // side tracks and later segments belong to a recording that is already open (and already counted)
+  const { side, next } = relationOf(owner, finalPath, captured);
+  if (sideOf && !side) throw new IpcError(ERROR_CODES.INVALID_ARGUMENT, 'Separate tracks need their recording to be open');
+  let fullMeta = captured;
+  let segment = null;
+  let charged = null;
+  // claimed right away, so two concurrent opens can't both become the same track / part
+  if (side) side.parent.sides.add(side.kind);
+  if (next) next.parent.continued = true;
+  const unclaim = () => {
+    if (side) side.parent.sides.delete(side.kind);
+    if (next) next.parent.continued = false;
+  };
+  if (side) {
+    fullMeta = { ...captured, sideOf: path.basename(side.parent.finalPath), kind: side.kind };
+  } else if (next) {
+    segment = next.segment;
+    fullMeta = { ...captured, segmentIndex: segment.index };
+  } else {
+    // a first part starts a series only under its own name
+    if (captured.segmentGroup && segmentIndex === 1 && segmentPath(path.dirname(finalPath), captured.segmentGroup, 1) === finalPath) {
+      segment = { group: captured.segmentGroup, index: 1 };
+      fullMeta = { ...captured, segmentIndex: 1 };
+    } else {
+      delete fullMeta.segmentGroup;
+    }
+    charged = { email: fullMeta.accountEmail || null };
+    sendQuotaChanged(await quota.consume(charged.email));
+  }
+
+  let handle;
   try {
-    shell.showItemInFolder(fullPath);
-    return { success: true };
+    handle = await fs.promises.open(tempPath, 'w');
   } catch (err) {
-    console.error('reveal-recording error', err);
-    return { success: false, error: err.message || String(err) };
+    unclaim();
+    if (charged) sendQuotaChanged(await quota.refund(charged.email));
+    throw err;
   }
+  const sessionId = crypto.randomUUID();
+  RECORDING_SESSIONS.set(sessionId, {
+    owner, handle, tempPath, finalPath, meta: fullMeta, charged, segment,
+    parent: side ? side.parent : next ? next.parent : null,
+    sides: new Set(), continued: false, bytes: 0, chunks: 0, queue: Promise.resolve()
+  });
+  console.log('recording-open ->', tempPath);
+  return { success: true, sessionId, tempPath };
 });
 
-/* ===================================
-   OTP sending / verification (Brevo)
-   =================================== */
+handle('recording-append', S.object({ sessionId: S.id, chunk: { type: 'binary' } }, ['sessionId', 'chunk']), async (event, { sessionId, chunk }) => {
+  const session = getSession(sessionId);
+  const data = toBuffer(chunk);
+  await enqueue(session, async () => {
+    await session.handle.write(data, 0, data.length);
+    session.bytes += data.length;
+    session.chunks += 1;
+  });
+  if (session.meta.scheduleId) scheduler.noteRecordingBytes(session.meta.scheduleId, sessionId, session.bytes);
+  return { success: true, size: session.bytes };
+});
 
-// configuration from env
-const BREVO_API_KEY = process.env.BREVO_API_KEY || process.env.APIKEY || process.env.BREVO_KEY;
-const BREVO_FROM_EMAIL = process.env.BREVO_FROM_EMAIL || process.env.BREVO_FROM || 'no-reply@example.com';
-const BREVO_FROM_NAME = process.env.BREVO_FROM_NAME || 'XigRecorder';
-const OTP_TTL = Number(process.env.OTP_TTL_SECONDS || 300); // seconds
+// markers: the chapter markers dropped while this file was being recorded
+handle('recording-finalize', S.object({ sessionId: S.id, markers: S.optional(MARKERS) }, ['sessionId']), async (event, { sessionId, markers }) => {
+  const session = getSession(sessionId);
+  RECORDING_SESSIONS.delete(sessionId);
+  await session.queue;
+  await session.handle.sync();
+  await session.handle.close();
+  await fs.promises.rename(session.tempPath, session.finalPath);
+  console.log('Saved', session.finalPath, 'size=', session.bytes, 'chunks=', session.chunks);
+  const fin = await finalizeSavedRecording(session.finalPath);
+  // separate audio tracks (meta.sideOf) are listed with their recording, not indexed on their own
+  if (!session.meta.sideOf) await indexSavedRecording(session.finalPath, session.meta, markers);
+  return { success: true, path: session.finalPath, size: fin.size || session.bytes, durationMs: fin.durationMs };
+});
+
+handle('recording-abort', S.object({ sessionId: S.id }, ['sessionId']), async (event, { sessionId }) => {
+  const session = getSession(sessionId);
+  RECORDING_SESSIONS.delete(sessionId);
+  releaseClaim(session);
+  await session.queue;
+  try { await session.handle.close(); } catch (e) { console.warn('recording-abort close failed', e); }
+  await fs.promises.rm(session.tempPath, { force: true });
+  console.log('recording-abort ->', session.tempPath);
+  // nothing was kept, so the recording doesn't count
+  if (session.charged) sendQuotaChanged(await quota.refund(session.charged.email));
+  return { success: true };
+});
+
+// Provide desktop sources via main (desktopCapturer available here)
+handle('desktop-get-sources', S.optional(S.object({ types: { type: 'array', minItems: 1, items: { enum: ['screen', 'window'] } } })), async (event, opts = { types: ['screen', 'window'] }) => {
+  const sources = await desktopCapturer.getSources(opts);
+  const mapped = sources.map(s => ({
+    id: s.id,
+    name: s.name,
+    displayId: s.display_id || null,
+    thumbnail: s.thumbnail ? s.thumbnail.toDataURL() : null
+  }));
+  return { success: true, sources: mapped };
+});
 
-if (!BREVO_API_KEY) {
-  console.warn('BREVO_API_KEY not found in env. OTP emailing will fail until set.');
+/* ===========================
+   Recorder remote control (global shortcuts + tray)
+   =========================== */
+
+// recording state lives in the renderer: main only forwards commands and mirrors state
+function sendRecorderCommand(action, extra = {}) {
+  // scheduled starts must not get lost while the window is closed or (re)loading
+  if (action === 'scheduled-start' && (!mainWindow || mainWindow.isDestroyed() || !rendererReady)) {
+    pendingScheduledStart = extra;
+    if (!mainWindow || mainWindow.isDestroyed()) createWindow();
+    return;
+  }
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  console.log('recorder-command', action);
+  mainWindow.webContents.send('recorder-command', { action, ...extra });
 }
 
-// in-memory OTP map: email -> { code, expiresAt }
-const OTP_STORE = new Map();
+// the renderer has mounted once it reports its first state after a (re)load
+let rendererReady = false;
+let pendingScheduledStart = null;
 
-// helper to generate 6-digit OTP
-function genOtp() {
-  return String(Math.floor(100000 + Math.random() * 900000));
+// draw mode is switched here; every other action is the renderer's
+function onShortcut(action) {
+  if (action === 'annotate') annotation.toggleDrawMode();
+  else sendRecorderCommand(action);
 }
 
-// helper to send via Brevo using fetch (node v18+ has global fetch, else try node-fetch)
-async function sendBrevoEmail({ toEmail, subject, htmlContent, textContent }) {
-  if (!BREVO_API_KEY) throw new Error('No BREVO API key configured (BREVO_API_KEY)');
+function applyShortcuts(config) {
+  const status = shortcuts.applyShortcuts(config, onShortcut);
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('shortcut-status', status);
+  return status;
+}
 
-  // try global fetch, else require node-fetch
-  let _fetch = global.fetch;
-  if (typeof _fetch !== 'function') {
-    try {
-      _fetch = require('node-fetch');
-    } catch (e) {
-      throw new Error('fetch not available and node-fetch not installed');
+const RECORDER_STATES = ['idle', 'countdown', 'recording', 'paused'];
+
+on('recorder-state', S.object({ state: { enum: RECORDER_STATES }, elapsed: S.optional({ type: 'number' }), countdown: S.optional({ type: 'number' }) }, ['state']), (event, payload) => {
+  if (!rendererReady) {
+    rendererReady = true;
+    if (pendingScheduledStart) {
+      const extra = pendingScheduledStart;
+      pendingScheduledStart = null;
+      sendRecorderCommand('scheduled-start', extra);
     }
   }
+  scheduler.noteRecorderState(payload.state);
+  if (!tray) return;
+  tray.update({
+    state: payload.state,
+    elapsed: Math.max(0, Math.floor(Number(payload.elapsed) || 0)),
+    countdown: Math.max(0, Math.floor(Number(payload.countdown) || 0))
+  });
+});
+
+handle('shortcut-status', S.none, async () => {
+  return { success: true, ...shortcuts.getShortcutStatus() };
+});
+
+/* ===========================
+   Cursor effects (pointer / click / shortcut events while recording)
+   =========================== */
+
+// events go to the page that asked; { clicks, keys } in the reply say whether the input hook could provide them
+handle('input-tracking-start', S.object({ displayId: { type: ['string', 'number'] }, clicks: S.optional({ type: 'boolean' }), keys: S.optional({ type: 'boolean' }) }, ['displayId']), async (event, { displayId, clicks, keys }) => {
+  const sender = event.sender;
+  return inputTracker.startTracking(displayId, { clicks, keys }, (input) => {
+    if (sender.isDestroyed()) inputTracker.stopTracking();
+    else sender.send('input-event', input);
+  });
+});
+
+handle('input-tracking-stop', S.none, async () => {
+  inputTracker.stopTracking();
+  return {};
+});
+
+/* ===========================
+   Annotation overlay (drawing on screen while recording)
+   =========================== */
+
+// the renderer arms the overlay for the recorded display when a recording starts and disarms it (null) at the end
+handle('annotation-target', S.object({ displayId: { type: ['string', 'number', 'null'] } }, ['displayId']), async (event, { displayId }) => {
+  const sender = event.sender;
+  if (displayId === null) annotation.disarmOverlay();
+  else annotation.armOverlay(displayId, (drawing) => { if (!sender.isDestroyed()) sender.send('annotation-mode', { drawing }); });
+  return {};
+});
+
+handle('annotation-toggle', S.none, async () => {
+  const drawing = await annotation.toggleDrawMode();
+  if (drawing === null) throw new IpcError(ERROR_CODES.INVALID_ARGUMENT, 'Drawing is only available while recording a screen');
+  return { drawing };
+});
+
+/* ===========================
+   Scheduled recordings
+   =========================== */
+
+handle('schedule-list', S.none, async () => {
+  return { success: true, ...(await scheduler.getScheduleState()) };
+});
 
-  const url = 'https://api.brevo.com/v3/smtp/email';
-  const body = {
-    sender: { name: BREVO_FROM_NAME, email: BREVO_FROM_EMAIL },
-    to: [{ email: toEmail }],
-    subject: subject,
-    htmlContent: htmlContent,
-    textContent: textContent
+// field checks here; scheduler.normalizeJob checks how they fit together
+const SCHEDULE_JOB = S.object({
+  label: S.optional(S.string(100)),
+  startAt: { type: 'number', minimum: 0 },
+  durationMs: S.optional({ type: ['number', 'null'], minimum: 0 }),
+  stopAt: S.optional({ type: ['number', 'null'], minimum: 0 }),
+  maxBytes: S.optional({ type: ['number', 'null'], minimum: 0 }),
+  repeat: S.optional({ enum: ['none', 'daily', 'weekly'] }),
+  selection: S.object({
+    sourceId: { type: ['string', 'null'], maxLength: 200 },
+    sourceName: S.optional(S.string(200)),
+    mode: { enum: ['video+mic', 'video-only', 'video+system', 'video+system+mic', 'audio-only'] },
+    micId: S.optional({ type: ['string', 'null'], maxLength: 200 }),
+    micLabel: S.optional({ type: ['string', 'null'], maxLength: 200 })
+  }, ['sourceId', 'mode'])
+}, ['startAt', 'selection']);
+
+handle('schedule-add', SCHEDULE_JOB, async (event, job) => {
+  return { success: true, job: await scheduler.addJob(job) };
+});
+
+handle('schedule-remove', S.id, async (event, jobId) => {
+  await scheduler.removeJob(jobId);
+  return { success: true };
+});
+
+// the renderer could not apply a scheduled start (source gone, account limit, ...)
+on('schedule-start-failed', S.object({ jobId: S.id, error: S.optional({ type: ['string', 'null'] }) }, ['jobId']), (event, { jobId, error }) => {
+  console.warn('scheduled start failed', jobId, error);
+  scheduler.noteStartFailed(jobId, typeof error === 'string' ? error.slice(0, 300) : null);
+});
+
+/* ===========================
+   Settings
+   =========================== */
+
+handle('settings-get', S.none, async () => {
+  return { success: true, settings: await settings.getSettings(), defaults: settings.DEFAULTS, videosPath: app.getPath('videos') };
+});
+
+const COLOR = S.string(7, { pattern: /^#[0-9a-fA-F]{6}$/ });
+const ACCELERATOR = S.optional(S.string(100));
+
+// the fields settings.updateSettings accepts; outputFolder only changes through the folder dialog,
+// since recordings are written wherever it points
+const SETTINGS_PATCH = S.object({
+  codec: S.optional({ enum: ['vp8', 'vp9'] }),
+  frameRate: S.optional({ type: 'integer', minimum: 5, maximum: 60 }),
+  countdownSeconds: S.optional({ type: 'integer', minimum: 0, maximum: 10 }),
+  filenameTemplate: S.optional(S.string(200, { minLength: 1 })),
+  segmentMinutes: S.optional({ type: 'integer', minimum: 0, maximum: 720 }),
+  segmentMegabytes: S.optional({ type: 'integer', minimum: 0, maximum: 102400 }),
+  regions: S.optional({
+    type: 'object',
+    additionalProperties: S.object({
+      rect: S.object({
+        x: { type: 'number', minimum: 0, maximum: 1 },
+        y: { type: 'number', minimum: 0, maximum: 1 },
+        w: { type: 'number', minimum: 0, maximum: 1 },
+        h: { type: 'number', minimum: 0, maximum: 1 }
+      }, ['x', 'y', 'w', 'h']),
+      aspect: S.optional(S.string(10)),
+      pixelSize: S.optional({ type: ['object', 'null'], properties: { width: { type: 'number', minimum: 0 }, height: { type: 'number', minimum: 0 } }, additionalProperties: false })
+    }, ['rect'])
+  }),
+  audioGains: S.optional({
+    type: 'object',
+    additionalProperties: S.object({ gain: S.optional({ type: 'number', minimum: 0, maximum: 4 }), muted: S.optional({ type: 'boolean' }) })
+  }),
+  separateAudioTracks: S.optional({ type: 'boolean' }),
+  micProcessing: S.optional(S.object({
+    noiseSuppression: S.optional({ type: 'boolean' }),
+    echoCancellation: S.optional({ type: 'boolean' }),
+    highPass: S.optional({ type: 'boolean' }),
+    gate: S.optional({ type: 'boolean' }),
+    gateThresholdDb: S.optional({ type: 'number', minimum: -90, maximum: -10 }),
+    compressor: S.optional({ type: 'boolean' })
+  })),
+  cursorEffects: S.optional(S.object({
+    halo: S.optional({ type: 'boolean' }),
+    haloColor: S.optional(COLOR),
+    haloSize: S.optional({ type: 'integer', minimum: 10, maximum: 120 }),
+    haloOpacity: S.optional({ type: 'number', minimum: 0.1, maximum: 1 }),
+    clicks: S.optional({ type: 'boolean' }),
+    leftColor: S.optional(COLOR),
+    rightColor: S.optional(COLOR),
+    keys: S.optional({ type: 'boolean' }),
+    keyPosition: S.optional({ enum: ['bottom-center', 'bottom-left', 'bottom-right', 'top-center'] })
+  })),
+  shortcuts: S.optional(S.object({ start: ACCELERATOR, stop: ACCELERATOR, pause: ACCELERATOR, cancel: ACCELERATOR, annotate: ACCELERATOR, marker: ACCELERATOR }))
+});
+
+handle('settings-set', SETTINGS_PATCH, async (event, patch) => {
+  const updated = await settings.updateSettings(patch);
+  if (patch.shortcuts) applyShortcuts(updated.shortcuts);
+  return { success: true, settings: updated };
+});
+
+handle('settings-reset', S.none, async () => {
+  const updated = await settings.resetSettings();
+  applyShortcuts(updated.shortcuts);
+  return { success: true, settings: updated };
+});
+
+handle('choose-output-folder', S.none, async (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const res = await dialog.showOpenDialog(win, {
+    title: 'Choose recordings folder',
+    defaultPath: await settings.recordingsDir(),
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (res.canceled || !res.filePaths.length) return { success: true, folder: null };
+  const updated = await settings.setOutputFolder(res.filePaths[0]);
+  return { success: true, folder: updated.outputFolder, settings: updated };
+});
+
+// back to the OS Videos folder
+handle('clear-output-folder', S.none, async () => {
+  return { success: true, settings: await settings.setOutputFolder('') };
+});
+
+// file name from the configured template ({date} {source} {mode} {counter})
+handle('next-recording-filename', S.object({ source: S.optional(S.string(200)), mode: S.optional(S.string(50)) }), async (event, { source, mode } = {}) => {
+  return { success: true, filename: await settings.nextFilename({ source, mode }) };
+});
+
+/* ===========================
+   Region selection
+   =========================== */
+
+// selector webContents id -> resolve(rect | null)
+const REGION_REQUESTS = new Map();
+
+function findDisplay(displayId) {
+  const displays = screen.getAllDisplays();
+  return displays.find(d => String(d.id) === String(displayId)) || screen.getPrimaryDisplay();
+}
+
+// Transparent full-screen window on `display`; resolves with a rect normalized to the display (0..1) or null
+function selectRegion(display, { aspect = null, initial = null } = {}) {
+  return new Promise((resolve) => {
+    const { x, y, width, height } = display.bounds;
+    const win = new BrowserWindow({
+      x, y, width, height,
+      frame: false,
+      transparent: true,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      resizable: false,
+      movable: false,
+      fullscreenable: false,
+      hasShadow: false,
+      enableLargerThanScreen: true,
+      webPreferences: {
+        preload: path.join(__dirname, 'region-preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false,
+        sandbox: true
+      }
+    });
+    win.setAlwaysOnTop(true, 'screen-saver');
+
+    const contentsId = win.webContents.id;
+    let done = false;
+    const finish = (rect) => {
+      if (done) return;
+      done = true;
+      REGION_REQUESTS.delete(contentsId);
+      if (!win.isDestroyed()) win.close();
+      resolve(rect);
+    };
+    REGION_REQUESTS.set(contentsId, finish);
+    win.on('closed', () => finish(null));
+
+    win.loadFile(path.join(__dirname, 'region-selector.html'), {
+      query: { aspect: aspect ? String(aspect) : '', initial: initial ? JSON.stringify(initial) : '' }
+    }).catch(err => {
+      console.error('region selector load failed', err);
+      finish(null);
+    });
+  });
+}
+
+function normalizeRect(rect) {
+  if (!rect || typeof rect !== 'object') return null;
+  const clamp = v => Math.max(0, Math.min(1, Number(v)));
+  const r = { x: clamp(rect.x), y: clamp(rect.y), w: clamp(rect.w), h: clamp(rect.h) };
+  if (![r.x, r.y, r.w, r.h].every(Number.isFinite) || r.w <= 0 || r.h <= 0) return null;
+  r.w = Math.min(r.w, 1 - r.x);
+  r.h = Math.min(r.h, 1 - r.y);
+  return r;
+}
+
+on('region-result', { type: ['object', 'null'] }, (event, rect) => {
+  const finish = REGION_REQUESTS.get(event.sender.id);
+  if (finish) finish(normalizeRect(rect));
+});
+
+handle('select-region', S.object({ displayId: S.optional({ type: ['string', 'number', 'null'] }), aspect: S.optional({ type: ['number', 'null'], minimum: 0.1, maximum: 10 }), initial: S.optional({ type: ['object', 'null'] }) }), async (event, { displayId, aspect, initial } = {}) => {
+  const display = findDisplay(displayId);
+  const rect = await selectRegion(display, { aspect, initial: normalizeRect(initial) });
+  // physical pixel size lets the renderer request a full-resolution capture
+  const pixelSize = {
+    width: Math.round(display.size.width * display.scaleFactor),
+    height: Math.round(display.size.height * display.scaleFactor)
   };
+  return { success: true, rect, displayId: String(display.id), pixelSize };
+});
+
+// Recordings helpers (list, open folder, reveal file)
+
+// existing file inside the recordings folder, or throw
+// (symlinks are resolved first, so a link inside the folder can't point the handler elsewhere)
+async function resolveRecordingPath(filePath) {
+  const videosPath = path.resolve(await settings.recordingsDir());
+  const full = path.resolve(filePath);
+  if (!isInside(videosPath, full)) throw new IpcError(ERROR_CODES.OUTSIDE_RECORDINGS, 'Path is outside the recordings folder');
+  let real;
+  try {
+    real = await fs.promises.realpath(full);
+  } catch {
+    throw new IpcError(ERROR_CODES.NOT_FOUND, 'Recording not found');
+  }
+  if (!isInside(await fs.promises.realpath(videosPath), real)) {
+    throw new IpcError(ERROR_CODES.OUTSIDE_RECORDINGS, 'Path is outside the recordings folder');
+  }
+  return full;
+}
+
+// list-recordings syncs the library index with the folder first, so a missing or stale
+// index (files added, removed or changed outside the app) is rebuilt transparently.
+handle('list-recordings', S.none, async () => {
+  const videosPath = await settings.recordingsDir();
+  const all = await library.syncLibrary(videosPath);
+  thumbnailer.pruneThumbnails(videosPath, all.map(f => f.name))
+    .catch(err => console.warn('pruneThumbnails failed', err));
+  // recordings waiting out the trash undo window are already gone as far as the user is concerned
+  const hidden = pendingTrashPaths();
+  return { success: true, files: all.filter(f => !hidden.has(f.path)), folder: videosPath };
+});
+
+handle('open-recordings-folder', S.none, async () => {
+  const videosPath = await settings.recordingsDir();
+  const res = await shell.openPath(videosPath);
+  if (res) throw new Error(res);
+  return { success: true, folder: videosPath };
+});
+
+// poster + hover-scrub sprite (cached; re-rendered when the recording changed)
+handle('get-thumbnails', S.object({ filePath: S.path, durationMs: S.optional({ type: ['number', 'null'], minimum: 0 }) }, ['filePath']), async (event, { filePath, durationMs } = {}) => {
+  const full = await resolveRecordingPath(filePath);
+  const thumbs = await thumbnailer.getThumbnails(full, { durationMs: Number(durationMs) || null });
+  return { success: true, ...thumbs };
+});
 
-  const res = await _fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'api-key': BREVO_API_KEY
-    },
-    body: JSON.stringify(body)
+// user-editable library fields: { title, tags: string[] }
+handle('update-recording-meta', S.object({ filePath: S.path, title: S.optional(S.string(200)), tags: S.optional({ type: 'array', maxItems: 100, items: S.string(100) }), markers: S.optional(MARKERS) }, ['filePath']), async (event, { filePath, title, tags, markers } = {}) => {
+  const full = await resolveRecordingPath(filePath);
+  const entry = await library.updateRecordingMeta(full, { title, tags, markers });
+  return { success: true, entry };
+});
+
+// a recording's markers as WebVTT chapters ('vtt') or a description timestamp list ('txt');
+// save: ask where to write it (next to the recording by default), otherwise just return the text
+handle('markers-export', S.object({ filePath: S.path, format: { enum: ['vtt', 'txt'] }, save: S.optional({ type: 'boolean' }) }, ['filePath', 'format']), async (event, { filePath, format, save }) => {
+  const full = await resolveRecordingPath(filePath);
+  const entry = await library.getEntry(full);
+  const markers = (entry && entry.markers) || [];
+  if (!markers.length) throw new IpcError(ERROR_CODES.INVALID_ARGUMENT, 'This recording has no markers');
+  const durationMs = entry.durationMs || null;
+  const text = format === 'vtt' ? chapters.toWebVTT(markers, durationMs) : chapters.toTimestampList(markers, durationMs);
+  if (!save) return { text };
+
+  const res = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: format === 'vtt' ? 'Save WebVTT chapters' : 'Save timestamp list',
+    defaultPath: full.slice(0, -path.extname(full).length) + (format === 'vtt' ? '.chapters.vtt' : '.chapters.txt'),
+    filters: format === 'vtt' ? [{ name: 'WebVTT', extensions: ['vtt'] }] : [{ name: 'Text', extensions: ['txt'] }]
   });
+  if (res.canceled || !res.filePath) return { text, path: null };
+  await fs.promises.writeFile(res.filePath, text, 'utf8');
+  return { text, path: res.filePath };
+});
+
+handle('reveal-recording', S.path, async (event, fullPath) => {
+  shell.showItemInFolder(await resolveRecordingPath(fullPath));
+  return { success: true };
+});
 
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Brevo API error ${res.status}: ${text}`);
+/* ===========================
+   Recording file management (rename / trash / move)
+   =========================== */
+
+// a .webm directly in the recordings folder (i.e. a library entry), or throw
+async function resolveLibraryFile(filePath) {
+  const full = await resolveRecordingPath(filePath);
+  const videosPath = path.resolve(await settings.recordingsDir());
+  if (path.dirname(full) !== videosPath || path.extname(full).toLowerCase() !== '.webm') {
+    throw new IpcError(ERROR_CODES.INVALID_ARGUMENT, 'Not a recording in the library');
   }
-  const json = await res.json();
-  return json;
+  if (pendingTrashPaths().has(full)) throw new IpcError(ERROR_CODES.NOT_FOUND, 'Recording is being moved to the trash');
+  return full;
 }
 
-ipcMain.handle('send-otp', async (event, { email }) => {
+function resolveLibraryFiles(filePaths) {
+  return Promise.all(filePaths.map(resolveLibraryFile));
+}
+
+async function pathExists(p) {
   try {
-    if (!email || typeof email !== 'string') throw new Error('Invalid email');
+    await fs.promises.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-    const code = genOtp();
-    const expiresAt = Date.now() + OTP_TTL * 1000;
-    OTP_STORE.set(email, { code, expiresAt });
+// rename, falling back to copy + delete across devices
+async function moveFile(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+    await fs.promises.unlink(from);
+  }
+}
 
-    const subject = 'Your XigRecorder OTP';
-    const htmlContent = `<p>Hello —</p><p>Your XigRecorder OTP is <strong>${code}</strong>. It expires in ${Math.floor(OTP_TTL/60)} minutes.</p><p>If you didn't request this, ignore this email.</p>`;
-    const textContent = `Your XigRecorder OTP is ${code}. Expires in ${Math.floor(OTP_TTL/60)} minutes.`;
+// carry a recording's separate audio tracks over to its new path; failures only leave them behind
+async function moveSideTracks(sides, newPath, move) {
+  for (const side of sides) {
+    const to = library.sideTrackPath(newPath, side.kind);
+    try {
+      if (to.toLowerCase() !== side.path.toLowerCase() && await pathExists(to)) throw new Error('target exists');
+      await move(side.path, to);
+    } catch (err) {
+      console.warn('side track not moved', side.path, '->', to, err);
+    }
+  }
+}
+
+// Trashing is deferred for TRASH_UNDO_MS so it can be undone: the files stay where they are
+// (hidden from list-recordings) and go to the OS trash from their original location afterwards.
+const TRASH_UNDO_MS = 10000;
+
+// trashId -> { paths, count, sender, timer }; paths include separate audio tracks, count doesn't
+const PENDING_TRASH = new Map();
+
+function pendingTrashPaths() {
+  return new Set([...PENDING_TRASH.values()].flatMap(t => t.paths));
+}
 
-    // send email
-    await sendBrevoEmail({ toEmail: email, subject, htmlContent, textContent });
-    console.log('OTP sent to', email, 'code:', code);
+async function commitTrash(trashId) {
+  const pending = PENDING_TRASH.get(trashId);
+  if (!pending) return;
+  PENDING_TRASH.delete(trashId);
+  clearTimeout(pending.timer);
+  const failed = [];
+  for (const p of pending.paths) {
+    try {
+      await shell.trashItem(p);
+      console.log('Trashed', p);
+    } catch (err) {
+      console.error('trashItem failed', p, err);
+      failed.push({ path: p, error: err.message || String(err) });
+    }
+  }
+  if (!pending.sender.isDestroyed()) pending.sender.send('trash-committed', { trashId, failed });
+}
+
+handle('rename-recording', S.object({ filePath: S.path, newName: S.string(200, { minLength: 1 }) }, ['filePath', 'newName']), async (event, { filePath, newName } = {}) => {
+  const full = await resolveLibraryFile(filePath);
+  const base = settings.sanitizeFilePart(String(newName || '').replace(/\.webm$/i, ''));
+  if (!base) throw new IpcError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid name');
+  const target = path.join(path.dirname(full), base + '.webm');
+  if (target === full) return { success: true, path: full };
+  // a case-only rename hits the same file on case-insensitive file systems
+  if (target.toLowerCase() !== full.toLowerCase() && await pathExists(target)) {
+    throw new Error('A recording with that name already exists');
+  }
+  const sides = await library.sideTracks(full);
+  await fs.promises.rename(full, target);
+  await library.renameEntry(full, target);
+  await thumbnailer.renameThumbnails(full, target);
+  await moveSideTracks(sides, target, fs.promises.rename);
+  console.log('Renamed', full, '->', target);
+  return { success: true, path: target };
+});
+
+// one or many recordings; resolves with a trashId that undo-trash accepts for TRASH_UNDO_MS
+handle('trash-recordings', S.object({ filePaths: PATH_LIST }, ['filePaths']), async (event, { filePaths } = {}) => {
+  const recordings = [...new Set(await resolveLibraryFiles(filePaths))];
+  const paths = [...recordings];
+  for (const p of recordings) paths.push(...(await library.sideTracks(p)).map(s => s.path));
+  const trashId = crypto.randomUUID();
+  const timer = setTimeout(() => commitTrash(trashId), TRASH_UNDO_MS);
+  PENDING_TRASH.set(trashId, { paths, count: recordings.length, sender: event.sender, timer });
+  return { success: true, trashId, count: recordings.length, undoMs: TRASH_UNDO_MS };
+});
+
+handle('undo-trash', S.id, async (event, trashId) => {
+  const pending = PENDING_TRASH.get(trashId);
+  if (!pending) throw new Error('Too late to undo');
+  PENDING_TRASH.delete(trashId);
+  clearTimeout(pending.timer);
+  return { success: true, count: pending.count };
+});
+
+// asks for the destination folder; names that already exist there get a numeric suffix
+handle('move-recordings', S.object({ filePaths: PATH_LIST }, ['filePaths']), async (event, { filePaths } = {}) => {
+  const paths = [...new Set(await resolveLibraryFiles(filePaths))];
+  const videosPath = path.resolve(await settings.recordingsDir());
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const res = await dialog.showOpenDialog(win, {
+    title: paths.length === 1 ? 'Move recording to…' : `Move ${paths.length} recordings to…`,
+    defaultPath: videosPath,
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (res.canceled || !res.filePaths.length) return { success: true, folder: null, moved: [], failed: [] };
+  const folder = path.resolve(res.filePaths[0]);
+  if (folder === videosPath) throw new Error('Recordings are already in that folder');
 
-    return { success: true, message: 'OTP sent' };
+  const moved = [];
+  const failed = [];
+  for (const from of paths) {
+    try {
+      const to = await uniqueMovePath(path.join(folder, path.basename(from)));
+      const sides = await library.sideTracks(from);
+      await moveFile(from, to);
+      await moveSideTracks(sides, to, moveFile);
+      console.log('Moved', from, '->', to);
+      moved.push({ from, to });
+    } catch (err) {
+      console.error('move failed', from, err);
+      failed.push({ path: from, error: err.message || String(err) });
+    }
+  }
+  return { success: true, folder, moved, failed };
+});
+
+async function uniqueMovePath(filePath) {
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+  let candidate = filePath;
+  for (let i = 2; await pathExists(candidate); i++) candidate = `${base} (${i})${ext}`;
+  return candidate;
+}
+
+/* ===========================
+   Interrupted recording recovery
+   =========================== */
+
+// `.part` files in the recordings folder that no live session is writing to
+async function findInterruptedRecordings() {
+  const videosPath = await settings.recordingsDir();
+  let files;
+  try {
+    files = await fs.promises.readdir(videosPath);
   } catch (err) {
-    console.error('send-otp error', err);
-    return { success: false, error: (err && err.message) || String(err) };
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const active = new Set([...RECORDING_SESSIONS.values()].map(s => s.tempPath));
+  const found = [];
+  for (const f of files) {
+    if (!f.toLowerCase().endsWith('.webm' + PART_EXT)) continue;
+    const full = path.join(videosPath, f);
+    if (active.has(full)) continue;
+    try {
+      const stat = await fs.promises.stat(full);
+      found.push({ name: f, path: full, size: stat.size, mtimeMs: stat.mtimeMs });
+    } catch (e) {
+      console.warn('stat interrupted recording failed', f, e);
+    }
+  }
+  found.sort((a,b)=>b.mtimeMs-a.mtimeMs);
+  return found;
+}
+
+// only accept paths that findInterruptedRecordings would have returned
+async function resolveInterrupted(partPath) {
+  const found = await findInterruptedRecordings();
+  const match = found.find(f => f.path === path.resolve(partPath));
+  if (!match) throw new IpcError(ERROR_CODES.NOT_FOUND, 'Not an interrupted recording');
+  return match;
+}
+
+async function uniquePath(filePath) {
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+  let candidate = filePath;
+  for (let i = 1; ; i++) {
+    try {
+      await fs.promises.access(candidate);
+    } catch {
+      return candidate;
+    }
+    candidate = `${base}_recovered${i > 1 ? i : ''}${ext}`;
   }
+}
+
+handle('list-interrupted-recordings', S.none, async () => {
+  return { success: true, files: await findInterruptedRecordings() };
+});
+
+handle('recover-recording', S.path, async (event, partPath) => {
+  const rec = await resolveInterrupted(partPath);
+  const repaired = await webm.repairWebm(rec.path);
+  const finalPath = await uniquePath(rec.path.slice(0, -PART_EXT.length));
+  await fs.promises.rename(rec.path, finalPath);
+  console.log('Recovered', finalPath, 'size=', repaired.size, 'durationMs=', repaired.durationMs);
+  const fin = await finalizeSavedRecording(finalPath);
+  await indexSavedRecording(finalPath, {});
+  return { success: true, path: finalPath, size: fin.size || repaired.size, durationMs: fin.durationMs || repaired.durationMs };
+});
+
+handle('discard-recording', S.path, async (event, partPath) => {
+  const rec = await resolveInterrupted(partPath);
+  await fs.promises.rm(rec.path, { force: true });
+  console.log('Discarded', rec.path);
+  return { success: true };
 });
 
-ipcMain.handle('verify-otp', async (event, { email, code }) => {
+/* ===========================
+   Export / transcode (ffmpeg)
+   =========================== */
+
+handle('export-presets', S.none, async () => {
+  return { success: true, presets: exporter.listPresets(), heights: exporter.HEIGHTS };
+});
+
+// output files of jobs still running: a name stays taken until its job ends, even before ffmpeg creates it
+const RESERVED_OUTPUTS = new Set();
+
+// "<name>.mp4", else "<name> (2).mp4", ...; release with RESERVED_OUTPUTS.delete() when the job ends
+async function reserveOutputPath(filePath) {
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+  let candidate = filePath;
+  for (let i = 2; ; i++) {
+    if (!RESERVED_OUTPUTS.has(candidate)) {
+      // taken before the await so a concurrent call can't pick it as well
+      RESERVED_OUTPUTS.add(candidate);
+      if (!(await pathExists(candidate))) return candidate;
+      RESERVED_OUTPUTS.delete(candidate);
+    }
+    candidate = `${base} (${i})${ext}`;
+  }
+}
+
+handle('export-start', S.object({ inputPath: S.path, preset: { enum: Object.keys(exporter.PRESETS) }, height: S.optional({ type: ['integer', 'null'], enum: [...exporter.HEIGHTS, null] }) }, ['inputPath', 'preset']), async (event, { inputPath, preset, height }) => {
+  const input = await resolveRecordingPath(inputPath);
+  const ext = exporter.PRESETS[preset].ext;
+  const outputPath = await reserveOutputPath(input.slice(0, input.length - path.extname(input).length) + ext);
+
+  let jobId;
   try {
-    if (!email || !code) throw new Error('email and code required');
-    const rec = OTP_STORE.get(email);
-    if (!rec) return { success: false, error: 'No OTP requested for this email' };
-    if (Date.now() > rec.expiresAt) {
-      OTP_STORE.delete(email);
-      return { success: false, error: 'OTP expired' };
+    let durationMs = null;
+    try {
+      // for the progress bar: the header's Duration, scanning the file only when it has none
+      durationMs = webm.infoDurationMs((await webm.readWebmHeader(input)).info) || webm.durationMs(await webm.scanWebm(input));
+    } catch (e) {
+      console.warn('export: duration probe failed', e);
     }
-    if (String(rec.code) !== String(code).trim()) {
-      return { success: false, error: 'Invalid OTP' };
+
+    const sender = event.sender;
+    jobId = exporter.startExport({
+      inputPath: input,
+      outputPath,
+      preset,
+      height: height ? Number(height) : null,
+      durationMs,
+      onEvent: (evt) => {
+        if (evt.type !== 'progress') console.log('export', jobId, evt);
+        if (evt.type === 'done' || evt.type === 'error' || evt.type === 'cancelled') RESERVED_OUTPUTS.delete(outputPath);
+        if (!sender.isDestroyed()) sender.send('export-event', { jobId, ...evt });
+      }
+    });
+  } catch (err) {
+    RESERVED_OUTPUTS.delete(outputPath);
+    throw err;
+  }
+  return { success: true, jobId, outputPath };
+});
+
+/* ---------- trim ---------- */
+
+// a cut can be stream-copied when it starts this close to a video keyframe
+const KEYFRAME_TOLERANCE_MS = 1;
+
+handle('trim-info', S.path, async (event, filePath) => {
+  const full = await resolveLibraryFile(filePath);
+  const scan = await webm.scanWebm(full);
+  const video = scan.tracks.find(t => t.type === webm.TRACK_VIDEO);
+  return { success: true, durationMs: webm.durationMs(scan), keyframesMs: webm.keyframeTimesMs(scan), hasVideo: !!video };
+});
+
+// cut the same range out of a recording's separate audio tracks so they stay aligned with `outputPath`
+async function trimSideTracks(input, outputPath, startMs, endMs, tempDir) {
+  for (const side of await library.sideTracks(input)) {
+    const tempPath = path.join(tempDir, `trim-${crypto.randomUUID()}.webm`);
+    try {
+      await new Promise((resolve, reject) => {
+        exporter.startTrim({
+          inputPath: side.path,
+          outputPath: tempPath,
+          startMs,
+          endMs,
+          copy: true,
+          onEvent: evt => {
+            if (evt.type === 'done') resolve();
+            else if (evt.type === 'error') reject(new Error(evt.error));
+            else if (evt.type === 'cancelled') reject(new Error('cancelled'));
+          }
+        });
+      });
+      const target = library.sideTrackPath(outputPath, side.kind);
+      await fs.promises.rename(tempPath, target);
+      await finalizeSavedRecording(target);
+    } catch (err) {
+      console.warn('side track trim failed', side.path, err);
+      await fs.promises.rm(tempPath, { force: true }).catch(() => {});
     }
-    // valid -> remove OTP (one-time)
-    OTP_STORE.delete(email);
-    // return success (you may want to create a real user/session here)
-    return { success: true, message: 'OTP verified' };
+  }
+}
+
+// mode: 'new' (save next to the original) | 'replace' (overwrite the original once the cut succeeded)
+handle('trim-start', S.object({ filePath: S.path, startMs: { type: 'number', minimum: 0 }, endMs: { type: 'number', minimum: 0 }, mode: { enum: ['new', 'replace'] } }, ['filePath', 'startMs', 'endMs', 'mode']), async (event, { filePath, startMs, endMs, mode } = {}) => {
+  const input = await resolveLibraryFile(filePath);
+  const scan = await webm.scanWebm(input);
+  const total = webm.durationMs(scan);
+  const start = Math.max(0, Number(startMs) || 0);
+  const end = Math.min(total, Number(endMs) || total);
+  if (!(end - start >= 100)) throw new IpcError(ERROR_CODES.INVALID_ARGUMENT, 'Selection is too short');
+
+  const video = scan.tracks.find(t => t.type === webm.TRACK_VIDEO);
+  const copy = !video || start === 0 || webm.keyframeTimesMs(scan).some(k => Math.abs(k - start) <= KEYFRAME_TOLERANCE_MS);
+
+  // ffmpeg writes into the hidden meta folder so a half-written file never shows up in the library
+  const tempDir = library.metaDir(path.dirname(input));
+  await fs.promises.mkdir(tempDir, { recursive: true });
+  const tempPath = path.join(tempDir, `trim-${crypto.randomUUID()}.webm`);
+  const original = await library.getEntry(input);
+
+  const sender = event.sender;
+  const send = (payload) => { if (!sender.isDestroyed()) sender.send('export-event', payload); };
+
+  const jobId = exporter.startTrim({
+    inputPath: input,
+    outputPath: tempPath,
+    startMs: start,
+    endMs: end,
+    copy,
+    videoCodec: video ? video.codec : null,
+    onEvent: async (evt) => {
+      if (evt.type !== 'progress') console.log('trim', jobId, evt);
+      if (evt.type !== 'done') return send({ jobId, ...evt });
+      try {
+        const outputPath = mode === 'replace'
+          ? input
+          : await reserveOutputPath(input.slice(0, -path.extname(input).length) + '_trim.webm');
+        try {
+          await fs.promises.rename(tempPath, outputPath);
+        } finally {
+          if (mode !== 'replace') RESERVED_OUTPUTS.delete(outputPath);
+        }
+        const fin = await finalizeSavedRecording(outputPath);
+        await trimSideTracks(input, outputPath, start, end, tempDir);
+        // markers move with the cut; replacing keeps the entry, so only its markers change
+        if (mode === 'replace' && original && (original.markers || []).length) {
+          await library.updateRecordingMeta(outputPath, { markers: chapters.trimMarkers(original.markers, start, end) });
+        }
+        if (mode === 'new') {
+          // a trimmed copy of a segment is a recording of its own, not another part
+          await indexSavedRecording(outputPath, { ...original, segmentGroup: null }, chapters.trimMarkers(original && original.markers, start, end));
+          if (original && (original.title || (original.tags || []).length)) {
+            await library.updateRecordingMeta(outputPath, {
+              title: original.title ? original.title + ' (trimmed)' : '',
+              tags: original.tags
+            });
+          }
+        }
+        send({ jobId, type: 'done', outputPath, size: fin.size || evt.size });
+      } catch (err) {
+        console.error('trim finish error', err);
+        await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+        send({ jobId, type: 'error', error: err.message || String(err) });
+      }
+    }
+  });
+  return { success: true, jobId, copy };
+});
+
+handle('export-cancel', S.id, async (event, jobId) => {
+  if (!exporter.cancelExport(jobId)) throw new Error('No such export job');
+  return { success: true };
+});
+
+/* ===================================
+   OTP sending / verification
+   =================================== */
+
+console.log('mail transport:', mailer.describeTransport());
+
+// the code itself is only ever in the email; main keeps its HMAC (auth.js)
+handle('send-otp', S.object({ email: EMAIL }, ['email']), async (event, { email }) => {
+  const { code, expiresAt, ttlMs } = await auth.issueOtp(email);
+  const message = mailTemplates.render('otp', { code, minutes: Math.floor(ttlMs / 60000) });
+
+  try {
+    await mailer.sendMail({ to: email, subject: message.subject, text: message.text, html: message.html });
   } catch (err) {
-    console.error('verify-otp error', err);
-    return { success: false, error: (err && err.message) || String(err) };
+    // a temporary failure shouldn't cost the user their resend cooldown
+    await auth.revokeOtp(email, { forgetSend: !!err.retryable });
+    throw new IpcError(ERROR_CODES.EMAIL_FAILED, err.retryable
+      ? `Could not send the code right now: ${err.message}. Please try again.`
+      : `Could not send the code: ${err.message}`, { retryable: !!err.retryable });
   }
+  console.log('OTP sent to', email);
+
+  return { success: true, message: 'OTP sent', expiresAt };
+});
+
+// success starts the signed-in session; the renderer gets { email, expiresAt }
+handle('verify-otp', S.object({ email: EMAIL, code: S.string(20, { pattern: /^\s*\d{6}\s*$/ }) }, ['email', 'code']), async (event, { email, code }) => {
+  const session = await auth.verifyOtp(email, code);
+  sendAuthChanged(session);
+  return { success: true, message: 'OTP verified', session };
+});
+
+handle('auth-session', S.none, async () => {
+  return { success: true, session: await auth.getSession() };
+});
+
+handle('auth-logout', S.none, async () => {
+  await auth.logout();
+  sendAuthChanged(null);
+  return { success: true };
+});
+
+function sendAuthChanged(session) {
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('auth-changed', session);
+  // the allowance shown is the signed-in account's (or the guest's)
+  quota.getQuota(session ? session.email : null)
+    .then(sendQuotaChanged)
+    .catch(err => console.warn('quota refresh failed', err));
+}
+
+/* ===========================
+   Recording quota
+   =========================== */
+
+handle('quota-get', S.none, async () => {
+  return { success: true, quota: await quota.getQuota(await auth.currentEmail()) };
 });
 
+function sendQuotaChanged(state) {
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('quota-changed', state);
+}
+
 /* ===== app event handlers ===== */
-app.on('window-all-closed', () => { if (process.platform !== 'darwin') app.quit(); });
-app.on('activate', () => { if (BrowserWindow.getAllWindows().length === 0) createWindow(); });
+app.on('before-quit', () => exporter.cancelAllExports());
+// deferred trash can't be undone once the app is gone, so carry it out before quitting
+app.on('before-quit', (event) => {
+  if (!PENDING_TRASH.size) return;
+  event.preventDefault();
+  Promise.all([...PENDING_TRASH.keys()].map(commitTrash)).finally(() => app.quit());
+});
+app.on('will-quit', () => {
+  shortcuts.clearShortcuts();
+  inputTracker.stopTracking();
+  annotation.disarmOverlay();
+});
+// with scheduled recordings pending the app stays in the tray; the window reopens when one is due
+app.on('window-all-closed', () => { if (process.platform !== 'darwin' && !scheduler.hasUpcoming()) app.quit(); });
+app.on('activate', () => { if (!mainWindow) createWindow(); });
@@ -0,0 +1,119 @@
+// main/input-tracker.js
+// Pointer and keyboard activity during a recording, for the cursor effects the renderer draws into
+// the video (renderer cursorEffects.js). Positions are normalized to the captured display (0..1).
+// The cursor is polled from Electron's screen module; clicks and keys need a global input hook,
+// which comes from the optional uiohook-napi package — without it only the cursor halo works.
+// Keys are only reported as shortcuts (with Ctrl / Alt / Cmd held, or Esc and F-keys), never typing.
+const { screen } = require('electron');
+
+const POLL_MS = 16;
+const BUTTONS = { 1: 'left', 2: 'right', 3: 'middle' };
+// keys shown even without a modifier
+const STANDALONE = /^(Escape|F\d{1,2})$/;
+const PRETTY = {
+  Escape: 'Esc', Delete: 'Del', PageUp: 'PgUp', PageDown: 'PgDn',
+  ArrowLeft: '←', ArrowUp: '↑', ArrowRight: '→', ArrowDown: '↓'
+};
+
+let hook = null; // { uIOhook, names: Map<keycode, name>, modifiers: Set<keycode>, running } once loaded
+let hookError = null;
+let current = null; // { bounds, send, clicks, keys, timer, last }
+
+// loaded on first use: the native module may be missing or fail to load (e.g. no X11 libs)
+function loadHook() {
+  if (hook || hookError) return hook;
+  try {
+    const { uIOhook, UiohookKey } = require('uiohook-napi');
+    const names = new Map(Object.entries(UiohookKey).map(([name, code]) => [code, name]));
+    const modifiers = new Set(['Ctrl', 'CtrlRight', 'Alt', 'AltRight', 'Shift', 'ShiftRight', 'Meta', 'MetaRight'].map(n => UiohookKey[n]));
+    uIOhook.on('mousedown', onMouseDown);
+    uIOhook.on('keydown', onKeyDown);
+    hook = { uIOhook, names, modifiers, running: false };
+  } catch (err) {
+    hookError = err;
+    console.warn('global input hook unavailable, cursor effects limited to the halo:', err.message);
+  }
+  return hook;
+}
+
+function position() {
+  const p = screen.getCursorScreenPoint();
+  const b = current.bounds;
+  return { x: (p.x - b.x) / b.width, y: (p.y - b.y) / b.height };
+}
+
+function poll() {
+  if (!current) return;
+  const { x, y } = position();
+  if (!current.last || current.last.x !== x || current.last.y !== y) {
+    current.last = { x, y };
+    current.send({ type: 'move', x, y });
+  }
+}
+
+function onMouseDown(e) {
+  if (!current || !current.clicks) return;
+  // the hook reports physical pixels on some platforms; Electron's DIP position matches the display bounds
+  current.send({ type: 'click', button: BUTTONS[e.button] || 'left', ...position() });
+}
+
+function keyLabel(e) {
+  if (hook.modifiers.has(e.keycode)) return null;
+  const name = hook.names.get(e.keycode);
+  if (!name) return null;
+  const mac = process.platform === 'darwin';
+  const mods = [];
+  if (e.ctrlKey) mods.push('Ctrl');
+  if (e.altKey) mods.push(mac ? 'Option' : 'Alt');
+  if (e.metaKey) mods.push(mac ? 'Cmd' : process.platform === 'win32' ? 'Win' : 'Super');
+  // Shift alone is typing (capitals, symbols); with another modifier it is part of the shortcut
+  if (!mods.length && !STANDALONE.test(name)) return null;
+  if (e.shiftKey) mods.push('Shift');
+  return [...mods, PRETTY[name] || name].join('+');
+}
+
+function onKeyDown(e) {
+  if (!current || !current.keys) return;
+  const label = keyLabel(e);
+  if (label) current.send({ type: 'key', label });
+}
+
+/*
+  Start reporting for the display showing `displayId`; send(event) receives
+  { type: 'move', x, y } | { type: 'click', button, x, y } | { type: 'key', label }.
+  Returns what is actually available: { clicks, keys }.
+*/
+function startTracking(displayId, { clicks = false, keys = false } = {}, send) {
+  stopTracking();
+  const display = screen.getAllDisplays().find(d => String(d.id) === String(displayId)) || screen.getPrimaryDisplay();
+  const h = (clicks || keys) ? loadHook() : null;
+  current = { bounds: display.bounds, send, clicks: !!(h && clicks), keys: !!(h && keys), timer: null, last: null };
+  current.timer = setInterval(poll, POLL_MS);
+  poll();
+  if (h && !h.running) {
+    try {
+      h.uIOhook.start();
+      h.running = true;
+    } catch (err) {
+      console.warn('global input hook failed to start', err.message);
+      current.clicks = false;
+      current.keys = false;
+    }
+  }
+  return { clicks: current.clicks, keys: current.keys };
+}
+
+function stopTracking() {
+  if (current) clearInterval(current.timer);
+  current = null;
+  // release the hook between recordings so nothing is listening to the keyboard
+  if (hook && hook.running) {
+    try { hook.uIOhook.stop(); } catch (err) { console.warn('global input hook stop failed', err.message); }
+    hook.running = false;
+  }
+}
+
+module.exports = {
+  startTracking,
+  stopTracking
+};
@@ -0,0 +1,173 @@
+// main/ipc.js
+// Validated IPC. Every handler is registered through handle()/on(): the sender must be one of
+// the app's own pages and the payload must match the channel's schema before the handler runs.
+// Failures always reach the renderer as { success: false, error: <message>, code: <ERROR_CODES> }.
+const { ipcMain } = require('electron');
+
+const ERROR_CODES = {
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  // a filesystem path outside the recordings folder
+  OUTSIDE_RECORDINGS: 'OUTSIDE_RECORDINGS',
+  NOT_FOUND: 'NOT_FOUND',
+  // IPC from a page that isn't part of the app
+  FORBIDDEN: 'FORBIDDEN',
+  // no verified account session, or a wrong / expired sign-in code
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  // too many attempts; the failure carries retryAfterMs
+  RATE_LIMITED: 'RATE_LIMITED',
+  // recording allowance used up; the failure carries quota (see quota.js)
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  // an email (sign-in code) could not be sent; the failure carries retryable
+  EMAIL_FAILED: 'EMAIL_FAILED',
+  // the install secret can't be decrypted right now (e.g. the OS keychain is locked)
+  SECRET_UNAVAILABLE: 'SECRET_UNAVAILABLE',
+  FAILED: 'FAILED'
+};
+
+// extra: additional fields for the failure response (e.g. { retryAfterMs })
+class IpcError extends Error {
+  constructor(code, message, extra = null) {
+    super(message);
+    this.name = 'IpcError';
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+function invalid(message) {
+  return new IpcError(ERROR_CODES.INVALID_ARGUMENT, message);
+}
+
+/* ---------- payload schemas ---------- */
+
+// A JSON-schema subset, the same vocabulary as the settings SCHEMA:
+// type (string or array of types, plus 'binary' for ArrayBuffer / typed arrays / Buffer),
+// enum, minimum, maximum, minLength, maxLength, pattern, properties, required,
+// additionalProperties (false or a schema), items, minItems, maxItems.
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return 'binary';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validate(value, schema, where = 'payload') {
+  if (!schema) return;
+  if (value === undefined) {
+    if (schema.optional) return;
+    throw invalid(`${where} is required`);
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) throw invalid(`${where} must be ${types.join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) throw invalid(`${where} must be one of ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw invalid(`${where} must be a finite number`);
+    if (schema.minimum != null && value < schema.minimum) throw invalid(`${where} must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) throw invalid(`${where} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) throw invalid(`${where} is too short`);
+    if (schema.maxLength != null && value.length > schema.maxLength) throw invalid(`${where} is too long`);
+    if (schema.pattern && !schema.pattern.test(value)) throw invalid(`${where} has an invalid format`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) throw invalid(`${where} needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems != null && value.length > schema.maxItems) throw invalid(`${where} has too many items`);
+    if (schema.items) value.forEach((v, i) => validate(v, schema.items, `${where}[${i}]`));
+  }
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) throw invalid(`${where}.${key} is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) validate(v, props[key], `${where}.${key}`);
+      else if (schema.additionalProperties === false) throw invalid(`${where}.${key} is not allowed`);
+      else if (schema.additionalProperties) validate(v, schema.additionalProperties, `${where}.${key}`);
+    }
+  }
+}
+
+// shorthands for the common field shapes
+const S = {
+  none: null,
+  string: (max = 1000, extra = {}) => ({ type: 'string', maxLength: max, ...extra }),
+  path: { type: 'string', minLength: 1, maxLength: 4096 },
+  id: { type: 'string', minLength: 1, maxLength: 100 },
+  object: (properties, required = [], extra = {}) => ({ type: 'object', properties, required, additionalProperties: false, ...extra }),
+  optional: (schema) => ({ ...schema, optional: true })
+};
+
+/* ---------- senders ---------- */
+
+// the app's own pages: bundled files, or the Vite dev server while developing
+function isTrustedSender(event) {
+  const frame = event.senderFrame;
+  if (!frame || !frame.url) return false;
+  try {
+    const url = new URL(frame.url);
+    if (url.protocol === 'file:') return true;
+    const devUrl = process.env.VITE_DEV_SERVER_URL;
+    return !!devUrl && url.origin === new URL(devUrl).origin;
+  } catch {
+    return false;
+  }
+}
+
+function toFailure(err) {
+  const code = err instanceof IpcError ? err.code
+    : err && err.code === 'ENOENT' ? ERROR_CODES.NOT_FOUND
+      : ERROR_CODES.FAILED;
+  return { ...(err instanceof IpcError && err.extra), success: false, error: (err && err.message) || String(err), code };
+}
+
+/*
+  ipcMain.handle with validation. `fn(event, payload)` returns the response fields (or a full
+  { success, ... } object) and throws on failure; the error is logged as "<channel> error".
+*/
+function handle(channel, schema, fn) {
+  ipcMain.handle(channel, async (event, payload) => {
+    try {
+      if (!isTrustedSender(event)) throw new IpcError(ERROR_CODES.FORBIDDEN, 'IPC from an untrusted page');
+      validate(payload, schema);
+      const result = await fn(event, payload);
+      if (result && result.success === false) return { code: ERROR_CODES.FAILED, ...result };
+      return { success: true, ...result };
+    } catch (err) {
+      console.error(`${channel} error`, err);
+      return toFailure(err);
+    }
+  });
+}
+
+// ipcMain.on with the same checks; invalid messages are dropped (there is no reply to carry an error)
+function on(channel, schema, fn) {
+  ipcMain.on(channel, (event, payload) => {
+    try {
+      if (!isTrustedSender(event)) throw new IpcError(ERROR_CODES.FORBIDDEN, 'IPC from an untrusted page');
+      validate(payload, schema);
+    } catch (err) {
+      console.warn(`${channel} message dropped:`, err.message);
+      return;
+    }
+    fn(event, payload);
+  });
+}
+
+module.exports = {
+  ERROR_CODES,
+  IpcError,
+  S,
+  validate,
+  handle,
+  on
+};
@@ -0,0 +1,285 @@
+// main/library.js
+// Recording library index: one JSON file per recordings folder
+// (<folder>/.xigrecorder/library.json) holding probed facts (duration, resolution)
+// and capture/user metadata for every .webm in the folder.
+// Separate audio tracks (<name>.mic.webm / <name>.system.webm) are not entries of their own:
+// they are listed on their recording as `audioTracks`.
+// Parts of a segmented recording (<base>_part001.webm, ...) carry `segmentGroup` (<base>) and
+// `segmentIndex` so the list can show them as one session.
+// Chapter markers dropped while recording are kept as `markers` ([{ timeMs, name }], see chapters.js).
+const fs = require('fs');
+const path = require('path');
+const webm = require('./webm');
+const { normalizeMarkers } = require('./chapters');
+
+const INDEX_VERSION = 1;
+const META_DIR = '.xigrecorder';
+
+// capture-time fields accepted from the renderer when a recording is saved
+const CAPTURE_FIELDS = ['sourceName', 'mode', 'micLabel', 'accountEmail', 'segmentGroup'];
+
+// raw per-source audio files written next to a recording, by kind
+const SIDE_TRACK_KINDS = ['mic', 'system'];
+const SIDE_TRACK_RE = /^(.+)\.(mic|system)\.webm$/i;
+const SEGMENT_RE = /^(.+)_part(\d{3,})\.webm$/i;
+
+// folder -> promise chain, so concurrent updates never interleave read/modify/write
+const queues = new Map();
+
+function metaDir(folder) {
+  return path.join(folder, META_DIR);
+}
+
+function indexPath(folder) {
+  return path.join(metaDir(folder), 'library.json');
+}
+
+function serialize(folder, task) {
+  const prev = queues.get(folder) || Promise.resolve();
+  const run = prev.then(task);
+  queues.set(folder, run.catch(() => {}));
+  return run;
+}
+
+async function readIndex(folder) {
+  try {
+    const raw = JSON.parse(await fs.promises.readFile(indexPath(folder), 'utf8'));
+    if (raw && raw.version === INDEX_VERSION && raw.entries && typeof raw.entries === 'object') return raw;
+    console.warn('library index has an unknown format, rebuilding');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('library index unreadable, rebuilding', err.message);
+  }
+  return { version: INDEX_VERSION, entries: {} };
+}
+
+async function writeIndex(folder, index) {
+  await fs.promises.mkdir(metaDir(folder), { recursive: true });
+  const file = indexPath(folder);
+  const tmp = file + '.tmp';
+  await fs.promises.writeFile(tmp, JSON.stringify(index, null, 2));
+  await fs.promises.rename(tmp, file);
+}
+
+// duration + resolution straight from the file; missing values stay null
+async function probe(filePath) {
+  try {
+    // finalized recordings carry their Duration in the header; only files without one get the full scan
+    let { info, tracks } = await webm.readWebmHeader(filePath);
+    let durationMs = Math.round(webm.infoDurationMs(info)) || null;
+    if (!durationMs) {
+      const scan = await webm.scanWebm(filePath);
+      tracks = scan.tracks;
+      durationMs = Math.round(webm.durationMs(scan)) || null;
+    }
+    const video = tracks.find(t => t.type === webm.TRACK_VIDEO);
+    return {
+      durationMs,
+      width: video ? video.width : null,
+      height: video ? video.height : null,
+      hasVideo: !!video,
+      hasAudio: tracks.some(t => t.type === webm.TRACK_AUDIO)
+    };
+  } catch (err) {
+    console.warn('library probe failed', filePath, err.message);
+    return { durationMs: null, width: null, height: null, hasVideo: null, hasAudio: null };
+  }
+}
+
+// <dir>/<base>.<kind>.webm for a recording at <dir>/<base>.webm
+function sideTrackPath(filePath, kind) {
+  return filePath.slice(0, -path.extname(filePath).length) + `.${kind}.webm`;
+}
+
+// the side tracks that exist for a recording: [{ kind, name, path, size }]
+async function sideTracks(filePath) {
+  const found = [];
+  for (const kind of SIDE_TRACK_KINDS) {
+    const p = sideTrackPath(filePath, kind);
+    try {
+      const stat = await fs.promises.stat(p);
+      found.push({ kind, name: path.basename(p), path: p, size: stat.size });
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('side track stat failed', p, err.message);
+    }
+  }
+  return found;
+}
+
+function emptyEntry(name) {
+  return {
+    name,
+    title: '',
+    tags: [],
+    sourceName: null,
+    mode: null,
+    micLabel: null,
+    accountEmail: null,
+    segmentGroup: null,
+    segmentIndex: null,
+    markers: [],
+    createdAt: null
+  };
+}
+
+// segment info for entries indexed without it (recovered parts, older index): from the file name
+function withSegment(entry) {
+  if (entry.segmentGroup) return entry;
+  const m = SEGMENT_RE.exec(entry.name);
+  return m ? { ...entry, segmentGroup: m[1], segmentIndex: Number(m[2]) } : entry;
+}
+
+/*
+  Bring the index in line with the folder: drop entries whose file is gone, (re)probe files
+  that are new or whose size/mtime changed. User metadata survives re-probing.
+  Side tracks whose recording exists are grouped onto it instead of being indexed.
+  Returns the entries (newest first) with `path` and `audioTracks` filled in.
+*/
+function syncLibrary(folder) {
+  return serialize(folder, async () => {
+    const index = await readIndex(folder);
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(folder)).filter(f => f.toLowerCase().endsWith('.webm'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const present = new Set(files);
+    const isSideTrack = name => {
+      const m = SIDE_TRACK_RE.exec(name);
+      return !!m && present.has(m[1] + '.webm');
+    };
+    const sides = files.filter(isSideTrack);
+    files = files.filter(name => !isSideTrack(name));
+
+    let changed = false;
+    const next = {};
+    for (const name of files) {
+      const full = path.join(folder, name);
+      let stat;
+      try { stat = await fs.promises.stat(full); } catch { continue; }
+      const prev = index.entries[name];
+      if (prev && prev.size === stat.size && prev.mtimeMs === stat.mtimeMs) {
+        next[name] = prev;
+        continue;
+      }
+      next[name] = {
+        ...emptyEntry(name),
+        ...prev,
+        ...(await probe(full)),
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        createdAt: (prev && prev.createdAt) || stat.birthtimeMs || stat.mtimeMs
+      };
+      changed = true;
+    }
+    if (Object.keys(index.entries).some(name => !next[name])) changed = true;
+
+    if (changed) {
+      index.entries = next;
+      await writeIndex(folder, index);
+    }
+    const entries = Object.values(next).map(e => ({ ...withSegment(e), path: path.join(folder, e.name), audioTracks: [] }));
+    const withSides = new Set(sides.map(name => SIDE_TRACK_RE.exec(name)[1] + '.webm'));
+    for (const entry of entries) {
+      if (withSides.has(entry.name)) entry.audioTracks = await sideTracks(entry.path);
+    }
+    return entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  });
+}
+
+// record capture metadata (and the markers dropped while recording) for a freshly saved file; probes it as well
+function addRecording(filePath, meta = {}, markers = []) {
+  const folder = path.dirname(filePath);
+  const name = path.basename(filePath);
+  return serialize(folder, async () => {
+    const index = await readIndex(folder);
+    const stat = await fs.promises.stat(filePath);
+    const capture = {};
+    for (const k of CAPTURE_FIELDS) {
+      if (typeof meta[k] === 'string' && meta[k]) capture[k] = meta[k].slice(0, 200);
+    }
+    if (capture.segmentGroup && Number.isInteger(meta.segmentIndex) && meta.segmentIndex > 0) {
+      capture.segmentIndex = meta.segmentIndex;
+    } else {
+      delete capture.segmentGroup;
+    }
+    const probed = await probe(filePath);
+    index.entries[name] = {
+      ...emptyEntry(name),
+      ...index.entries[name],
+      ...capture,
+      ...probed,
+      markers: normalizeMarkers(markers, probed.durationMs),
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      createdAt: Date.now()
+    };
+    await writeIndex(folder, index);
+    return { ...index.entries[name], path: filePath };
+  });
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const t of tags) {
+    const tag = String(t || '').trim().slice(0, 40);
+    if (tag && !seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      out.push(tag);
+    }
+  }
+  return out.slice(0, 20);
+}
+
+// user-editable fields: title, tags, markers
+function updateRecordingMeta(filePath, { title, tags, markers } = {}) {
+  const folder = path.dirname(filePath);
+  const name = path.basename(filePath);
+  return serialize(folder, async () => {
+    const index = await readIndex(folder);
+    const entry = index.entries[name];
+    if (!entry) throw new Error('Recording is not in the library');
+    if (title !== undefined) entry.title = String(title || '').trim().slice(0, 200);
+    if (tags !== undefined) entry.tags = normalizeTags(tags);
+    if (markers !== undefined) entry.markers = normalizeMarkers(markers, entry.durationMs);
+    await writeIndex(folder, index);
+    return { ...entry, path: filePath };
+  });
+}
+
+// the indexed entry for one file, or null
+function getEntry(filePath) {
+  const folder = path.dirname(filePath);
+  return serialize(folder, async () => {
+    const entry = (await readIndex(folder)).entries[path.basename(filePath)];
+    return entry ? { ...entry, path: filePath } : null;
+  });
+}
+
+// keep title/tags/capture metadata when a recording is renamed inside its folder
+function renameEntry(oldPath, newPath) {
+  const folder = path.dirname(oldPath);
+  return serialize(folder, async () => {
+    const index = await readIndex(folder);
+    const entry = index.entries[path.basename(oldPath)];
+    if (!entry) return;
+    delete index.entries[path.basename(oldPath)];
+    index.entries[path.basename(newPath)] = { ...entry, name: path.basename(newPath) };
+    await writeIndex(folder, index);
+  });
+}
+
+module.exports = {
+  META_DIR,
+  SIDE_TRACK_KINDS,
+  metaDir,
+  sideTrackPath,
+  sideTracks,
+  syncLibrary,
+  addRecording,
+  updateRecordingMeta,
+  renameEntry,
+  getEntry
+};
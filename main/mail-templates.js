@@ -0,0 +1,153 @@
+// main/mail-templates.js
+// Email templates: { subject, text, html } per message and locale, rendered with {{name}}
+// placeholders. In html every value is HTML-escaped; {{{name}}} inserts it unescaped and is only
+// used for markup we produce ourselves (the rendered body inside the branded layout).
+// Overrides: a JSON file (MAIL_TEMPLATES_FILE, default <userData>/mail-templates.json) shaped like
+// BUILTIN, e.g. { "en": { "otp": { "subject": "..." } } }, plus a top-level "layout" html string.
+// Branding comes from MAIL_BRAND_NAME, MAIL_BRAND_COLOR, MAIL_BRAND_LOGO_URL and MAIL_SUPPORT_EMAIL;
+// the locale from MAIL_LOCALE or the app's UI language, falling back to English.
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCALE = 'en';
+
+const BUILTIN = {
+  en: {
+    otp: {
+      subject: 'Your {{product}} sign-in code: {{code}}',
+      text: 'Your {{product}} sign-in code is {{code}}. It expires in {{minutes}} minutes.\n\nIf you didn\'t request this, you can ignore this email.',
+      html: '<p>Hello,</p><p>Your {{product}} sign-in code is</p><p class="code">{{code}}</p><p>It expires in {{minutes}} minutes.</p><p class="muted">If you didn\'t request this, you can ignore this email.</p>'
+    }
+  },
+  de: {
+    otp: {
+      subject: 'Dein {{product}}-Anmeldecode: {{code}}',
+      text: 'Dein {{product}}-Anmeldecode lautet {{code}}. Er läuft in {{minutes}} Minuten ab.\n\nWenn du ihn nicht angefordert hast, ignoriere diese E-Mail.',
+      html: '<p>Hallo,</p><p>dein {{product}}-Anmeldecode lautet</p><p class="code">{{code}}</p><p>Er läuft in {{minutes}} Minuten ab.</p><p class="muted">Wenn du ihn nicht angefordert hast, ignoriere diese E-Mail.</p>'
+    }
+  },
+  es: {
+    otp: {
+      subject: 'Tu código de acceso a {{product}}: {{code}}',
+      text: 'Tu código de acceso a {{product}} es {{code}}. Caduca en {{minutes}} minutos.\n\nSi no lo has solicitado, ignora este correo.',
+      html: '<p>Hola:</p><p>Tu código de acceso a {{product}} es</p><p class="code">{{code}}</p><p>Caduca en {{minutes}} minutos.</p><p class="muted">Si no lo has solicitado, ignora este correo.</p>'
+    }
+  },
+  fr: {
+    otp: {
+      subject: 'Votre code de connexion {{product}} : {{code}}',
+      text: 'Votre code de connexion {{product}} est {{code}}. Il expire dans {{minutes}} minutes.\n\nSi vous ne l\'avez pas demandé, ignorez cet e-mail.',
+      html: '<p>Bonjour,</p><p>Votre code de connexion {{product}} est</p><p class="code">{{code}}</p><p>Il expire dans {{minutes}} minutes.</p><p class="muted">Si vous ne l\'avez pas demandé, ignorez cet e-mail.</p>'
+    }
+  }
+};
+
+// inline styles only: most mail clients drop <style> blocks
+const LAYOUT = [
+  '<!doctype html><html lang="{{locale}}"><body style="margin:0;padding:24px;background:#f4f6f8;font-family:Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#1b2430;">',
+  '<div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:12px;overflow:hidden;">',
+  '<div style="padding:16px 24px;background:{{color}};color:#ffffff;font-weight:700;font-size:18px;">{{{logo}}}{{product}}</div>',
+  '<div style="padding:24px;font-size:15px;line-height:1.5;">{{{content}}}</div>',
+  '{{{footer}}}',
+  '</div></body></html>'
+].join('');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+// {{{name}}} raw, {{name}} through `escape`; unknown names render as ''
+function fill(template, vars, escape) {
+  return String(template)
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (vars[key] != null ? escape(vars[key]) : ''));
+}
+
+function brand() {
+  const color = process.env.MAIL_BRAND_COLOR || '#7c5cff';
+  return {
+    product: process.env.MAIL_BRAND_NAME || 'XigRecorder',
+    // only a plain CSS color can go into the style attribute
+    color: /^#[0-9a-f]{3,8}$|^[a-z]+$/i.test(color) ? color : '#7c5cff',
+    logoUrl: /^https:\/\//i.test(process.env.MAIL_BRAND_LOGO_URL || '') ? process.env.MAIL_BRAND_LOGO_URL : '',
+    supportEmail: process.env.MAIL_SUPPORT_EMAIL || ''
+  };
+}
+
+function overridesPath() {
+  return process.env.MAIL_TEMPLATES_FILE || path.join(app.getPath('userData'), 'mail-templates.json');
+}
+
+// read on every render so edits apply without a restart; a broken file is logged and ignored
+function loadOverrides() {
+  let raw;
+  try {
+    raw = fs.readFileSync(overridesPath(), 'utf8');
+  } catch {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.warn('mail templates file is not valid JSON; using the built-in templates', err.message);
+    return {};
+  }
+}
+
+// 'pt-BR' -> ['pt-br', 'pt', 'en']
+function localeChain(locale) {
+  const tag = String(locale || '').toLowerCase().replace('_', '-');
+  return [...new Set([tag, tag.split('-')[0], DEFAULT_LOCALE].filter(Boolean))];
+}
+
+function pickTemplate(name, locale, overrides) {
+  for (const loc of localeChain(locale)) {
+    const base = BUILTIN[loc] && BUILTIN[loc][name];
+    const over = overrides[loc] && overrides[loc][name];
+    if (base || over) return { locale: loc, template: { ...(BUILTIN[DEFAULT_LOCALE][name] || {}), ...base, ...over } };
+  }
+  throw new Error(`Unknown email template "${name}"`);
+}
+
+/*
+  render('otp', { code, minutes }) -> { subject, text, html, locale }
+  vars are available to the templates next to product / color / supportEmail.
+*/
+function render(name, vars = {}, locale = process.env.MAIL_LOCALE || app.getLocale()) {
+  const overrides = loadOverrides();
+  const { locale: used, template } = pickTemplate(name, locale, overrides);
+  const b = brand();
+  const all = { ...vars, product: b.product, color: b.color, supportEmail: b.supportEmail, locale: used };
+  const plain = v => String(v);
+
+  const content = fill(template.html, all, escapeHtml);
+  const logo = b.logoUrl ? `<img src="${escapeHtml(b.logoUrl)}" alt="" height="24" style="vertical-align:middle;margin-right:8px;">` : '';
+  const footer = b.supportEmail
+    ? `<div style="padding:12px 24px;font-size:12px;color:#6b7785;border-top:1px solid #e6eaee;">${escapeHtml(b.supportEmail)}</div>`
+    : '';
+  const html = fill(typeof overrides.layout === 'string' ? overrides.layout : LAYOUT, { ...all, content, logo, footer }, escapeHtml)
+    // the "code" / "muted" classes of the built-in bodies, inlined for mail clients
+    .replace(/<p class="code">/g, `<p style="font-size:28px;font-weight:700;letter-spacing:6px;color:${all.color};">`)
+    .replace(/<p class="muted">/g, '<p style="color:#6b7785;font-size:13px;">');
+
+  let text = fill(template.text, all, plain);
+  if (b.supportEmail) text += `\n\n— ${b.product} · ${b.supportEmail}`;
+
+  return {
+    // one line, whatever the template or the values contain
+    subject: fill(template.subject, all, plain).replace(/[\r\n]+/g, ' ').trim(),
+    text,
+    html,
+    locale: used
+  };
+}
+
+module.exports = {
+  BUILTIN,
+  escapeHtml,
+  render
+};
@@ -0,0 +1,312 @@
+// main/mailer.js
+// Outgoing email behind one interface: transport.send({ to, subject, text, html }).
+// MAIL_TRANSPORT picks the transport:
+//   brevo  Brevo HTTPS API (BREVO_API_KEY)
+//   smtp   any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file   writes .eml files to MAIL_DROP_DIR (default <userData>/mail-drop) and logs them;
+//          for offline development and tests, never picked by default in a packaged app
+// Without MAIL_TRANSPORT: brevo when a key is set, else smtp when a host is set, else file in development.
+// Every failure is a MailError whose `retryable` says whether trying again later can help.
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const FROM_EMAIL = process.env.MAIL_FROM || process.env.BREVO_FROM_EMAIL || process.env.BREVO_FROM || 'no-reply@example.com';
+const FROM_NAME = process.env.MAIL_FROM_NAME || process.env.BREVO_FROM_NAME || 'XigRecorder';
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+class MailError extends Error {
+  constructor(message, { retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'MailError';
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+// CR / LF in an address or name would start a new header
+function checkHeaderValue(value, what) {
+  if (/[\r\n]/.test(String(value))) throw new MailError(`Invalid ${what}`);
+  return String(value);
+}
+
+/* ---------- MIME ---------- */
+
+function encodeWord(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// RFC 5322 message with text + HTML alternatives (base64 bodies, so no line ever starts with a dot)
+function buildMime({ from, fromName, to, subject, text, html }) {
+  const boundary = `=_xig_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = from.split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${encodeWord(fromName).replace(/"/g, '')} <${from}>`,
+    `To: <${to}>`,
+    `Subject: ${encodeWord(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`
+  ];
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(body)
+  ].join('\r\n');
+  return [headers.join('\r\n'), '', part('text/plain', text), part('text/html', html), `--${boundary}--`, ''].join('\r\n');
+}
+
+/* ---------- brevo ---------- */
+
+function brevoTransport() {
+  const apiKey = process.env.BREVO_API_KEY || process.env.APIKEY || process.env.BREVO_KEY;
+  return {
+    name: 'brevo',
+    async send({ to, subject, text, html }) {
+      if (!apiKey) throw new MailError('No Brevo API key configured (BREVO_API_KEY)');
+      // Electron's Node has fetch; node-fetch is only a fallback
+      const doFetch = typeof global.fetch === 'function' ? global.fetch : (await import('node-fetch')).default;
+      let res;
+      try {
+        res = await doFetch('https://api.brevo.com/v3/smtp/email', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'api-key': apiKey },
+          body: JSON.stringify({
+            sender: { name: FROM_NAME, email: FROM_EMAIL },
+            to: [{ email: to }],
+            subject,
+            htmlContent: html,
+            textContent: text
+          })
+        });
+      } catch (err) {
+        throw new MailError(`Could not reach the email service (${err.message})`, { retryable: true, cause: err });
+      }
+      if (!res.ok) {
+        const detail = (await res.text().catch(() => '')).slice(0, 300);
+        const retryable = res.status === 429 || res.status >= 500;
+        const reason = res.status === 401 || res.status === 403 ? 'the API key was rejected' : `HTTP ${res.status}`;
+        throw new MailError(`Email service error: ${reason}${detail ? ` — ${detail}` : ''}`, { retryable });
+      }
+      return res.json();
+    }
+  };
+}
+
+/* ---------- smtp ---------- */
+
+// reads SMTP replies ("250-..." continuation lines, "250 ..." final line) off a socket
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const deliver = (reply) => (waiters.length ? waiters.shift().resolve(reply) : replies.push(reply));
+  const fail = (err) => {
+    failure = failure || err;
+    while (waiters.length) waiters.shift().reject(failure);
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        deliver({ code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+    }
+  };
+
+  const attach = (s) => {
+    s.on('data', onData);
+    s.on('error', err => fail(new MailError(`SMTP connection failed (${err.message})`, { retryable: true, cause: err })));
+    s.on('close', () => fail(new MailError('SMTP server closed the connection', { retryable: true })));
+    s.setTimeout(SMTP_TIMEOUT_MS, () => {
+      fail(new MailError('SMTP server timed out', { retryable: true }));
+      s.destroy();
+    });
+  };
+  attach(socket);
+
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    // after STARTTLS the old socket's events no longer matter
+    switchTo(s) {
+      socket.removeListener('data', onData);
+      socket.removeAllListeners('close');
+      socket.removeAllListeners('error');
+      attach(s);
+    }
+  };
+}
+
+function smtpTransport() {
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 587);
+  // implicit TLS (usually port 465); otherwise STARTTLS is required unless SMTP_ALLOW_INSECURE=true
+  const secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465;
+  const allowInsecure = process.env.SMTP_ALLOW_INSECURE === 'true';
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      if (!host) throw new MailError('No SMTP server configured (SMTP_HOST)');
+      let socket = secure
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+      const reader = replyReader(socket);
+
+      // send a command and insist on one of the expected reply codes
+      const command = async (line, expect, shown = line) => {
+        if (line != null) socket.write(line + '\r\n');
+        const reply = await reader.next();
+        if (!expect.includes(reply.code)) {
+          // 4xx is temporary by definition; 5xx is a permanent refusal
+          throw new MailError(`SMTP ${shown ? shown.split(' ')[0] + ' ' : ''}failed: ${reply.code} ${reply.lines.join(' ')}`.trim(), { retryable: reply.code >= 400 && reply.code < 500 });
+        }
+        return reply;
+      };
+
+      try {
+        await command(null, [220]);
+        const helo = `EHLO ${os.hostname().replace(/[^\w.-]/g, '') || 'localhost'}`;
+        let ehlo = await command(helo, [250]);
+        const has = (ext) => ehlo.lines.some(l => l.toUpperCase().startsWith(ext));
+
+        if (!secure) {
+          if (has('STARTTLS')) {
+            await command('STARTTLS', [220]);
+            const plain = socket;
+            socket = tls.connect({ socket: plain, servername: host });
+            reader.switchTo(socket);
+            await new Promise((resolve, reject) => {
+              socket.once('secureConnect', resolve);
+              socket.once('error', reject);
+            }).catch(err => { throw new MailError(`SMTP TLS handshake failed (${err.message})`, { retryable: false, cause: err }); });
+            ehlo = await command(helo, [250]);
+          } else if (!allowInsecure) {
+            throw new MailError('SMTP server does not offer STARTTLS (set SMTP_ALLOW_INSECURE=true to send anyway)');
+          }
+        }
+
+        if (user) {
+          const auth = ehlo.lines.find(l => l.toUpperCase().startsWith('AUTH')) || '';
+          if (/\bPLAIN\b/i.test(auth)) {
+            await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235], 'AUTH');
+          } else {
+            await command('AUTH LOGIN', [334]);
+            await command(Buffer.from(user).toString('base64'), [334], 'AUTH');
+            await command(Buffer.from(pass || '').toString('base64'), [235], 'AUTH');
+          }
+        }
+
+        await command(`MAIL FROM:<${FROM_EMAIL}>`, [250]);
+        await command(`RCPT TO:<${to}>`, [250, 251]);
+        await command('DATA', [354]);
+        const mime = buildMime({ from: FROM_EMAIL, fromName: FROM_NAME, to, subject, text, html });
+        await command(mime.replace(/^\./gm, '..') + '\r\n.', [250], 'DATA');
+        await command('QUIT', [221]).catch(() => {});
+        return { ok: true };
+      } finally {
+        socket.end();
+      }
+    }
+  };
+}
+
+/* ---------- file drop ---------- */
+
+function fileTransport() {
+  const dir = process.env.MAIL_DROP_DIR || path.join(app.getPath('userData'), 'mail-drop');
+  return {
+    name: 'file',
+    async send({ to, subject, text, html }) {
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`);
+        await fs.promises.writeFile(file, buildMime({ from: FROM_EMAIL, fromName: FROM_NAME, to, subject, text, html }));
+        // development transport: showing the message is the point
+        console.log(`[mail:file] to ${to} — ${subject}\n${text}\n-> ${file}`);
+        return { file };
+      } catch (err) {
+        throw new MailError(`Could not write the email to ${dir} (${err.message})`, { cause: err });
+      }
+    }
+  };
+}
+
+/* ---------- selection ---------- */
+
+const TRANSPORTS = { brevo: brevoTransport, smtp: smtpTransport, file: fileTransport };
+
+let transport = null;
+
+function configuredName() {
+  const name = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+  if (name) return name;
+  if (process.env.BREVO_API_KEY || process.env.APIKEY || process.env.BREVO_KEY) return 'brevo';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return app.isPackaged ? null : 'file';
+}
+
+function getTransport() {
+  if (transport) return transport;
+  const name = configuredName();
+  if (!name) throw new MailError('No email transport configured (set MAIL_TRANSPORT, BREVO_API_KEY or SMTP_HOST)');
+  if (!TRANSPORTS[name]) throw new MailError(`Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(TRANSPORTS).join(', ')})`);
+  transport = TRANSPORTS[name]();
+  return transport;
+}
+
+// for the startup log: which transport will be used, or why none can be
+function describeTransport() {
+  try {
+    return getTransport().name;
+  } catch (err) {
+    return `none (${err.message})`;
+  }
+}
+
+// message: { to, subject, text, html }; throws MailError
+async function sendMail(message) {
+  const to = checkHeaderValue(message.to, 'recipient');
+  const subject = checkHeaderValue(message.subject, 'subject');
+  const t = getTransport();
+  try {
+    return await t.send({ ...message, to, subject });
+  } catch (err) {
+    if (err instanceof MailError) throw err;
+    throw new MailError(`Email could not be sent (${err.message})`, { retryable: true, cause: err });
+  }
+}
+
+module.exports = {
+  MailError,
+  TRANSPORTS,
+  buildMime,
+  sendMail,
+  describeTransport
+};
@@ -1,11 +1,50 @@
 // main/preload.js
+// Runs sandboxed: only the fixed electronAPI below reaches the page, and every call goes through
+// an allowlisted channel. Payloads are validated again in main (ipc.js); a failed invoke resolves
+// to { success: false, error, code } with code one of INVALID_ARGUMENT | OUTSIDE_RECORDINGS |
+// NOT_FOUND | FORBIDDEN | UNAUTHORIZED | RATE_LIMITED (+ retryAfterMs) | QUOTA_EXCEEDED (+ quota) |
+// EMAIL_FAILED (+ retryable) | FAILED.
 const { contextBridge, ipcRenderer } = require('electron');
 
 console.log('PRELOAD starting — process.type=', process?.type);
 
+const INVOKE_CHANNELS = new Set([
+  'desktop-get-sources', 'shortcut-status',
+  'schedule-list', 'schedule-add', 'schedule-remove',
+  'settings-get', 'settings-set', 'settings-reset', 'choose-output-folder', 'clear-output-folder', 'next-recording-filename',
+  'select-region', 'save-video',
+  'recording-open', 'recording-append', 'recording-finalize', 'recording-abort',
+  'list-recordings', 'open-recordings-folder', 'reveal-recording', 'get-thumbnails',
+  'rename-recording', 'trash-recordings', 'undo-trash', 'move-recordings', 'update-recording-meta',
+  'list-interrupted-recordings', 'recover-recording', 'discard-recording',
+  'export-presets', 'export-start', 'export-cancel', 'trim-info', 'trim-start',
+  'send-otp', 'verify-otp', 'auth-session', 'auth-logout', 'quota-get', 'markers-export',
+  'input-tracking-start', 'input-tracking-stop', 'annotation-target', 'annotation-toggle'
+]);
+const SEND_CHANNELS = new Set(['recorder-state', 'schedule-start-failed']);
+const EVENT_CHANNELS = new Set(['recorder-command', 'shortcut-status', 'schedule-changed', 'trash-committed', 'export-event', 'auth-changed', 'quota-changed', 'input-event', 'annotation-mode']);
+
+function invoke(channel, payload) {
+  if (!INVOKE_CHANNELS.has(channel)) return Promise.reject(new Error(`Blocked IPC channel: ${channel}`));
+  return ipcRenderer.invoke(channel, payload);
+}
+
+function send(channel, payload) {
+  if (!SEND_CHANNELS.has(channel)) throw new Error(`Blocked IPC channel: ${channel}`);
+  ipcRenderer.send(channel, payload);
+}
+
+// the page only ever sees the payload, never the IpcRendererEvent (its .sender is ipcRenderer itself)
+function subscribe(channel, cb) {
+  if (!EVENT_CHANNELS.has(channel)) throw new Error(`Blocked IPC channel: ${channel}`);
+  const listener = (event, payload) => cb(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+}
+
 contextBridge.exposeInMainWorld('electronAPI', {
   getSources: async (opts) => {
-    const res = await ipcRenderer.invoke('desktop-get-sources', opts);
+    const res = await invoke('desktop-get-sources', opts);
     if (!res || !res.success) {
       const e = new Error(res && res.error ? res.error : 'failed to get sources from main');
       console.error('electronAPI.getSources error in preload (from main):', e);
@@ -14,17 +53,89 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return res.sources;
   },
 
-  saveVideo: (buffer, filename) => ipcRenderer.invoke('save-video', { buffer, filename }),
+  // remote control: main forwards global-shortcut / tray actions, renderer reports its state back
+  onRecorderCommand: (cb) => subscribe('recorder-command', cb),
+  reportRecorderState: (state) => send('recorder-state', state),
+  getShortcutStatus: () => invoke('shortcut-status'),
+  onShortcutStatus: (cb) => subscribe('shortcut-status', cb),
+
+  // cursor effects: pointer / click / shortcut events for a display while recording, positions 0..1;
+  // start resolves { clicks, keys } = what the global input hook can actually report
+  startInputTracking: (displayId, { clicks, keys }) => invoke('input-tracking-start', { displayId, clicks, keys }),
+  stopInputTracking: () => invoke('input-tracking-stop'),
+  onInputEvent: (cb) => subscribe('input-event', cb),
+  // on-screen drawing: armed for a display while recording (null disarms); the hotkey or
+  // toggleAnnotation() switches draw mode, onAnnotationMode receives { drawing }
+  setAnnotationTarget: (displayId) => invoke('annotation-target', { displayId }),
+  toggleAnnotation: () => invoke('annotation-toggle'),
+  onAnnotationMode: (cb) => subscribe('annotation-mode', cb),
+
+  // scheduled recordings (stored and timed in main); the start itself arrives as recorder command 'scheduled-start'
+  getSchedule: () => invoke('schedule-list'),
+  addScheduledRecording: (job) => invoke('schedule-add', job),
+  removeScheduledRecording: (jobId) => invoke('schedule-remove', jobId),
+  reportScheduleStartFailed: (jobId, error) => send('schedule-start-failed', { jobId, error }),
+  onScheduleChanged: (cb) => subscribe('schedule-changed', cb),
+
+  // settings (persisted in main)
+  getSettings: () => invoke('settings-get'),
+  updateSettings: (patch) => invoke('settings-set', patch),
+  resetSettings: () => invoke('settings-reset'),
+  chooseOutputFolder: () => invoke('choose-output-folder'),
+  clearOutputFolder: () => invoke('clear-output-folder'),
+  nextRecordingFilename: (source, mode) => invoke('next-recording-filename', { source, mode }),
+
+  // region capture: opens the full-screen selector on a display, resolves { rect (0..1) | null, pixelSize }
+  selectRegion: (displayId, aspect, initial) => invoke('select-region', { displayId, aspect, initial }),
+
+  // meta: { sourceName, mode, micLabel } stored in the library index (main adds the signed-in accountEmail)
+  saveVideo: (buffer, filename, meta, markers) => invoke('save-video', { buffer, filename, meta, markers }),
+
+  // chunked recording session (open -> append* -> finalize | abort)
+  openRecording: (filename, meta) => invoke('recording-open', { filename, meta }),
+  appendRecordingChunk: (sessionId, chunk) => invoke('recording-append', { sessionId, chunk }),
+  // markers: [{ timeMs, name }] dropped while this file was recorded (times on its own clock)
+  finalizeRecording: (sessionId, markers) => invoke('recording-finalize', { sessionId, markers }),
+  abortRecording: (sessionId) => invoke('recording-abort', { sessionId }),
+
+  listRecordings: () => invoke('list-recordings'),
+  openRecordingsFolder: () => invoke('open-recordings-folder'),
+  revealRecording: (fullPath) => invoke('reveal-recording', fullPath),
+  // { poster, sprite, frames, frameWidth, frameHeight } as data URLs, or { none: true } for audio-only files
+  getThumbnails: (filePath, durationMs) => invoke('get-thumbnails', { filePath, durationMs }),
+  // file management inside the recordings folder; trash is undoable (undoTrash) for a few seconds
+  renameRecording: (filePath, newName) => invoke('rename-recording', { filePath, newName }),
+  trashRecordings: (filePaths) => invoke('trash-recordings', { filePaths }),
+  undoTrash: (trashId) => invoke('undo-trash', trashId),
+  moveRecordings: (filePaths) => invoke('move-recordings', { filePaths }),
+  onTrashCommitted: (cb) => subscribe('trash-committed', cb),
+  updateRecordingMeta: (filePath, { title, tags, markers }) => invoke('update-recording-meta', { filePath, title, tags, markers }),
+  // chapter markers as 'vtt' (WebVTT chapters) or 'txt' (timestamp list): resolves { text } or,
+  // with save, { text, path } after a save dialog (path null when canceled)
+  exportMarkers: (filePath, format, save = false) => invoke('markers-export', { filePath, format, save }),
 
-  listRecordings: () => ipcRenderer.invoke('list-recordings'),
-  openRecordingsFolder: () => ipcRenderer.invoke('open-recordings-folder'),
-  revealRecording: (fullPath) => ipcRenderer.invoke('reveal-recording', fullPath),
+  // interrupted (.part) recordings left by a crash
+  listInterruptedRecordings: () => invoke('list-interrupted-recordings'),
+  recoverRecording: (partPath) => invoke('recover-recording', partPath),
+  discardRecording: (partPath) => invoke('discard-recording', partPath),
 
-  // OTP related
-  sendOtp: (email) => ipcRenderer.invoke('send-otp', { email }),
-  verifyOtp: (email, code) => ipcRenderer.invoke('verify-otp', { email, code }),
+  // export / transcode (ffmpeg); onExportEvent returns an unsubscribe function
+  getExportPresets: () => invoke('export-presets'),
+  startExport: (inputPath, preset, height) => invoke('export-start', { inputPath, preset, height }),
+  cancelExport: (jobId) => invoke('export-cancel', jobId),
+  // trim runs as an export job (same events / cancelExport); mode 'new' | 'replace'
+  getTrimInfo: (filePath) => invoke('trim-info', filePath),
+  startTrim: (filePath, startMs, endMs, mode) => invoke('trim-start', { filePath, startMs, endMs, mode }),
+  onExportEvent: (cb) => subscribe('export-event', cb),
 
-  invoke: (channel, ...args) => ipcRenderer.invoke(channel, ...args),
-  send: (channel, ...args) => ipcRenderer.send(channel, ...args),
-  on: (channel, cb) => ipcRenderer.on(channel, cb)
+  // account: sign-in codes by email; the session ({ email, expiresAt } | null) is kept by main
+  sendOtp: (email) => invoke('send-otp', { email }),
+  verifyOtp: (email, code) => invoke('verify-otp', { email, code }),
+  getAuthSession: () => invoke('auth-session'),
+  logout: () => invoke('auth-logout'),
+  onAuthChanged: (cb) => subscribe('auth-changed', cb),
+  // recording allowance of the signed-in account or the guest:
+  // { account, limit, used, remaining, resetsAt, limits: { guest, account } }
+  getQuota: () => invoke('quota-get'),
+  onQuotaChanged: (cb) => subscribe('quota-changed', cb)
 });
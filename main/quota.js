@@ -0,0 +1,133 @@
+// main/quota.js
+// Recording allowance per account: guests and every verified email each get their own count,
+// reset PERIOD_DAYS after the first recording of a window. Main is the only writer; each account
+// record is sealed with the install secret (auth.js), and a record that fails the check counts as
+// used up rather than as a fresh start. So does a missing record of an account auth.js has marked
+// as having one: deleting quota.json does not hand out new allowances. A record sealed under an
+// earlier install secret keeps its counts. If the secret can't be read at all, quota calls fail
+// with SECRET_UNAVAILABLE rather than guessing.
+const { IpcError, ERROR_CODES } = require('./ipc');
+const auth = require('./auth');
+
+const LIMITS = {
+  guest: Number(process.env.QUOTA_GUEST || 5),
+  account: Number(process.env.QUOTA_ACCOUNT || 10)
+};
+const PERIOD_MS = Number(process.env.QUOTA_PERIOD_DAYS || 30) * 24 * 60 * 60 * 1000;
+const GUEST_KEY = 'guest';
+
+let storePromise = null;
+
+async function getStore() {
+  if (!storePromise) {
+    storePromise = import('electron-store').then(({ default: Store }) => new Store({
+      name: 'quota',
+      // accounts: { [key]: { used, windowStart, mac } }, key 'guest' or the verified email
+      defaults: { accounts: {} },
+      clearInvalidConfig: true
+    }));
+  }
+  return storePromise;
+}
+
+function keyFor(email) {
+  return email || GUEST_KEY;
+}
+
+function recordText(key, rec) {
+  return `${key}|${rec.used}|${rec.windowStart}`;
+}
+
+// the account's current window (a new one once the old has run out)
+async function readRecord(key, now) {
+  const rec = ((await getStore()).get('accounts') || {})[key];
+  if (!rec && !(await auth.hasMark('quota', key))) return { used: 0, windowStart: null };
+  const limit = key === GUEST_KEY ? LIMITS.guest : LIMITS.account;
+  const check = rec ? await auth.checkSeal('quota', recordText(key, rec), rec.mac) : 'invalid';
+  if (check === 'other-secret') {
+    // not evidence of editing (auth.json was replaced): carry the counts over under the current secret
+    console.warn('quota record sealed under an earlier secret; keeping its counts', key);
+    const carried = { used: Math.max(0, Math.floor(Number(rec.used)) || 0), windowStart: Number.isFinite(rec.windowStart) ? rec.windowStart : null };
+    await writeRecord(key, carried);
+    return readRecord(key, now);
+  }
+  if (check === 'invalid') {
+    // re-sealed as a full window starting now, so an edited or removed record costs a period instead of resetting it
+    console.warn(rec ? 'quota record failed its check; treating it as used up' : 'quota record missing; treating it as used up', key);
+    const full = { used: limit, windowStart: now };
+    await writeRecord(key, full);
+    return full;
+  }
+  if (rec.windowStart != null && now >= rec.windowStart + PERIOD_MS) return { used: 0, windowStart: null };
+  return { used: rec.used, windowStart: rec.windowStart };
+}
+
+async function writeRecord(key, rec) {
+  await auth.addMark('quota', key);
+  const mac = await auth.seal('quota', recordText(key, rec));
+  const store = await getStore();
+  store.set('accounts', { ...store.get('accounts'), [key]: { ...rec, mac } });
+}
+
+function describe(email, rec) {
+  const limit = email ? LIMITS.account : LIMITS.guest;
+  return {
+    account: email || null,
+    limit,
+    used: Math.min(rec.used, limit),
+    remaining: Math.max(0, limit - rec.used),
+    // when the window started by the first recording runs out; null before any recording
+    resetsAt: rec.windowStart != null ? rec.windowStart + PERIOD_MS : null,
+    limits: { ...LIMITS }
+  };
+}
+
+// updates for one account run one after another, so two starts can't both take the last recording
+let queue = Promise.resolve();
+function serialize(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// { account, limit, used, remaining, resetsAt, limits } for a verified email, or the guest when null
+async function getQuota(email, now = Date.now()) {
+  return describe(email, await readRecord(keyFor(email), now));
+}
+
+// takes one recording from the allowance; throws QUOTA_EXCEEDED (with the quota) when none is left
+function consume(email, now = Date.now()) {
+  return serialize(async () => {
+    const key = keyFor(email);
+    const rec = await readRecord(key, now);
+    const quota = describe(email, rec);
+    if (quota.remaining <= 0) {
+      const when = quota.resetsAt ? ` until ${new Date(quota.resetsAt).toLocaleDateString()}` : '';
+      throw new IpcError(ERROR_CODES.QUOTA_EXCEEDED, email
+        ? `Recording limit reached (${quota.limit})${when}`
+        : `Guest limit reached (${quota.limit}). Log in to record more.`, { quota });
+    }
+    const next = { used: rec.used + 1, windowStart: rec.windowStart != null ? rec.windowStart : now };
+    await writeRecord(key, next);
+    return describe(email, next);
+  });
+}
+
+// gives back a recording that was cancelled or never got written
+function refund(email, now = Date.now()) {
+  return serialize(async () => {
+    const key = keyFor(email);
+    const rec = await readRecord(key, now);
+    if (rec.used <= 0) return describe(email, rec);
+    const next = { ...rec, used: rec.used - 1 };
+    await writeRecord(key, next);
+    return describe(email, next);
+  });
+}
+
+module.exports = {
+  LIMITS,
+  getQuota,
+  consume,
+  refund
+};
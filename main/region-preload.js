@@ -0,0 +1,9 @@
+// main/region-preload.js
+// Preload for the region selector window: a single call back to main with the chosen rect.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('regionAPI', {
+  // rect normalized to the window (0..1), or null to cancel
+  submit: (rect) => ipcRenderer.send('region-result', rect),
+  cancel: () => ipcRenderer.send('region-result', null)
+});
@@ -0,0 +1,69 @@
+// main/region-selector.js
+// Drag-to-select rectangle for region capture. Query: ?aspect=<w/h or empty>&initial=<json rect or empty>
+(function () {
+  const params = new URLSearchParams(location.search);
+  const aspect = Number(params.get('aspect')) || null;
+  let rect = null; // in CSS pixels
+  try {
+    const initial = params.get('initial') ? JSON.parse(params.get('initial')) : null;
+    if (initial) rect = { x: initial.x * innerWidth, y: initial.y * innerHeight, w: initial.w * innerWidth, h: initial.h * innerHeight };
+  } catch (e) {
+    console.warn('bad initial region', e);
+  }
+
+  const sel = document.getElementById('sel');
+  const size = document.getElementById('size');
+  const MIN = 16;
+  let anchor = null;
+
+  function render() {
+    if (!rect) { sel.style.display = 'none'; return; }
+    sel.style.display = 'block';
+    sel.style.left = rect.x + 'px';
+    sel.style.top = rect.y + 'px';
+    sel.style.width = rect.w + 'px';
+    sel.style.height = rect.h + 'px';
+    const dpr = window.devicePixelRatio || 1;
+    size.textContent = `${Math.round(rect.w * dpr)} × ${Math.round(rect.h * dpr)}`;
+  }
+
+  // rectangle from the anchor to the pointer, constrained to the aspect ratio and the screen
+  function fromPoints(ax, ay, px, py) {
+    let w = Math.abs(px - ax);
+    let h = Math.abs(py - ay);
+    if (aspect) {
+      if (w / h > aspect) w = h * aspect;
+      else h = w / aspect;
+    }
+    const maxW = px < ax ? ax : innerWidth - ax;
+    const maxH = py < ay ? ay : innerHeight - ay;
+    if (w > maxW) { w = maxW; if (aspect) h = w / aspect; }
+    if (h > maxH) { h = maxH; if (aspect) w = h * aspect; }
+    return { x: px < ax ? ax - w : ax, y: py < ay ? ay - h : ay, w, h };
+  }
+
+  function submit() {
+    if (!rect || rect.w < MIN || rect.h < MIN) return;
+    window.regionAPI.submit({ x: rect.x / innerWidth, y: rect.y / innerHeight, w: rect.w / innerWidth, h: rect.h / innerHeight });
+  }
+
+  document.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return;
+    anchor = { x: e.clientX, y: e.clientY };
+    rect = { x: e.clientX, y: e.clientY, w: 0, h: 0 };
+    render();
+  });
+  document.addEventListener('mousemove', (e) => {
+    if (!anchor) return;
+    rect = fromPoints(anchor.x, anchor.y, e.clientX, e.clientY);
+    render();
+  });
+  document.addEventListener('mouseup', () => { anchor = null; });
+  document.addEventListener('dblclick', submit);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') window.regionAPI.cancel();
+    else if (e.key === 'Enter') submit();
+  });
+
+  render();
+})();
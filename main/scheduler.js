@@ -0,0 +1,328 @@
+// main/scheduler.js
+// Scheduled (unattended) recordings. Jobs live in their own electron-store file so they survive
+// renderer reloads and app restarts. Main owns the timers and the stop conditions; the renderer
+// does the capture, driven through callbacks (the same way shortcuts and the tray drive it).
+const { powerSaveBlocker } = require('electron');
+const crypto = require('crypto');
+
+const MODES = ['video+mic', 'video-only', 'video+system', 'video+system+mic', 'audio-only'];
+const REPEATS = ['none', 'daily', 'weekly'];
+
+const MIN_DURATION_MS = 10 * 1000;
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000;
+const MIN_SIZE_BYTES = 1024 * 1024;
+// how long the renderer gets to report 'recording' after a start command (countdown included)
+const START_TIMEOUT_MS = 60 * 1000;
+// a stop that has not ended the run by then is sent again
+const STOP_RETRY_MS = 15 * 1000;
+// setTimeout can't wait longer than ~24.8 days; re-arm at least this often
+const MAX_TIMER_MS = 60 * 60 * 1000;
+const HISTORY_LIMIT = 20;
+
+let storePromise = null;
+let hooks = { startRun() {}, stopRun() {}, onChange() {} };
+let nextTimer = null;
+// stored job count as of the last arm(), for the synchronous hasUpcoming()
+let jobCount = 0;
+
+// last state the renderer reported; a manual recording blocks scheduled starts too
+let recorderState = 'idle';
+
+// the run in progress: { job, phase: 'starting' | 'running', startedAt, stopAt, stopTimer, startTimer, retryTimer, blocker, bytes, stopReason }
+let active = null;
+
+async function getStore() {
+  if (!storePromise) {
+    storePromise = import('electron-store').then(({ default: Store }) => new Store({
+      name: 'schedule',
+      defaults: { jobs: [], history: [] },
+      clearInvalidConfig: true
+    }));
+  }
+  return storePromise;
+}
+
+async function readJobs() {
+  const jobs = (await getStore()).get('jobs');
+  return Array.isArray(jobs) ? jobs : [];
+}
+
+async function writeJobs(jobs) {
+  (await getStore()).set('jobs', jobs);
+}
+
+function str(v, max) {
+  return typeof v === 'string' ? v.slice(0, max) : '';
+}
+
+// validate a job coming from the renderer; throws with a message fit for the UI
+function normalizeJob(input, now = Date.now()) {
+  if (!input || typeof input !== 'object') throw new Error('Invalid schedule');
+  const startAt = Number(input.startAt);
+  if (!Number.isFinite(startAt) || startAt < now - 60 * 1000) throw new Error('Start time is in the past');
+
+  const durationMs = input.durationMs == null ? null : Math.round(Number(input.durationMs));
+  const stopAt = input.stopAt == null ? null : Number(input.stopAt);
+  if ((durationMs == null) === (stopAt == null)) throw new Error('Choose either a duration or a stop time');
+  if (durationMs != null && !(durationMs >= MIN_DURATION_MS && durationMs <= MAX_DURATION_MS)) {
+    throw new Error('Duration must be between 10 seconds and 24 hours');
+  }
+  if (stopAt != null && !(stopAt - startAt >= MIN_DURATION_MS && stopAt - startAt <= MAX_DURATION_MS)) {
+    throw new Error('Stop time must be 10 seconds to 24 hours after the start');
+  }
+
+  const maxBytes = input.maxBytes == null ? null : Math.round(Number(input.maxBytes));
+  if (maxBytes != null && !(maxBytes >= MIN_SIZE_BYTES)) throw new Error('Size limit must be at least 1 MB');
+
+  const repeat = input.repeat || 'none';
+  if (!REPEATS.includes(repeat)) throw new Error('Invalid repeat');
+
+  const sel = input.selection || {};
+  if (!MODES.includes(sel.mode)) throw new Error('Invalid capture mode');
+  const sourceId = str(sel.sourceId, 200);
+  // the start path needs a source even for audio-only; the system picker would need someone to click
+  if (!sourceId || sourceId.startsWith('picker://')) {
+    throw new Error('Scheduled recordings need a screen or window source, not the system picker');
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    label: str(input.label, 100).trim(),
+    startAt,
+    durationMs,
+    stopAt,
+    maxBytes,
+    repeat,
+    selection: {
+      sourceId,
+      sourceName: str(sel.sourceName, 200),
+      mode: sel.mode,
+      micId: str(sel.micId, 200),
+      micLabel: str(sel.micLabel, 200)
+    },
+    createdAt: now
+  };
+}
+
+// the same wall-clock time one day / week later (setDate keeps local time across DST changes)
+function advance(ms, repeat) {
+  const d = new Date(ms);
+  d.setDate(d.getDate() + (repeat === 'weekly' ? 7 : 1));
+  return d.getTime();
+}
+
+function endOf(job, startedAt) {
+  return job.stopAt != null ? job.stopAt : startedAt + job.durationMs;
+}
+
+// move a repeating job to its next occurrence after `now`; null for one-off jobs
+function nextOccurrence(job, now) {
+  if (job.repeat === 'none') return null;
+  const next = { ...job };
+  while (next.startAt <= now) {
+    const startAt = advance(next.startAt, job.repeat);
+    if (next.stopAt != null) next.stopAt += startAt - next.startAt;
+    next.startAt = startAt;
+  }
+  return next;
+}
+
+async function addHistory(entry) {
+  const store = await getStore();
+  const history = [entry, ...(store.get('history') || [])].slice(0, HISTORY_LIMIT);
+  store.set('history', history);
+}
+
+async function getState() {
+  const store = await getStore();
+  const jobs = (await readJobs()).sort((a, b) => a.startAt - b.startAt);
+  return {
+    jobs,
+    history: store.get('history') || [],
+    active: active ? { jobId: active.job.id, label: active.job.label, phase: active.phase, startedAt: active.startedAt, stopAt: active.stopAt } : null
+  };
+}
+
+function notify() {
+  getState().then(hooks.onChange).catch(err => console.warn('schedule notify failed', err));
+}
+
+/* ---------- timers ---------- */
+
+function arm() {
+  clearTimeout(nextTimer);
+  nextTimer = null;
+  readJobs().then(jobs => {
+    jobCount = jobs.length;
+    if (!jobs.length) return;
+    const due = Math.min(...jobs.map(j => j.startAt));
+    nextTimer = setTimeout(() => tick().catch(err => console.error('schedule tick failed', err)), Math.max(0, Math.min(MAX_TIMER_MS, due - Date.now())));
+  }).catch(err => console.warn('schedule arm failed', err));
+}
+
+async function tick() {
+  const now = Date.now();
+  const jobs = await readJobs();
+  const remaining = [];
+  for (const job of jobs) {
+    if (job.startAt > now) {
+      remaining.push(job);
+      continue;
+    }
+    const next = nextOccurrence(job, now);
+    if (next) remaining.push(next);
+
+    // fired late (app wasn't running / machine asleep): still record what is left of the window
+    if (endOf(job, job.startAt) <= now) {
+      console.log('schedule missed', job.id, job.label);
+      await addHistory({ jobId: job.id, label: job.label, startedAt: job.startAt, endedAt: null, status: 'missed', error: 'App was not running at the start time' });
+    } else if (active || recorderState !== 'idle') {
+      console.log('schedule skipped (busy)', job.id, job.label);
+      await addHistory({ jobId: job.id, label: job.label, startedAt: now, endedAt: now, status: 'failed', error: 'Another recording was in progress' });
+    } else {
+      beginRun(job, now);
+    }
+  }
+  await writeJobs(remaining);
+  notify();
+  arm();
+}
+
+function beginRun(job, now) {
+  console.log('schedule start', job.id, job.label);
+  // a late start keeps the original end, so a restart never records past the planned window
+  const stopAt = endOf(job, job.startAt);
+  active = {
+    job,
+    phase: 'starting',
+    startedAt: now,
+    stopAt,
+    stopTimer: setTimeout(() => requestStop('time'), Math.max(0, stopAt - now)),
+    startTimer: setTimeout(() => endRun('failed', 'Recorder did not start'), START_TIMEOUT_MS),
+    retryTimer: null,
+    // unattended: keep the machine from suspending mid-recording
+    blocker: powerSaveBlocker.start('prevent-app-suspension'),
+    // sessionId -> bytes written, for the size limit
+    bytes: new Map(),
+    stopReason: null
+  };
+  hooks.startRun(job);
+}
+
+async function endRun(status, error = null) {
+  if (!active) return;
+  const run = active;
+  active = null;
+  clearTimeout(run.stopTimer);
+  clearTimeout(run.startTimer);
+  clearTimeout(run.retryTimer);
+  if (powerSaveBlocker.isStarted(run.blocker)) powerSaveBlocker.stop(run.blocker);
+  console.log('schedule end', run.job.id, status, error || run.stopReason || '');
+  await addHistory({
+    jobId: run.job.id,
+    label: run.job.label,
+    startedAt: run.startedAt,
+    endedAt: Date.now(),
+    status,
+    error,
+    stopReason: run.stopReason
+  }).catch(err => console.warn('schedule history failed', err));
+  notify();
+}
+
+// reason: 'time' | 'size'
+function requestStop(reason) {
+  if (!active) return;
+  if (active.phase === 'starting') return endRun('failed', 'Recorder did not start before the stop time');
+  if (active.stopReason) return;
+  active.stopReason = reason;
+  sendStop(active);
+}
+
+// an unattended run must end at its stop condition: repeat the stop until the renderer reports 'idle'
+function sendStop(run) {
+  if (active !== run) return;
+  hooks.stopRun(run.job, run.stopReason);
+  run.retryTimer = setTimeout(() => {
+    if (active !== run) return;
+    console.warn('scheduled run still recording after stop, sending it again', run.job.id);
+    sendStop(run);
+  }, STOP_RETRY_MS);
+}
+
+/* ---------- public ---------- */
+
+/*
+  hooks:
+    startRun(job)          ask the renderer to record with job.selection
+    stopRun(job, reason)   ask the renderer to stop ('time' | 'size')
+    onChange(state)        schedule list / active run changed (see getState)
+*/
+function initScheduler(h) {
+  hooks = { ...hooks, ...h };
+  arm();
+}
+
+async function addJob(input) {
+  const job = normalizeJob(input);
+  await writeJobs([...(await readJobs()), job]);
+  console.log('schedule added', job.id, new Date(job.startAt).toISOString());
+  arm();
+  notify();
+  return job;
+}
+
+// removes an upcoming job; a run already in progress keeps going until its stop condition
+async function removeJob(jobId) {
+  const jobs = await readJobs();
+  if (!jobs.some(j => j.id === jobId)) throw new Error('No such scheduled recording');
+  await writeJobs(jobs.filter(j => j.id !== jobId));
+  arm();
+  notify();
+}
+
+// a run in progress or jobs still to come (keeps the app alive in the tray)
+function hasUpcoming() {
+  return !!active || jobCount > 0;
+}
+
+// the renderer's recorder state ('idle' | 'countdown' | 'recording' | 'paused')
+function noteRecorderState(state) {
+  recorderState = state;
+  if (!active) return;
+  // only a recorder that is capturing moves the run on: the renderer reports 'idle' for a moment
+  // between the end of the countdown and the start of the capture
+  if (active.phase === 'starting' && (state === 'recording' || state === 'paused')) {
+    active.phase = 'running';
+    clearTimeout(active.startTimer);
+    notify();
+  } else if (active.phase === 'running' && state === 'idle') {
+    endRun('done');
+  }
+}
+
+// the renderer could not start the run (no source, limit reached, ...)
+function noteStartFailed(jobId, error) {
+  if (active && active.job.id === jobId && active.phase === 'starting') endRun('failed', error || 'Start failed');
+}
+
+// bytes written so far by one recording session of run `jobId`; a segmented run has several
+function noteRecordingBytes(jobId, sessionId, bytes) {
+  if (!active || active.job.id !== jobId || active.job.maxBytes == null) return;
+  active.bytes.set(sessionId, bytes);
+  const total = [...active.bytes.values()].reduce((a, b) => a + b, 0);
+  if (total >= active.job.maxBytes) requestStop('size');
+}
+
+module.exports = {
+  MODES,
+  REPEATS,
+  initScheduler,
+  getScheduleState: getState,
+  addJob,
+  removeJob,
+  hasUpcoming,
+  noteRecorderState,
+  noteStartFailed,
+  noteRecordingBytes
+};
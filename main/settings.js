@@ -0,0 +1,338 @@
+// main/settings.js
+// Persistent recording settings (electron-store, JSON schema validated).
+// electron-store is ESM-only, so it is loaded lazily with import() and every accessor is async.
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// layout of settings.json; bump it together with a MIGRATIONS entry whenever SCHEMA changes shape
+const SETTINGS_VERSION = 2;
+
+const SCHEMA = {
+  // layout the file was written with (files from before it was recorded are version 1)
+  schemaVersion: { type: 'integer', minimum: 1, default: SETTINGS_VERSION },
+  // '' = the OS Videos folder
+  outputFolder: { type: 'string', default: '' },
+  codec: { type: 'string', enum: ['vp8', 'vp9'], default: 'vp8' },
+  frameRate: { type: 'integer', minimum: 5, maximum: 60, default: 30 },
+  countdownSeconds: { type: 'integer', minimum: 0, maximum: 10, default: 3 },
+  // tokens: {date} {source} {mode} {counter}
+  filenameTemplate: { type: 'string', minLength: 1, maxLength: 200, default: 'xigrecorder_{date}' },
+  // segmented recording: start a new <name>_partNNN.webm every N minutes / M megabytes (0 = no limit)
+  segmentMinutes: { type: 'integer', minimum: 0, maximum: 720, default: 0 },
+  segmentMegabytes: { type: 'integer', minimum: 0, maximum: 102400, default: 0 },
+  // next value of {counter}
+  counter: { type: 'integer', minimum: 1, default: 1 },
+  // last region per display: { [displayId]: { rect: {x,y,w,h} (0..1), aspect, pixelSize: {width,height} } }
+  regions: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        rect: {
+          type: 'object',
+          properties: {
+            x: { type: 'number', minimum: 0, maximum: 1 },
+            y: { type: 'number', minimum: 0, maximum: 1 },
+            w: { type: 'number', minimum: 0, maximum: 1 },
+            h: { type: 'number', minimum: 0, maximum: 1 }
+          },
+          required: ['x', 'y', 'w', 'h'],
+          additionalProperties: false
+        },
+        // key of the renderer's REGION_ASPECTS ('' = free)
+        aspect: { type: 'string', maxLength: 10 },
+        pixelSize: {
+          type: ['object', 'null'],
+          properties: {
+            width: { type: 'number', minimum: 0 },
+            height: { type: 'number', minimum: 0 }
+          },
+          additionalProperties: false
+        }
+      },
+      required: ['rect'],
+      additionalProperties: false
+    },
+    default: {}
+  },
+  // mixer gain / mute per audio device: { 'mic:<deviceId>' | 'system': { gain, muted } }
+  audioGains: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        gain: { type: 'number', minimum: 0, maximum: 4 },
+        muted: { type: 'boolean' }
+      },
+      additionalProperties: false
+    },
+    default: {}
+  },
+  // also write the raw mic and system audio to <name>.mic.webm / <name>.system.webm
+  separateAudioTracks: { type: 'boolean', default: false },
+  // microphone processing chain (renderer micChain.js)
+  micProcessing: {
+    type: 'object',
+    properties: {
+      noiseSuppression: { type: 'boolean' },
+      echoCancellation: { type: 'boolean' },
+      highPass: { type: 'boolean' },
+      gate: { type: 'boolean' },
+      gateThresholdDb: { type: 'number', minimum: -90, maximum: -10 },
+      compressor: { type: 'boolean' }
+    },
+    additionalProperties: false,
+    default: {
+      noiseSuppression: true,
+      echoCancellation: true,
+      highPass: false,
+      gate: false,
+      gateThresholdDb: -50,
+      compressor: false
+    }
+  },
+  // cursor halo, click ripples and shortcut badges drawn into the video (renderer cursorEffects.js)
+  cursorEffects: {
+    type: 'object',
+    properties: {
+      halo: { type: 'boolean' },
+      haloColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+      // radius in pixels of a 1080p frame, scaled with the output
+      haloSize: { type: 'integer', minimum: 10, maximum: 120 },
+      haloOpacity: { type: 'number', minimum: 0.1, maximum: 1 },
+      clicks: { type: 'boolean' },
+      leftColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+      rightColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+      keys: { type: 'boolean' },
+      keyPosition: { type: 'string', enum: ['bottom-center', 'bottom-left', 'bottom-right', 'top-center'] }
+    },
+    additionalProperties: false,
+    default: {
+      halo: false,
+      haloColor: '#ffd400',
+      haloSize: 36,
+      haloOpacity: 0.35,
+      clicks: false,
+      leftColor: '#3d9bff',
+      rightColor: '#ff4d6d',
+      keys: false,
+      keyPosition: 'bottom-center'
+    }
+  },
+  // global shortcuts (Electron accelerators); '' disables an action
+  shortcuts: {
+    type: 'object',
+    properties: {
+      start: { type: 'string' },
+      stop: { type: 'string' },
+      pause: { type: 'string' },
+      cancel: { type: 'string' },
+      // draw mode of the annotation overlay while recording
+      annotate: { type: 'string' },
+      // drop a chapter marker at the current recording time
+      marker: { type: 'string' }
+    },
+    additionalProperties: false,
+    default: {
+      start: 'CommandOrControl+Shift+R',
+      stop: 'CommandOrControl+Shift+S',
+      pause: 'CommandOrControl+Shift+P',
+      cancel: 'CommandOrControl+Shift+X',
+      annotate: 'CommandOrControl+Shift+D',
+      marker: 'CommandOrControl+Shift+M'
+    }
+  }
+};
+
+const DEFAULTS = Object.fromEntries(Object.entries(SCHEMA).map(([k, v]) => [k, v.default]));
+
+// keys the renderer may change through settings-set (counter is owned by main, outputFolder is
+// only set from the folder dialog main shows)
+const EDITABLE = ['codec', 'frameRate', 'countdownSeconds', 'filenameTemplate', 'segmentMinutes', 'segmentMegabytes', 'regions', 'shortcuts', 'audioGains', 'micProcessing', 'separateAudioTracks', 'cursorEffects'];
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// missing keys of a settings object taken from its default; keys the schema doesn't know dropped
+function withDefaultKeys(value, key) {
+  const known = Object.keys(SCHEMA[key].properties);
+  const current = isObject(value) ? value : {};
+  return Object.fromEntries(known.map(k => [k, current[k] !== undefined ? current[k] : SCHEMA[key].default[k]]));
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, Number(v)));
+}
+
+/*
+  version -> (data) => data, bringing a version-1 ... (version-1) file up to `version`. They run on
+  the parsed file before electron-store opens it: the store checks the schema while reading, so a
+  file in an older shape would be rejected before electron-store's own migrations could run.
+*/
+const MIGRATIONS = {
+  // version 1 (no schemaVersion): shortcuts without annotate / marker, regions of any shape
+  2: (data) => {
+    if (isObject(data.shortcuts)) data.shortcuts = withDefaultKeys(data.shortcuts, 'shortcuts');
+    if (isObject(data.micProcessing)) data.micProcessing = withDefaultKeys(data.micProcessing, 'micProcessing');
+    if (isObject(data.cursorEffects)) data.cursorEffects = withDefaultKeys(data.cursorEffects, 'cursorEffects');
+    if ('regions' in data) {
+      const regions = {};
+      for (const [displayId, region] of Object.entries(isObject(data.regions) ? data.regions : {})) {
+        const r = isObject(region) && isObject(region.rect) ? region.rect : null;
+        const rect = r && { x: clamp01(r.x), y: clamp01(r.y), w: clamp01(r.w), h: clamp01(r.h) };
+        // a region that can't be read is chosen again next time, the rest of the settings stay
+        if (!rect || ![rect.x, rect.y, rect.w, rect.h].every(Number.isFinite) || !rect.w || !rect.h) continue;
+        const px = isObject(region.pixelSize) ? region.pixelSize : null;
+        regions[displayId] = {
+          rect,
+          aspect: typeof region.aspect === 'string' ? region.aspect.slice(0, 10) : '',
+          pixelSize: px && Number(px.width) > 0 && Number(px.height) > 0 ? { width: Number(px.width), height: Number(px.height) } : null
+        };
+      }
+      data.regions = regions;
+    }
+    return data;
+  }
+};
+
+// apply the migrations an existing settings.json still needs, in order, and write it back
+async function migrateFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch {
+    // no file yet, or one electron-store will clear as unreadable
+    return;
+  }
+  if (!isObject(data)) return;
+  const from = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+  if (from >= SETTINGS_VERSION) return;
+  for (let version = from + 1; version <= SETTINGS_VERSION; version++) {
+    if (MIGRATIONS[version]) data = MIGRATIONS[version](data);
+  }
+  data.schemaVersion = SETTINGS_VERSION;
+  const temp = `${file}.migrating`;
+  await fs.promises.writeFile(temp, JSON.stringify(data, null, '\t'));
+  await fs.promises.rename(temp, file);
+  console.log('settings migrated from version', from, 'to', SETTINGS_VERSION);
+}
+
+let storePromise = null;
+
+async function openStore() {
+  const { default: Store } = await import('electron-store');
+  const options = { name: 'settings', schema: SCHEMA, clearInvalidConfig: true };
+  const file = path.join(app.getPath('userData'), 'settings.json');
+  try {
+    await migrateFile(file);
+  } catch (err) {
+    console.warn('settings migration failed', err);
+  }
+  try {
+    return new Store(options);
+  } catch (err) {
+    // still invalid after migrating (hand-edited, or written by a newer version): keep a copy for
+    // inspection and start from defaults
+    const backup = path.join(app.getPath('userData'), `settings.invalid-${Date.now()}.json`);
+    console.warn('settings invalid, resetting to defaults:', err.message, '->', backup);
+    await fs.promises.rename(file, backup).catch(() => {});
+    return new Store(options);
+  }
+}
+
+function getStore() {
+  if (!storePromise) storePromise = openStore();
+  return storePromise;
+}
+
+async function getSettings() {
+  const store = await getStore();
+  return { ...DEFAULTS, ...store.store };
+}
+
+// validate + persist a partial update; throws with the schema message on bad input
+async function updateSettings(patch) {
+  if (!patch || typeof patch !== 'object') throw new Error('Invalid settings');
+  const unknown = Object.keys(patch).filter(k => !EDITABLE.includes(k));
+  if (unknown.length) throw new Error('Unknown or read-only settings: ' + unknown.join(', '));
+  const store = await getStore();
+  // store.set validates the whole object against the schema before writing
+  store.set(patch);
+  return getSettings();
+}
+
+// '' = the OS Videos folder
+async function setOutputFolder(folder) {
+  if (folder) {
+    const stat = await fs.promises.stat(folder).catch(() => null);
+    if (!stat || !stat.isDirectory()) throw new Error('Output folder does not exist');
+  }
+  const store = await getStore();
+  store.set('outputFolder', folder);
+  return getSettings();
+}
+
+async function resetSettings() {
+  const store = await getStore();
+  const counter = store.get('counter');
+  store.clear();
+  store.set('counter', counter);
+  return getSettings();
+}
+
+async function recordingsDir() {
+  const { outputFolder } = await getSettings();
+  return outputFolder || app.getPath('videos') || app.getPath('home');
+}
+
+/* ---------- filename template ---------- */
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+// characters that are invalid in Windows/macOS/Linux file names
+function sanitizeFilePart(s) {
+  return String(s || '')
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, 80);
+}
+
+function renderFilename(template, { date = new Date(), source = '', mode = '', counter = 1 } = {}) {
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  const tokens = {
+    date: stamp,
+    source: sanitizeFilePart(source) || 'screen',
+    mode: sanitizeFilePart(mode) || 'recording',
+    counter: pad(counter, 3)
+  };
+  const name = sanitizeFilePart(String(template).replace(/\{(\w+)\}/g, (m, key) => (key in tokens ? tokens[key] : m)));
+  return (name || 'xigrecorder_' + stamp) + '.webm';
+}
+
+// render the template and consume one {counter} value
+async function nextFilename({ source, mode } = {}) {
+  const store = await getStore();
+  const { filenameTemplate, counter } = await getSettings();
+  const filename = renderFilename(filenameTemplate, { source, mode, counter });
+  if (/\{counter\}/.test(filenameTemplate)) store.set('counter', counter + 1);
+  return filename;
+}
+
+module.exports = {
+  SCHEMA,
+  DEFAULTS,
+  getSettings,
+  updateSettings,
+  setOutputFolder,
+  resetSettings,
+  recordingsDir,
+  renderFilename,
+  sanitizeFilePart,
+  nextFilename
+};
@@ -0,0 +1,62 @@
+// main/shortcuts.js
+// Global (system-wide) recording shortcuts. Accelerators come from settings.shortcuts;
+// an empty string disables that action.
+const { globalShortcut } = require('electron');
+
+const ACTIONS = ['start', 'stop', 'pause', 'cancel', 'annotate', 'marker'];
+
+let status = { registered: [], conflicts: [] };
+
+/*
+  (Re)register every shortcut. onAction(action) is called when one fires.
+  Returns { registered: [{ action, accelerator }], conflicts: [{ action, accelerator, reason }] }.
+*/
+function applyShortcuts(shortcuts = {}, onAction) {
+  globalShortcut.unregisterAll();
+  const registered = [];
+  const conflicts = [];
+  const seen = new Map();
+
+  for (const action of ACTIONS) {
+    const accelerator = String(shortcuts[action] || '').trim();
+    if (!accelerator) continue;
+
+    const key = accelerator.toLowerCase();
+    if (seen.has(key)) {
+      conflicts.push({ action, accelerator, reason: `same shortcut as "${seen.get(key)}"` });
+      continue;
+    }
+    seen.set(key, action);
+
+    try {
+      if (globalShortcut.register(accelerator, () => onAction(action))) {
+        registered.push({ action, accelerator });
+      } else {
+        conflicts.push({ action, accelerator, reason: 'already in use by another application' });
+      }
+    } catch (err) {
+      conflicts.push({ action, accelerator, reason: 'not a valid shortcut' });
+      console.warn('globalShortcut.register failed', accelerator, err.message);
+    }
+  }
+
+  if (conflicts.length) console.warn('shortcut conflicts:', conflicts);
+  status = { registered, conflicts };
+  return status;
+}
+
+function getShortcutStatus() {
+  return status;
+}
+
+function clearShortcuts() {
+  globalShortcut.unregisterAll();
+  status = { registered: [], conflicts: [] };
+}
+
+module.exports = {
+  ACTIONS,
+  applyShortcuts,
+  getShortcutStatus,
+  clearShortcuts
+};
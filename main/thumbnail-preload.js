@@ -0,0 +1,10 @@
+// main/thumbnail-preload.js
+// Preload for the hidden thumbnail worker: receives render jobs, posts results back to main.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('thumbnailAPI', {
+  onJob: (cb) => ipcRenderer.on('thumbnail-job', (event, job) => cb(job)),
+  // result: { poster, sprite, frames, frameWidth, frameHeight } or null when the file has no video
+  done: (id, result) => ipcRenderer.send('thumbnail-result', { id, result }),
+  fail: (id, error) => ipcRenderer.send('thumbnail-result', { id, error: String(error || 'failed') })
+});
@@ -0,0 +1,78 @@
+// main/thumbnail-worker.js
+// Runs in the hidden thumbnail window: seeks a <video> through the file and captures
+// a poster frame plus an evenly spaced sprite strip as JPEG data URLs.
+(function () {
+  const QUALITY = 0.8;
+
+  function once(el, name) {
+    return new Promise((resolve, reject) => {
+      const ok = () => { cleanup(); resolve(); };
+      const fail = () => { cleanup(); reject(new Error((el.error && el.error.message) || 'video failed to load')); };
+      const cleanup = () => { el.removeEventListener(name, ok); el.removeEventListener('error', fail); };
+      el.addEventListener(name, ok);
+      el.addEventListener('error', fail);
+    });
+  }
+
+  async function seek(video, t) {
+    const done = once(video, 'seeked');
+    video.currentTime = t;
+    await done;
+  }
+
+  // duration from the file header, or (for files without one) by seeking far past the end
+  async function resolveDuration(video, hintMs) {
+    if (Number.isFinite(video.duration) && video.duration > 0) return video.duration;
+    if (hintMs) return hintMs / 1000;
+    await seek(video, 1e7);
+    const d = video.duration;
+    return Number.isFinite(d) && d > 0 ? d : 0;
+  }
+
+  async function render({ src, durationMs, frames, frameWidth, posterWidth }) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    const loaded = once(video, 'loadeddata');
+    video.src = src;
+    try {
+      await loaded;
+      if (!video.videoWidth || !video.videoHeight) return null;
+
+      const duration = await resolveDuration(video, durationMs);
+      const aspect = video.videoHeight / video.videoWidth;
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      // never sample the very end: the last frame is often a partial cluster
+      const last = Math.max(0, duration - 0.1);
+
+      canvas.width = Math.min(posterWidth, video.videoWidth);
+      canvas.height = Math.round(canvas.width * aspect);
+      await seek(video, Math.min(last, Math.max(1, duration * 0.1)));
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const poster = canvas.toDataURL('image/jpeg', QUALITY);
+
+      const frameHeight = Math.max(1, Math.round(frameWidth * aspect));
+      canvas.width = frameWidth * frames;
+      canvas.height = frameHeight;
+      for (let i = 0; i < frames; i++) {
+        // frame i shows the middle of the i-th slice, matching how the list maps hover position
+        await seek(video, Math.min(last, ((i + 0.5) / frames) * duration));
+        ctx.drawImage(video, i * frameWidth, 0, frameWidth, frameHeight);
+      }
+      const sprite = canvas.toDataURL('image/jpeg', QUALITY);
+      return { poster, sprite, frames, frameWidth, frameHeight };
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+    }
+  }
+
+  window.thumbnailAPI.onJob(async (job) => {
+    try {
+      window.thumbnailAPI.done(job.id, await render(job));
+    } catch (err) {
+      window.thumbnailAPI.fail(job.id, err && err.message);
+    }
+  });
+})();
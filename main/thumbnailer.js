@@ -0,0 +1,216 @@
+// main/thumbnailer.js
+// Poster frame + hover-scrub sprite strip for each recording, cached in
+// <folder>/.xigrecorder/thumbs next to the library index.
+// Frames are decoded by Chromium itself in a hidden worker window (thumbnail-worker.html),
+// so no external tools are needed for the WebM files we record.
+const { BrowserWindow } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { metaDir } = require('./library');
+const { on, S } = require('./ipc');
+
+const SPRITE_FRAMES = 10;
+const SPRITE_FRAME_WIDTH = 160;
+const POSTER_WIDTH = 480;
+const JOB_TIMEOUT_MS = 30000;
+// the worker window is closed after this long without jobs
+const WORKER_IDLE_MS = 30000;
+
+let worker = null;
+let workerReady = null;
+let idleTimer = null;
+let nextJobId = 1;
+// job id -> { resolve, reject, timer }
+const PENDING = new Map();
+// recording path -> promise of its thumbnail info (dedupes concurrent requests)
+const IN_FLIGHT = new Map();
+// every render runs through one chain: the worker decodes one file at a time
+let queue = Promise.resolve();
+
+function thumbsDir(folder) {
+  return path.join(metaDir(folder), 'thumbs');
+}
+
+function cachePaths(filePath) {
+  const dir = thumbsDir(path.dirname(filePath));
+  const base = path.join(dir, path.basename(filePath));
+  return { dir, info: base + '.json', poster: base + '.poster.jpg', sprite: base + '.sprite.jpg' };
+}
+
+function getWorker() {
+  if (worker && !worker.isDestroyed()) return workerReady;
+  worker = new BrowserWindow({
+    show: false,
+    width: 320,
+    height: 240,
+    webPreferences: {
+      preload: path.join(__dirname, 'thumbnail-preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+      // decoding must not be throttled just because the window is never shown
+      backgroundThrottling: false
+    }
+  });
+  worker.on('closed', () => {
+    worker = null;
+    workerReady = null;
+    for (const [id, job] of PENDING) {
+      clearTimeout(job.timer);
+      job.reject(new Error('Thumbnail worker closed'));
+      PENDING.delete(id);
+    }
+  });
+  workerReady = worker.loadFile(path.join(__dirname, 'thumbnail-worker.html'));
+  return workerReady;
+}
+
+function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    if (PENDING.size === 0 && worker && !worker.isDestroyed()) worker.close();
+  }, WORKER_IDLE_MS);
+}
+
+on('thumbnail-result', S.object({ id: { type: 'integer' }, result: S.optional({ type: ['object', 'null'] }), error: S.optional({ type: 'string' }) }, ['id']), (event, { id, result, error }) => {
+  if (!worker || event.sender !== worker.webContents) return;
+  const job = PENDING.get(id);
+  if (!job) return;
+  PENDING.delete(id);
+  clearTimeout(job.timer);
+  if (error) job.reject(new Error(error));
+  else job.resolve(result);
+});
+
+async function renderInWorker(filePath, durationMs) {
+  clearTimeout(idleTimer);
+  await getWorker();
+  const id = nextJobId++;
+  try {
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        PENDING.delete(id);
+        reject(new Error('Thumbnail rendering timed out'));
+      }, JOB_TIMEOUT_MS);
+      PENDING.set(id, { resolve, reject, timer });
+      worker.webContents.send('thumbnail-job', {
+        id,
+        src: pathToFileURL(filePath).href,
+        durationMs: durationMs || null,
+        frames: SPRITE_FRAMES,
+        frameWidth: SPRITE_FRAME_WIDTH,
+        posterWidth: POSTER_WIDTH
+      });
+    });
+  } finally {
+    scheduleIdleClose();
+  }
+}
+
+function decodeDataUrl(dataUrl) {
+  const m = /^data:image\/jpeg;base64,(.*)$/.exec(dataUrl || '');
+  if (!m) throw new Error('Worker returned no image');
+  return Buffer.from(m[1], 'base64');
+}
+
+async function readInfo(infoPath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(infoPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function generate(filePath, durationMs) {
+  const stat = await fs.promises.stat(filePath);
+  const paths = cachePaths(filePath);
+  const cached = await readInfo(paths.info);
+  if (cached && cached.sourceSize === stat.size && cached.sourceMtimeMs === stat.mtimeMs) return cached;
+
+  await fs.promises.mkdir(paths.dir, { recursive: true });
+  const source = { sourceSize: stat.size, sourceMtimeMs: stat.mtimeMs };
+  let info;
+  const result = await renderInWorker(filePath, durationMs);
+  if (!result || !result.poster) {
+    // nothing to show (audio-only); remember that so it isn't retried until the file changes
+    info = { ...source, none: true };
+    await fs.promises.rm(paths.poster, { force: true });
+    await fs.promises.rm(paths.sprite, { force: true });
+  } else {
+    await fs.promises.writeFile(paths.poster, decodeDataUrl(result.poster));
+    await fs.promises.writeFile(paths.sprite, decodeDataUrl(result.sprite));
+    info = { ...source, frames: result.frames, frameWidth: result.frameWidth, frameHeight: result.frameHeight };
+  }
+  await fs.promises.writeFile(paths.info, JSON.stringify(info));
+  return info;
+}
+
+/*
+  Cached (or freshly rendered) thumbnails for one recording:
+  { none: true } for files without video, else { frames, frameWidth, frameHeight, poster, sprite }
+  where poster/sprite are data: URLs (the renderer may be served from http:// in development,
+  which can't load file:// images).
+*/
+async function getThumbnails(filePath, { durationMs } = {}) {
+  let pending = IN_FLIGHT.get(filePath);
+  if (!pending) {
+    pending = queue.then(() => generate(filePath, durationMs));
+    queue = pending.catch(() => {});
+    IN_FLIGHT.set(filePath, pending);
+    pending.then(() => IN_FLIGHT.delete(filePath), () => IN_FLIGHT.delete(filePath));
+  }
+  const info = await pending;
+  if (info.none) return { none: true };
+  const paths = cachePaths(filePath);
+  const [poster, sprite] = await Promise.all([
+    fs.promises.readFile(paths.poster),
+    fs.promises.readFile(paths.sprite)
+  ]);
+  return {
+    frames: info.frames,
+    frameWidth: info.frameWidth,
+    frameHeight: info.frameHeight,
+    poster: 'data:image/jpeg;base64,' + poster.toString('base64'),
+    sprite: 'data:image/jpeg;base64,' + sprite.toString('base64')
+  };
+}
+
+// delete cached thumbnails whose recording is no longer in `names`
+async function pruneThumbnails(folder, names) {
+  const keep = new Set(names);
+  let files;
+  try {
+    files = await fs.promises.readdir(thumbsDir(folder));
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  for (const f of files) {
+    const m = /^(.*\.webm)\.(json|poster\.jpg|sprite\.jpg)$/i.exec(f);
+    if (m && !keep.has(m[1])) await fs.promises.rm(path.join(thumbsDir(folder), f), { force: true });
+  }
+}
+
+// carry the cache over when a recording is renamed (same content, so nothing to re-render)
+async function renameThumbnails(oldPath, newPath) {
+  const from = cachePaths(oldPath);
+  const to = cachePaths(newPath);
+  for (const key of ['info', 'poster', 'sprite']) {
+    await fs.promises.rename(from[key], to[key]).catch(err => {
+      if (err.code !== 'ENOENT') console.warn('renameThumbnails failed', from[key], err.message);
+    });
+  }
+}
+
+function closeThumbnailWorker() {
+  clearTimeout(idleTimer);
+  if (worker && !worker.isDestroyed()) worker.close();
+}
+
+module.exports = {
+  getThumbnails,
+  pruneThumbnails,
+  renameThumbnails,
+  closeThumbnailWorker
+};
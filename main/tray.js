@@ -0,0 +1,94 @@
+// main/tray.js
+// System tray icon + menu mirroring the renderer's recording state.
+const { Tray, Menu, nativeImage } = require('electron');
+
+// state -> dot colour (RGB)
+const COLORS = {
+  idle: [124, 92, 255],
+  countdown: [255, 138, 0],
+  recording: [239, 68, 68],
+  paused: [154, 167, 176]
+};
+
+const iconCache = new Map();
+
+// filled circle drawn straight into a BGRA bitmap, so no icon files have to ship with the app
+function dotIcon(state, size = 16) {
+  if (iconCache.has(state)) return iconCache.get(state);
+  const [r, g, b] = COLORS[state] || COLORS.idle;
+  const buf = Buffer.alloc(size * size * 4);
+  const c = (size - 1) / 2;
+  const radius = size / 2 - 1;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const d = Math.hypot(x - c, y - c);
+      const alpha = Math.max(0, Math.min(1, radius - d + 0.5));
+      const i = (y * size + x) * 4;
+      buf[i] = Math.round(b * alpha);
+      buf[i + 1] = Math.round(g * alpha);
+      buf[i + 2] = Math.round(r * alpha);
+      buf[i + 3] = Math.round(255 * alpha);
+    }
+  }
+  const img = nativeImage.createFromBitmap(buf, { width: size, height: size });
+  iconCache.set(state, img);
+  return img;
+}
+
+function formatSecs(s) {
+  const mm = String(Math.floor(s / 60)).padStart(2, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return `${mm}:${ss}`;
+}
+
+function statusLabel({ state, elapsed = 0, countdown = 0 }) {
+  if (state === 'countdown') return `Starting in ${countdown}…`;
+  if (state === 'recording') return `Recording ${formatSecs(elapsed)}`;
+  if (state === 'paused') return `Paused ${formatSecs(elapsed)}`;
+  return 'Idle';
+}
+
+/*
+  createTray({ onAction, onShow, onQuit }) -> { update(state), destroy() }
+  onAction receives 'start' | 'stop' | 'pause' | 'cancel'.
+*/
+function createTray({ onAction, onShow, onQuit }) {
+  const tray = new Tray(dotIcon('idle'));
+  let last = { state: 'idle', elapsed: 0, countdown: 0 };
+
+  const render = () => {
+    const { state } = last;
+    const active = state === 'recording' || state === 'paused';
+    const label = statusLabel(last);
+    tray.setImage(dotIcon(state));
+    tray.setToolTip(`XigRecorder — ${label}`);
+    if (process.platform === 'darwin') tray.setTitle(active ? formatSecs(last.elapsed) : '');
+    tray.setContextMenu(Menu.buildFromTemplate([
+      { label, enabled: false },
+      { type: 'separator' },
+      { label: 'Start recording', enabled: state === 'idle', click: () => onAction('start') },
+      { label: state === 'paused' ? 'Resume' : 'Pause', enabled: active, click: () => onAction('pause') },
+      { label: 'Stop and save', enabled: active, click: () => onAction('stop') },
+      { label: 'Cancel recording', enabled: active || state === 'countdown', click: () => onAction('cancel') },
+      { type: 'separator' },
+      { label: 'Show XigRecorder', click: onShow },
+      { label: 'Quit', click: onQuit }
+    ]));
+  };
+
+  tray.on('click', onShow);
+  render();
+
+  return {
+    update(next) {
+      const changed = next.state !== last.state || next.elapsed !== last.elapsed || next.countdown !== last.countdown;
+      last = { ...last, ...next };
+      if (changed) render();
+    },
+    destroy() {
+      tray.destroy();
+    }
+  };
+}
+
+module.exports = { createTray };
@@ -0,0 +1,589 @@
+// main/webm.js
+// Minimal streaming EBML/WebM walker used by the main process.
+// It only reads element headers (plus the few bytes it needs from blocks), so it
+// works on multi-GB recordings without loading them into memory.
+const fs = require('fs');
+
+const ID = {
+  EBML: 0x1A45DFA3,
+  Segment: 0x18538067,
+  SeekHead: 0x114D9B74,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3,
+  BlockGroup: 0xA0,
+  Block: 0xA1,
+  ReferenceBlock: 0xFB,
+  Cues: 0x1C53BB6B,
+  CuePoint: 0xBB,
+  CueTime: 0xB3,
+  CueTrackPositions: 0xB7,
+  CueTrack: 0xF7,
+  CueClusterPosition: 0xF1,
+  Seek: 0x4DBB,
+  SeekID: 0x53AB,
+  SeekPosition: 0x53AC,
+  Chapters: 0x1043A770,
+  Attachments: 0x1941A469,
+  Tags: 0x1254C367,
+  Void: 0xEC,
+  CRC32: 0xBF
+};
+
+const TOP_LEVEL = new Set([ID.SeekHead, ID.Info, ID.Tracks, ID.Cluster, ID.Cues, ID.Chapters, ID.Attachments, ID.Tags, ID.Void, ID.CRC32]);
+const CLUSTER_CHILDREN = new Set([ID.Timecode, ID.SimpleBlock, ID.BlockGroup, ID.Void, ID.CRC32, 0xA7 /* Position */, 0xAB /* PrevSize */, 0x5854 /* SilentTracks */, 0xAF /* EncryptedBlock */]);
+
+const TRACK_VIDEO = 1;
+const TRACK_AUDIO = 2;
+
+/* ---------- vint helpers ---------- */
+
+// element ID: 1-4 bytes, marker bits kept as part of the value
+function readId(buf, off) {
+  if (off >= buf.length) return null;
+  const first = buf[off];
+  let length = 1;
+  while (length <= 4 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 4 || off + length > buf.length) return null;
+  return { value: buf.readUIntBE(off, length), length };
+}
+
+// data size: 1-8 bytes, marker bit stripped; all-ones means "unknown size"
+function readVint(buf, off) {
+  if (off >= buf.length) return null;
+  const first = buf[off];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || off + length > buf.length) return null;
+  const mask = 0xFF >> length;
+  let value = first & mask;
+  let allOnes = value === mask;
+  for (let i = 1; i < length; i++) {
+    const b = buf[off + i];
+    value = value * 256 + b;
+    if (b !== 0xFF) allOnes = false;
+  }
+  return { value, length, unknown: allOnes };
+}
+
+// encode `value` as a size vint of exactly `length` bytes (fixed width so it can be patched in place)
+function encodeSize(value, length = 8) {
+  const out = Buffer.alloc(length);
+  let v = value;
+  for (let i = length - 1; i > 0; i--) {
+    out[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  const marker = 0x80 >> (length - 1);
+  if (v >= marker || value >= Math.pow(2, 7 * length) - 1) throw new Error(`size ${value} does not fit in ${length} bytes`);
+  out[0] = marker | v;
+  return out;
+}
+
+function idBytes(id) {
+  const length = id < 0x100 ? 1 : id < 0x10000 ? 2 : id < 0x1000000 ? 3 : 4;
+  const out = Buffer.alloc(length);
+  out.writeUIntBE(id, 0, length);
+  return out;
+}
+
+function uintBytes(value, length = 8) {
+  const out = Buffer.alloc(length);
+  let v = value;
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  return out;
+}
+
+// id + 8-byte size + payload; fixed-width sizes keep the header length independent of the values
+function element(id, data) {
+  return Buffer.concat([idBytes(id), encodeSize(data.length, 8), data]);
+}
+
+function readUInt(buf) {
+  let v = 0;
+  for (const b of buf) v = v * 256 + b;
+  return v;
+}
+
+function readFloat(buf) {
+  if (buf.length === 4) return buf.readFloatBE(0);
+  if (buf.length === 8) return buf.readDoubleBE(0);
+  return 0;
+}
+
+// iterate child elements of an in-memory master element payload
+function* children(buf, start = 0, end = buf.length) {
+  let pos = start;
+  while (pos < end) {
+    const id = readId(buf, pos);
+    if (!id) return;
+    const size = readVint(buf, pos + id.length);
+    if (!size || size.unknown) return;
+    const dataStart = pos + id.length + size.length;
+    const dataEnd = dataStart + size.value;
+    if (dataEnd > end) return;
+    yield { id: id.value, data: buf.subarray(dataStart, dataEnd) };
+    pos = dataEnd;
+  }
+}
+
+/* ---------- buffered positional reader ---------- */
+
+class ChunkReader {
+  constructor(fh, fileSize, windowSize = 1 << 20) {
+    this.fh = fh;
+    this.fileSize = fileSize;
+    this.windowSize = windowSize;
+    this.start = 0;
+    this.buf = Buffer.alloc(0);
+  }
+
+  // returns up to `length` bytes at `pos` (shorter near EOF)
+  async read(pos, length) {
+    if (pos >= this.start && pos + length <= this.start + this.buf.length) {
+      return this.buf.subarray(pos - this.start, pos - this.start + length);
+    }
+    const want = Math.min(Math.max(this.windowSize, length), Math.max(0, this.fileSize - pos));
+    const buf = Buffer.alloc(want);
+    const { bytesRead } = want ? await this.fh.read(buf, 0, want, pos) : { bytesRead: 0 };
+    this.start = pos;
+    this.buf = buf.subarray(0, bytesRead);
+    return this.buf.subarray(0, Math.min(length, bytesRead));
+  }
+}
+
+async function readHeader(reader, pos) {
+  const head = await reader.read(pos, 12);
+  const id = readId(head, 0);
+  if (!id) return null;
+  const size = readVint(head, id.length);
+  if (!size) return null;
+  const dataStart = pos + id.length + size.length;
+  return {
+    id: id.value,
+    offset: pos,
+    sizeOffset: pos + id.length,
+    sizeLength: size.length,
+    dataStart,
+    unknownSize: size.unknown,
+    size: size.unknown ? null : size.value,
+    end: size.unknown ? null : dataStart + size.value
+  };
+}
+
+function parseInfo(buf) {
+  const info = { timecodeScale: 1000000, duration: null };
+  for (const c of children(buf)) {
+    if (c.id === ID.TimecodeScale) info.timecodeScale = readUInt(c.data);
+    else if (c.id === ID.Duration) info.duration = readFloat(c.data);
+  }
+  return info;
+}
+
+function parseTracks(buf) {
+  const tracks = [];
+  for (const entry of children(buf)) {
+    if (entry.id !== ID.TrackEntry) continue;
+    const t = { number: null, type: null, codec: null, width: null, height: null };
+    for (const c of children(entry.data)) {
+      if (c.id === ID.TrackNumber) t.number = readUInt(c.data);
+      else if (c.id === ID.TrackType) t.type = readUInt(c.data);
+      else if (c.id === ID.CodecID) t.codec = c.data.toString('ascii');
+      else if (c.id === ID.Video) {
+        for (const v of children(c.data)) {
+          if (v.id === ID.PixelWidth) t.width = readUInt(v.data);
+          else if (v.id === ID.PixelHeight) t.height = readUInt(v.data);
+        }
+      }
+    }
+    tracks.push(t);
+  }
+  return tracks;
+}
+
+// block payload: track vint, int16 relative timecode, flags
+function parseBlockHead(buf) {
+  const track = readVint(buf, 0);
+  if (!track || buf.length < track.length + 3) return null;
+  return {
+    track: track.value,
+    timecode: buf.readInt16BE(track.length),
+    keyframe: !!(buf[track.length + 2] & 0x80)
+  };
+}
+
+/*
+  Walk a WebM file and describe its layout.
+  Returns {
+    fileSize, validEnd,            // validEnd = end of the last complete element
+    segment, info, tracks,         // header element descriptors / parsed contents
+    clusters: [{ offset, sizeOffset, sizeLength, dataStart, end, unknownSize, size, timecode, keyframe }],
+    maxBlockTime, lastBlockGap,    // in TimecodeScale units
+    keyframes                      // video keyframe block times, TimecodeScale units (empty for audio-only)
+  }
+*/
+async function scanWebm(filePath) {
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await fh.stat();
+    const reader = new ChunkReader(fh, fileSize);
+
+    const ebml = await readHeader(reader, 0);
+    if (!ebml || ebml.id !== ID.EBML || ebml.unknownSize || ebml.end > fileSize) throw new Error('Not a WebM file (missing EBML header)');
+
+    const segment = await readHeader(reader, ebml.end);
+    if (!segment || segment.id !== ID.Segment) throw new Error('Not a WebM file (missing Segment)');
+
+    const result = {
+      fileSize,
+      validEnd: segment.dataStart,
+      ebml,
+      segment,
+      info: null,
+      infoElement: null,
+      tracks: [],
+      tracksElement: null,
+      cuesElement: null,
+      chaptersElement: null,
+      tagsElement: null,
+      clusters: [],
+      maxBlockTime: null,
+      lastBlockGap: 0,
+      keyframes: []
+    };
+
+    const segEnd = segment.unknownSize ? fileSize : Math.min(segment.end, fileSize);
+    let pos = segment.dataStart;
+    let cluster = null;
+
+    const noteBlock = (head) => {
+      if (!head || cluster.timecode == null) return;
+      const t = cluster.timecode + head.timecode;
+      if (result.maxBlockTime == null || t > result.maxBlockTime) {
+        if (result.maxBlockTime != null) result.lastBlockGap = t - result.maxBlockTime;
+        result.maxBlockTime = t;
+      }
+      const video = result.tracks.find(tr => tr.type === TRACK_VIDEO);
+      if (head.keyframe && (!video || head.track === video.number)) cluster.keyframe = true;
+      if (head.keyframe && video && head.track === video.number) result.keyframes.push(t);
+    };
+
+    while (pos < segEnd) {
+      const el = await readHeader(reader, pos);
+      if (!el) break;
+
+      if (cluster && CLUSTER_CHILDREN.has(el.id)) {
+        if (el.unknownSize || el.end > fileSize) break;
+        if (el.id === ID.Timecode) {
+          cluster.timecode = readUInt(await reader.read(el.dataStart, el.size));
+        } else if (el.id === ID.SimpleBlock) {
+          noteBlock(parseBlockHead(await reader.read(el.dataStart, Math.min(el.size, 16))));
+        } else if (el.id === ID.BlockGroup) {
+          const group = await reader.read(el.dataStart, el.size);
+          let head = null;
+          let referenced = false;
+          for (const c of children(group)) {
+            if (c.id === ID.Block) head = parseBlockHead(c.data);
+            else if (c.id === ID.ReferenceBlock) referenced = true;
+          }
+          if (head) head.keyframe = !referenced;
+          noteBlock(head);
+        }
+        pos = el.end;
+        cluster.end = pos;
+        result.validEnd = pos;
+        if (!cluster.unknownSize && pos >= cluster.dataStart + cluster.size) cluster = null;
+        continue;
+      }
+
+      cluster = null;
+      if (!TOP_LEVEL.has(el.id)) break;
+
+      if (el.id === ID.Cluster) {
+        cluster = {
+          offset: el.offset,
+          sizeOffset: el.sizeOffset,
+          sizeLength: el.sizeLength,
+          dataStart: el.dataStart,
+          end: el.dataStart,
+          unknownSize: el.unknownSize,
+          size: el.size,
+          timecode: null,
+          keyframe: false
+        };
+        result.clusters.push(cluster);
+        pos = el.dataStart;
+        continue;
+      }
+
+      if (el.unknownSize || el.end > fileSize) break;
+      if (el.id === ID.Info) {
+        result.info = parseInfo(await reader.read(el.dataStart, el.size));
+        result.infoElement = el;
+      } else if (el.id === ID.Tracks) {
+        result.tracks = parseTracks(await reader.read(el.dataStart, el.size));
+        result.tracksElement = el;
+      } else if (el.id === ID.Cues) {
+        result.cuesElement = el;
+      } else if (el.id === ID.Chapters) {
+        result.chaptersElement = el;
+      } else if (el.id === ID.Tags) {
+        result.tagsElement = el;
+      }
+      pos = el.end;
+      result.validEnd = pos;
+    }
+
+    // a trailing cluster header without complete children carries nothing
+    result.clusters = result.clusters.filter(c => c.end > c.dataStart && c.end <= result.validEnd);
+    if (!result.info) result.info = { timecodeScale: 1000000, duration: null };
+    return result;
+  } finally {
+    await fh.close();
+  }
+}
+
+/*
+  Info and Tracks only: reads the top-level elements before the first Cluster, so it stays
+  cheap however long the recording is. Returns { info, tracks }.
+*/
+async function readWebmHeader(filePath) {
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await fh.stat();
+    const reader = new ChunkReader(fh, fileSize, 64 * 1024);
+
+    const ebml = await readHeader(reader, 0);
+    if (!ebml || ebml.id !== ID.EBML || ebml.unknownSize || ebml.end > fileSize) throw new Error('Not a WebM file (missing EBML header)');
+    const segment = await readHeader(reader, ebml.end);
+    if (!segment || segment.id !== ID.Segment) throw new Error('Not a WebM file (missing Segment)');
+
+    const result = { info: null, tracks: [] };
+    const segEnd = segment.unknownSize ? fileSize : Math.min(segment.end, fileSize);
+    let pos = segment.dataStart;
+    while (pos < segEnd) {
+      const el = await readHeader(reader, pos);
+      if (!el || el.id === ID.Cluster || !TOP_LEVEL.has(el.id) || el.unknownSize || el.end > fileSize) break;
+      if (el.id === ID.Info) result.info = parseInfo(await reader.read(el.dataStart, el.size));
+      else if (el.id === ID.Tracks) result.tracks = parseTracks(await reader.read(el.dataStart, el.size));
+      pos = el.end;
+    }
+    if (!result.info) result.info = { timecodeScale: 1000000, duration: null };
+    return result;
+  } finally {
+    await fh.close();
+  }
+}
+
+/*
+  Make an interrupted recording playable in place: cut it back to the last complete
+  element and fix any known sizes (segment / last cluster) that no longer match.
+  Returns { size, durationMs }.
+*/
+async function repairWebm(filePath) {
+  const scan = await scanWebm(filePath);
+  if (!scan.tracksElement) throw new Error('Recording has no track header — nothing to recover');
+  if (!scan.clusters.length || scan.maxBlockTime == null) throw new Error('Recording has no media data — nothing to recover');
+
+  const fh = await fs.promises.open(filePath, 'r+');
+  try {
+    if (scan.validEnd < scan.fileSize) await fh.truncate(scan.validEnd);
+
+    const last = scan.clusters[scan.clusters.length - 1];
+    if (!last.unknownSize && last.dataStart + last.size !== last.end) {
+      await fh.write(encodeSize(last.end - last.dataStart, last.sizeLength), 0, last.sizeLength, last.sizeOffset);
+    }
+    const seg = scan.segment;
+    if (!seg.unknownSize && seg.dataStart + seg.size !== scan.validEnd) {
+      await fh.write(encodeSize(scan.validEnd - seg.dataStart, seg.sizeLength), 0, seg.sizeLength, seg.sizeOffset);
+    }
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+
+  return { size: scan.validEnd, durationMs: durationMs(scan) };
+}
+
+/*
+  Rewrite a finished recording so players can show its length and seek:
+    EBML header | Segment(known size) [ SeekHead | Info(+Duration) | Tracks | Chapters | Tags | Cues | Clusters(known sizes) ]
+  Chapters and Tags (wherever the muxer put them) are copied through unchanged; Attachments and
+  anything after the last cluster are not kept.
+  Clusters are stream-copied into a sibling temp file which then replaces the original,
+  so memory use stays flat regardless of file size.
+  Returns { durationMs, cues, rewritten }.
+*/
+async function finalizeWebm(filePath) {
+  const scan = await scanWebm(filePath);
+  if (!scan.infoElement || !scan.tracksElement) throw new Error('Recording has no Info/Tracks header');
+  if (!scan.clusters.length) throw new Error('Recording has no media data');
+
+  const duration = durationMs(scan);
+  if (scan.info.duration && scan.cuesElement) return { durationMs: duration, cues: null, rewritten: false };
+
+  const firstCluster = scan.clusters[0];
+  const lastCluster = scan.clusters[scan.clusters.length - 1];
+  const scale = scan.info.timecodeScale;
+
+  const src = await fs.promises.open(filePath, 'r');
+  let ebmlBytes, infoBytes, tracksBytes;
+  // [id, bytes] of the optional elements kept between Tracks and Cues
+  const extras = [];
+  try {
+    const readRange = async (start, end) => {
+      const buf = Buffer.alloc(end - start);
+      await src.read(buf, 0, buf.length, start);
+      return buf;
+    };
+    ebmlBytes = await readRange(scan.ebml.offset, scan.ebml.end);
+    infoBytes = await readRange(scan.infoElement.dataStart, scan.infoElement.end);
+    tracksBytes = await readRange(scan.tracksElement.offset, scan.tracksElement.end);
+    for (const el of [scan.chaptersElement, scan.tagsElement]) {
+      if (el) extras.push([el.id, await readRange(el.offset, el.end)]);
+    }
+  } finally {
+    await src.close();
+  }
+
+  // Info: original children minus any stale Duration/Void, plus the real Duration
+  const infoChildren = [];
+  for (const c of children(infoBytes)) {
+    if (c.id === ID.Duration || c.id === ID.Void) continue;
+    infoChildren.push(element(c.id, c.data));
+  }
+  const durationBuf = Buffer.alloc(8);
+  durationBuf.writeDoubleBE((duration * 1e6) / scale);
+  infoChildren.push(element(ID.Duration, durationBuf));
+  const info = element(ID.Info, Buffer.concat(infoChildren));
+
+  // cue on every cluster that opens with a keyframe of the video track (any cluster for audio-only)
+  const video = scan.tracks.find(t => t.type === TRACK_VIDEO);
+  const cueTrack = video || scan.tracks[0];
+  const cued = scan.clusters.filter(c => c.timecode != null && (!video || c.keyframe));
+  const buildCues = (clusterBase) => element(ID.Cues, Buffer.concat(cued.map(c => element(ID.CuePoint, Buffer.concat([
+    element(ID.CueTime, uintBytes(c.timecode)),
+    element(ID.CueTrackPositions, Buffer.concat([
+      element(ID.CueTrack, uintBytes(cueTrack ? cueTrack.number : 1)),
+      element(ID.CueClusterPosition, uintBytes(clusterBase + (c.offset - firstCluster.offset)))
+    ]))
+  ])))));
+
+  const buildSeekHead = (positions) => element(ID.SeekHead, Buffer.concat(positions.map(([id, pos]) => element(ID.Seek, Buffer.concat([
+    element(ID.SeekID, idBytes(id)),
+    element(ID.SeekPosition, uintBytes(pos))
+  ])))));
+
+  // every size is fixed-width, so a dry run with zero positions gives the final layout
+  const seekHeadLength = buildSeekHead([[ID.Info, 0], [ID.Tracks, 0], ...extras.map(([id]) => [id, 0]), [ID.Cues, 0]]).length;
+  const infoPos = seekHeadLength;
+  const tracksPos = infoPos + info.length;
+  const extraPositions = [];
+  let cuesPos = tracksPos + tracksBytes.length;
+  for (const [id, bytes] of extras) {
+    extraPositions.push([id, cuesPos]);
+    cuesPos += bytes.length;
+  }
+  const clusterBase = cuesPos + buildCues(0).length;
+
+  const seekHead = buildSeekHead([[ID.Info, infoPos], [ID.Tracks, tracksPos], ...extraPositions, [ID.Cues, cuesPos]]);
+  const cues = buildCues(clusterBase);
+  const clusterBytes = lastCluster.end - firstCluster.offset;
+  const segmentHeader = Buffer.concat([idBytes(ID.Segment), encodeSize(clusterBase + clusterBytes, 8)]);
+  const header = Buffer.concat([ebmlBytes, segmentHeader, seekHead, info, tracksBytes, ...extras.map(([, bytes]) => bytes), cues]);
+  const segmentDataStart = ebmlBytes.length + segmentHeader.length;
+
+  const tmpPath = filePath + '.finalize';
+  try {
+    const out = await fs.promises.open(tmpPath, 'w');
+    try {
+      await out.write(header, 0, header.length, 0);
+      await copyRange(filePath, firstCluster.offset, lastCluster.end, out, header.length);
+
+      // patch "unknown size" clusters with their real sizes where the size field is wide enough
+      for (const c of scan.clusters) {
+        const actual = c.end - c.dataStart;
+        if (!c.unknownSize && c.size === actual) continue;
+        let sizeBuf;
+        try { sizeBuf = encodeSize(actual, c.sizeLength); } catch { continue; }
+        const at = segmentDataStart + clusterBase + (c.sizeOffset - firstCluster.offset);
+        await out.write(sizeBuf, 0, sizeBuf.length, at);
+      }
+      await out.sync();
+    } finally {
+      await out.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+    throw err;
+  }
+
+  return { durationMs: duration, cues: cued.length, rewritten: true };
+}
+
+// copy [start, end) of `srcPath` into the open handle `out` at `outPos`, 4 MB at a time
+async function copyRange(srcPath, start, end, out, outPos) {
+  const src = await fs.promises.open(srcPath, 'r');
+  try {
+    const buf = Buffer.alloc(4 << 20);
+    let pos = start;
+    let at = outPos;
+    while (pos < end) {
+      const { bytesRead } = await src.read(buf, 0, Math.min(buf.length, end - pos), pos);
+      if (!bytesRead) throw new Error('Unexpected end of file while copying');
+      await out.write(buf, 0, bytesRead, at);
+      pos += bytesRead;
+      at += bytesRead;
+    }
+  } finally {
+    await src.close();
+  }
+}
+
+// best-effort playback length: last block timestamp plus one more frame/packet
+function durationMs(scan) {
+  if (scan.maxBlockTime == null) return 0;
+  return ((scan.maxBlockTime + scan.lastBlockGap) * scan.info.timecodeScale) / 1e6;
+}
+
+// Duration from the Info element in ms (what finalizeWebm writes), or null when the header has none
+function infoDurationMs(info) {
+  return info && info.duration ? (info.duration * info.timecodeScale) / 1e6 : null;
+}
+
+// video keyframe times in ms, ascending (where a stream-copy cut can start)
+function keyframeTimesMs(scan) {
+  const scale = scan.info.timecodeScale / 1e6;
+  return [...new Set(scan.keyframes)].sort((a, b) => a - b).map(t => t * scale);
+}
+
+module.exports = {
+  ID,
+  TRACK_VIDEO,
+  TRACK_AUDIO,
+  readId,
+  readVint,
+  encodeSize,
+  scanWebm,
+  readWebmHeader,
+  repairWebm,
+  finalizeWebm,
+  durationMs,
+  infoDurationMs,
+  keyframeTimesMs
+};
@@ -2,6 +2,18 @@
 import React, { useEffect, useRef, useState } from "react";
 import "./app.css";
 import RecordingsList from "./RecordingsList";
+import RecoveryPrompt from "./RecoveryPrompt";
+import CameraLayoutPreview from "./CameraLayoutPreview";
+import { createCompositor, OVERLAY_DEFAULTS } from "./compositor";
+import useOverlayDrag from "./useOverlayDrag";
+import SettingsPanel from "./SettingsPanel";
+import AudioMixer from "./AudioMixer";
+import { createAudioMixer, gainKey } from "./mixer";
+import MicProcessingPanel from "./MicProcessingPanel";
+import SchedulePanel from "./SchedulePanel";
+import { createMicChain, micConstraints, MIC_PROCESSING_DEFAULTS } from "./micChain";
+import CursorEffectsPanel from "./CursorEffectsPanel";
+import { createCursorEffects, cursorEffectsEnabled, CURSOR_EFFECT_DEFAULTS } from "./cursorEffects";
 
 /* Helpers */
 function formatSecs(s) {
@@ -9,6 +21,10 @@ function formatSecs(s) {
   const ss = String(s % 60).padStart(2, "0");
   return `${mm}:${ss}`;
 }
+// numbered files of a segmented recording: <base>_part001.webm, <base>_part002.webm, ...
+function segmentFilename(base, index) {
+  return `${base}_part${String(index).padStart(3, "0")}.webm`;
+}
 function niceBytes(n) {
   if (!n && n !== 0) return "";
   if (n < 1024) return `${n} B`;
@@ -17,46 +33,53 @@ function niceBytes(n) {
   return `${(n/(1024*1024*1024)).toFixed(1)} GB`;
 }
 
-/* Use a simple localStorage-backed counter for guest usage.
-   Keys:
-    - xig_guest_count  (number of recordings used when not logged in)
-    - xig_user_email   (when logged in)
-    - xig_user_count   (number of recordings used while logged in)
-*/
-function getGuestCount() {
-  return Number(localStorage.getItem('xig_guest_count') || 0);
-}
-function incGuestCount() {
-  const v = getGuestCount() + 1;
-  localStorage.setItem('xig_guest_count', String(v));
-  return v;
-}
-function resetGuestCount() {
-  localStorage.setItem('xig_guest_count','0');
-}
-function getUserEmail() {
-  return localStorage.getItem('xig_user_email') || null;
-}
-function setUserEmail(e) {
-  if (e) localStorage.setItem('xig_user_email', e);
-  else localStorage.removeItem('xig_user_email');
-}
-function getUserCount() {
-  return Number(localStorage.getItem('xig_user_count') || 0);
-}
-function incUserCount() {
-  const v = getUserCount() + 1;
-  localStorage.setItem('xig_user_count', String(v));
-  return v;
-}
-function resetUserCount() {
-  localStorage.setItem('xig_user_count', '0');
-}
-function logoutUser() {
-  setUserEmail(null);
-  resetUserCount();
+/* Account and recording allowance are owned by main: the signed session (auth.js) and the
+   per-account quota (quota.js). The renderer only mirrors them (applyAuthSession / quota state);
+   main refuses to open a recording when the allowance is used up. */
+// keys the renderer used to keep these in; removed on load
+const LEGACY_ACCOUNT_KEYS = ['xig_user_email', 'xig_guest_count', 'xig_user_count'];
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleDateString([], { dateStyle: "medium" });
 }
 
+/* Recording settings live in the main process (electron-store); these are the
+   same defaults, used in the browser and until main has answered. */
+const DEFAULT_SETTINGS = {
+  outputFolder: '',
+  codec: 'vp8',
+  frameRate: 30,
+  countdownSeconds: 3,
+  filenameTemplate: 'xigrecorder_{date}',
+  // segmented recording limits (0 = off for that limit)
+  segmentMinutes: 0,
+  segmentMegabytes: 0,
+  // last region per display: { [displayId]: { rect: {x,y,w,h} (0..1), aspect, pixelSize: {width,height} } }
+  regions: {},
+  shortcuts: { start: 'CommandOrControl+Shift+R', stop: 'CommandOrControl+Shift+S', pause: 'CommandOrControl+Shift+P', cancel: 'CommandOrControl+Shift+X', annotate: 'CommandOrControl+Shift+D', marker: 'CommandOrControl+Shift+M' },
+  // per-device mixer settings: { [gainKey]: { gain (linear), muted } }
+  audioGains: {},
+  micProcessing: MIC_PROCESSING_DEFAULTS,
+  // also write each raw audio source to <name>.<mic|system>.webm when both are recorded
+  separateAudioTracks: false,
+  // cursor halo / click ripples / shortcut badges drawn into the video
+  cursorEffects: CURSOR_EFFECT_DEFAULTS
+};
+
+const REGION_ASPECTS = { "": null, "16:9": 16/9, "4:3": 4/3, "1:1": 1, "9:16": 9/16 };
+
+const CAPTURE_MODE_LABELS = {
+  "video+mic": "Video + Microphone",
+  "video-only": "Video only",
+  "audio-only": "Audio only (microphone)",
+  "video+system": "Video + System audio",
+  "video+system+mic": "Video + System audio + Microphone"
+};
+
+// audio sources recorded by each capture mode
+const usesSystemAudio = mode => mode === 'video+system' || mode === 'video+system+mic';
+const usesMic = mode => mode === 'video+mic' || mode === 'audio-only' || mode === 'video+system+mic';
+
 /* --- App --- */
 export default function App() {
   const [isElectron, setIsElectron] = useState(!!window.electronAPI);
@@ -64,32 +87,85 @@ export default function App() {
   const [selectedSourceId, setSelectedSourceId] = useState("");
   const [micDevices, setMicDevices] = useState([]);
   const [selectedMicId, setSelectedMicId] = useState("");
+  const [cameraDevices, setCameraDevices] = useState([]);
+  const [selectedCameraId, setSelectedCameraId] = useState(""); // "" = no camera overlay
+  const [cameraStream, setCameraStream] = useState(null);
+  const [cameraOverlay, setCameraOverlay] = useState(OVERLAY_DEFAULTS);
+  const [regionMode, setRegionMode] = useState(false);
+  const [regionAspect, setRegionAspect] = useState("");
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [shortcutStatus, setShortcutStatus] = useState({ registered: [], conflicts: [] });
   const [captureMode, setCaptureMode] = useState("video+mic");
   const [status, setStatus] = useState("idle");
   const [countdown, setCountdown] = useState(0);
   const [recording, setRecording] = useState(false);
+  const [paused, setPaused] = useState(false);
+  // chapter markers of the running recording: [{ id, timeMs, name }], timeMs on the recording clock
+  const [markers, setMarkers] = useState([]);
+  // annotation overlay: armed while a screen recording runs, drawing while draw mode is on
+  const [annotation, setAnnotation] = useState({ armed: false, drawing: false });
   const [seconds, setSeconds] = useState(0);
   const [toasts, setToasts] = useState([]);
   const [recordings, setRecordings] = useState([]);
+  const [interrupted, setInterrupted] = useState([]);
+  const [recoveryOpen, setRecoveryOpen] = useState(false);
+  const [scheduleOpen, setScheduleOpen] = useState(false);
+  const [schedule, setSchedule] = useState({ jobs: [], history: [], active: null });
+  // a scheduled job whose selection is being applied; it starts once the state matches
+  const [scheduledStart, setScheduledStart] = useState(null);
 
   const [accountPanelOpen, setAccountPanelOpen] = useState(false);
-  const [accountEmail, setAccountEmail] = useState(getUserEmail() || "");
+  const [accountEmail, setAccountEmail] = useState("");
+  // { email, expiresAt } while signed in
+  const [authSession, setAuthSession] = useState(null);
   const [otpSent, setOtpSent] = useState(false);
   const [otpValue, setOtpValue] = useState("");
-  const [guestCount, setGuestCountState] = useState(getGuestCount());
-  const [userCount, setUserCountState] = useState(getUserCount());
+  // { account, limit, used, remaining, resetsAt, limits } from main; null in the browser
+  const [quota, setQuota] = useState(null);
 
   const previewRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
+  const writeSessionRef = useRef(null);
   const streamsRef = useRef(null);
   const timerRef = useRef(null);
+  const countdownTimerRef = useRef(null);
+  const cancelRequestedRef = useRef(false);
+  const commandHandlerRef = useRef(null);
+  // id of the scheduled job the next recording belongs to (main enforces its size limit by it)
+  const scheduledRunIdRef = useRef(null);
+  // latest commenceStartRecording, for the scheduled start effect
+  const commenceStartRef = useRef(null);
 
   const pendingDisplayStreamRef = useRef(null);
   const pendingPickerOpeningRef = useRef(false);
 
   const audioContextRef = useRef(null);
-  const mixerDestinationRef = useRef(null);
+  // live audio mixer while recording (also in state so the meters can render it)
+  const mixerRef = useRef(null);
+  const [mixer, setMixer] = useState(null);
+  const gainSaveTimerRef = useRef(null);
+  // mic processing chain of the running recording; headphone preview { stream, source, chain }
+  const micChainRef = useRef(null);
+  const micPreviewRef = useRef(null);
+  const [micPreviewing, setMicPreviewing] = useState(false);
+  const processingSaveTimerRef = useRef(null);
+  // raw per-source audio recorders running next to the main recorder: [{ kind, recorder, session, stopped }]
+  const sideTracksRef = useRef([]);
+  // segmented recording in progress: { base, index, meta, elapsed (s), startMs, limitSecs, limitBytes, rolling }
+  const segmentRef = useRef(null);
+  // recorded time (pauses excluded): baseMs banked before the last pause + time since `since`
+  const recordClockRef = useRef({ baseMs: 0, since: null });
+  const markersRef = useRef([]);
+  // unsubscribe from main's input events while cursor effects are being recorded
+  const inputTrackingRef = useRef(null);
+  const effectsSaveTimerRef = useRef(null);
+
+  // recording code runs from timers created in earlier renders; read settings through a ref
+  const settingsRef = useRef(settings);
+  const compositorRef = useRef(null);
+  const cameraOverlayRef = useRef(cameraOverlay);
 
   const lastStartTimeRef = useRef(null);
   const toastIdRef = useRef(1);
@@ -97,17 +173,21 @@ export default function App() {
   useEffect(() => {
     setIsElectron(!!window.electronAPI);
     loadSources();
+    loadSettings();
     enumerateMics();
+    enumerateCameras();
     loadRecordings();
+    loadInterrupted();
 
-    // set account email from localStorage if present
-    setAccountEmail(getUserEmail() || "");
+    // left over from before the account and quota moved to main; they never proved anything
+    LEGACY_ACCOUNT_KEYS.forEach(k => localStorage.removeItem(k));
 
     return () => {
       if (timerRef.current) clearInterval(timerRef.current);
       if (pendingDisplayStreamRef.current) {
         try { pendingDisplayStreamRef.current.getTracks().forEach(t=>t.stop()); } catch(_) {}
       }
+      if (micPreviewRef.current) micPreviewRef.current.stream.getTracks().forEach(t => t.stop());
       if (audioContextRef.current) {
         try { audioContextRef.current.close(); } catch(_) {}
       }
@@ -115,10 +195,105 @@ export default function App() {
     // eslint-disable-next-line
   }, []);
 
+  useEffect(() => { settingsRef.current = settings; }, [settings]);
+
+  // global shortcuts / tray menu arrive as commands from main
   useEffect(() => {
-    setGuestCountState(getGuestCount());
-    setUserCountState(getUserCount());
-  }, [toasts]);
+    if (!window.electronAPI || !window.electronAPI.onRecorderCommand) return;
+    const offCommand = window.electronAPI.onRecorderCommand((payload) => {
+      if (commandHandlerRef.current) commandHandlerRef.current(payload.action, payload);
+    });
+    const onStatus = (st) => {
+      setShortcutStatus(st);
+      if (st.conflicts && st.conflicts.length) {
+        addToast(`Shortcut conflict: ${st.conflicts.map(c => `${c.accelerator} (${c.action})`).join(', ')}`, "warn");
+      }
+    };
+    const offStatus = window.electronAPI.onShortcutStatus(onStatus);
+    window.electronAPI.getShortcutStatus()
+      .then(res => { if (res && res.success) onStatus(res); })
+      .catch(e => console.warn("getShortcutStatus failed", e));
+    return () => { offCommand(); offStatus(); };
+  }, []);
+
+  // draw mode can also be switched by the global hotkey or from the overlay itself
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.onAnnotationMode) return;
+    return window.electronAPI.onAnnotationMode(({ drawing }) => setAnnotation(a => ({ ...a, drawing: !!drawing })));
+  }, []);
+
+  // the signed-in session lives in main; mirror it (and drop it locally once it expires)
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.getAuthSession) return;
+    const off = window.electronAPI.onAuthChanged(applyAuthSession);
+    window.electronAPI.getAuthSession()
+      .then(res => { if (res && res.success) applyAuthSession(res.session); })
+      .catch(e => console.warn("getAuthSession failed", e));
+    return off;
+  }, []);
+
+  useEffect(() => {
+    if (!authSession) return;
+    // re-ask main at expiry (at least daily: setTimeout can't wait a whole session)
+    const timer = setTimeout(() => {
+      window.electronAPI.getAuthSession()
+        .then(res => { if (res && res.success) applyAuthSession(res.session); })
+        .catch(e => console.warn("getAuthSession failed", e));
+    }, Math.max(1000, Math.min(authSession.expiresAt - Date.now(), 24 * 60 * 60 * 1000)));
+    return () => clearTimeout(timer);
+  }, [authSession]);
+
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.getQuota) return;
+    const off = window.electronAPI.onQuotaChanged(setQuota);
+    window.electronAPI.getQuota()
+      .then(res => { if (res && res.success) setQuota(res.quota); })
+      .catch(e => console.warn("getQuota failed", e));
+    return off;
+  }, []);
+
+  // scheduled recordings are stored in main; keep the list in sync
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.getSchedule) return;
+    const off = window.electronAPI.onScheduleChanged(setSchedule);
+    window.electronAPI.getSchedule()
+      .then(res => { if (res && res.success) setSchedule({ jobs: res.jobs, history: res.history, active: res.active }); })
+      .catch(e => console.warn("getSchedule failed", e));
+    return off;
+  }, []);
+
+  // mirror recorder state to main (tray icon / menu)
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.reportRecorderState) return;
+    const state = countdown > 0 ? 'countdown' : recording ? (paused ? 'paused' : 'recording') : 'idle';
+    window.electronAPI.reportRecorderState({ state, elapsed: seconds, countdown });
+  }, [countdown, recording, paused, seconds]);
+
+  // the running compositor reads the overlay through a ref so changes apply live
+  useEffect(() => { cameraOverlayRef.current = cameraOverlay; }, [cameraOverlay]);
+
+  // keep the selected camera open while it is selected: it feeds both the layout preview and the recording
+  useEffect(() => {
+    if (!selectedCameraId) { setCameraStream(null); return; }
+    let cancelled = false;
+    let stream = null;
+    navigator.mediaDevices.getUserMedia({ video: { deviceId: { exact: selectedCameraId } }, audio: false })
+      .then(s => {
+        if (cancelled) { s.getTracks().forEach(t => t.stop()); return; }
+        stream = s;
+        setCameraStream(s);
+      })
+      .catch(err => {
+        console.warn("camera acquisition failed", err);
+        addToast("Camera not available / permission denied", "warn");
+        setSelectedCameraId("");
+      });
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach(t => t.stop());
+      setCameraStream(null);
+    };
+  }, [selectedCameraId]);
 
   function addToast(text, kind = "neutral") {
     const id = toastIdRef.current++;
@@ -158,6 +333,63 @@ export default function App() {
     }
   }
 
+  async function loadSettings() {
+    if (!window.electronAPI || !window.electronAPI.getSettings) return;
+    try {
+      const res = await window.electronAPI.getSettings();
+      if (!res || !res.success) throw new Error(res && res.error);
+      let loaded = res.settings;
+      // one-off import of region memory kept in localStorage before settings existed
+      const legacyRegions = localStorage.getItem('xig_regions');
+      if (legacyRegions) {
+        try {
+          const parsed = JSON.parse(legacyRegions);
+          if (parsed && typeof parsed === 'object' && !Object.keys(loaded.regions || {}).length) {
+            const up = await window.electronAPI.updateSettings({ regions: parsed });
+            if (up && up.success) loaded = up.settings;
+          }
+        } catch (e) {
+          console.warn('legacy region import failed', e);
+        }
+        localStorage.removeItem('xig_regions');
+      }
+      settingsRef.current = loaded;
+      setSettings(loaded);
+    } catch (e) {
+      console.warn("loadSettings failed", e);
+    }
+  }
+
+  // persist a partial settings update; returns true when main accepted it
+  async function saveSettings(patch) {
+    if (!window.electronAPI || !window.electronAPI.updateSettings) {
+      setSettings(s => ({ ...s, ...patch }));
+      return true;
+    }
+    try {
+      const res = await window.electronAPI.updateSettings(patch);
+      if (!res || !res.success) { addToast("Settings not saved: " + (res && res.error), "error"); return false; }
+      settingsRef.current = res.settings;
+      setSettings(res.settings);
+      return true;
+    } catch (e) {
+      console.warn("saveSettings failed", e);
+      addToast("Settings error: " + (e.message || e), "error");
+      return false;
+    }
+  }
+
+  async function enumerateCameras() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const cams = devices.filter(d => d.kind === "videoinput");
+      setCameraDevices(cams);
+      console.log("enumerated cameras:", cams);
+    } catch (e) {
+      console.warn("enumerateDevices (cameras) failed", e);
+    }
+  }
+
   async function loadRecordings() {
     if (!window.electronAPI || !window.electronAPI.listRecordings) return;
     try {
@@ -168,16 +400,39 @@ export default function App() {
     }
   }
 
+  // partial files left by a crashed/closed session; prompt once per start if any exist
+  async function loadInterrupted() {
+    if (!window.electronAPI || !window.electronAPI.listInterruptedRecordings) return;
+    try {
+      const res = await window.electronAPI.listInterruptedRecordings();
+      if (res && res.success && res.files && res.files.length) {
+        setInterrupted(res.files);
+        setRecoveryOpen(true);
+      }
+    } catch (e) {
+      console.warn("loadInterrupted failed", e);
+    }
+  }
+
+  function dropInterrupted(file) {
+    const next = interrupted.filter(f => f.path !== file.path);
+    setInterrupted(next);
+    if (!next.length) setRecoveryOpen(false);
+  }
+
   async function refreshAll() {
     addToast("Refreshing...", "neutral");
     await loadSources();
     await enumerateMics();
+    await enumerateCameras();
     await loadRecordings();
     addToast("Refreshed", "ok");
   }
 
   /* -------- Microphone acquisition (robust) -------- */
-  async function getMicStream(selectedId) {
+  // processing: settings.micProcessing (browser noise suppression / echo cancellation constraints)
+  async function getMicStream(selectedId, processing) {
+    const extra = micConstraints(processing);
     async function tryG(constraint) {
       try {
         const s = await navigator.mediaDevices.getUserMedia({ audio: constraint, video: false });
@@ -201,40 +456,51 @@ export default function App() {
     } catch(e) { console.warn('enumerate in priming failed', e); }
 
     if (selectedId && selectedId !== 'default' && selectedId !== 'communications') {
-      try { return await tryG({ deviceId: { exact: selectedId } }); } catch(e) { console.warn('exact device try failed', e); }
+      try { return await tryG({ deviceId: { exact: selectedId }, ...extra }); } catch(e) { console.warn('exact device try failed', e); }
     }
     if (selectedId && selectedId !== 'default' && selectedId !== 'communications') {
-      try { return await tryG({ deviceId: selectedId }); } catch(e) { console.warn('non-exact device try failed', e); }
+      try { return await tryG({ deviceId: selectedId, ...extra }); } catch(e) { console.warn('non-exact device try failed', e); }
     }
-    return await tryG(true);
+    return await tryG(extra);
   }
 
-  /* -------- Recording limits logic (guest/login) -------- */
-  // limits stored centrally as config
-  const LIMITS = {
-    guestFree: 5,
-    loggedInFree: 10
-  };
-
+  /* -------- Recording limits (enforced by main; this only avoids a doomed start) -------- */
   function canStartRecording() {
-    const email = getUserEmail();
-    if (!email) {
-      return getGuestCount() < LIMITS.guestFree;
-    } else { 
-      const guestUsed = getGuestCount();
-      const userUsed = getUserCount();
-      return (guestUsed + userUsed) < LIMITS.loggedInFree;
-    }
+    return !quota || quota.remaining > 0;
   }
 
-  function noteRecordingSaved() {
-    const email = getUserEmail();
-    if (!email) {
-      const newCount = incGuestCount();
-      setGuestCountState(newCount);
-    } else {
-      const newCount = incUserCount();
-      setUserCountState(newCount);
+  function quotaMessage(q) {
+    if (!q.account) return `Guest limit reached (${q.limit}). Please log in to continue.`;
+    return `Recording limit reached (${q.limit})` + (q.resetsAt ? ` — resets ${formatDate(q.resetsAt)}` : '');
+  }
+
+  /* -------- Region capture -------- */
+  const selectedSource = sources.find(s => s.id === selectedSourceId) || null;
+  // only whole screens can be cropped (we need the display to put the selector on)
+  const regionAvailable = !!(selectedSource && selectedSource.id.startsWith('screen:') && window.electronAPI && window.electronAPI.selectRegion);
+  const regionDisplayId = selectedSource ? (selectedSource.displayId || selectedSource.id) : null;
+  const currentRegion = regionMode && regionAvailable ? ((settings.regions || {})[regionDisplayId] || null) : null;
+  // pointer positions are reported per display, so cursor effects need a whole screen too
+  const cursorEffectsAvailable = !!(selectedSource && selectedSource.id.startsWith('screen:') && window.electronAPI && window.electronAPI.startInputTracking);
+  // the overlay is placed on the recorded display, which window and picker sources don't tell us
+  const annotationAvailable = !!(selectedSource && selectedSource.id.startsWith('screen:') && window.electronAPI && window.electronAPI.setAnnotationTarget);
+
+  async function chooseRegion() {
+    if (!regionAvailable) { addToast("Region capture needs a screen source", "warn"); return null; }
+    try {
+      const prev = (settingsRef.current.regions || {})[regionDisplayId];
+      const res = await window.electronAPI.selectRegion(selectedSource.displayId, REGION_ASPECTS[regionAspect], prev ? prev.rect : null);
+      if (!res || !res.success) { addToast("Region selection failed: " + (res && res.error), "error"); return null; }
+      if (!res.rect) { addToast("Region selection canceled", "warn"); return null; }
+      const region = { rect: res.rect, aspect: regionAspect, pixelSize: res.pixelSize };
+      await saveSettings({ regions: { ...(settingsRef.current.regions || {}), [regionDisplayId]: region } });
+      const px = res.pixelSize ? ` (${Math.round(res.rect.w * res.pixelSize.width)}×${Math.round(res.rect.h * res.pixelSize.height)})` : '';
+      addToast("Region selected" + px, "ok");
+      return region;
+    } catch (e) {
+      console.warn("chooseRegion failed", e);
+      addToast("Region selection error: " + (e.message || e), "error");
+      return null;
     }
   }
 
@@ -242,20 +508,25 @@ export default function App() {
   const commenceStartRecording = async () => {
     // check limits
     if (!canStartRecording()) {
-      // open account panel (login)
-      setAccountPanelOpen(true);
-      addToast('Guest limit reached (5). Please log in to continue.', 'warn');
+      // guests can log in for their own allowance
+      if (!quota.account) setAccountPanelOpen(true);
+      addToast(quotaMessage(quota), 'warn');
       return;
     }
 
     if (!selectedSourceId) { addToast("Select a source", "warn"); setStatus("Select a source"); return; }
 
+    if (regionMode && captureMode !== 'audio-only') {
+      if (!regionAvailable) { addToast("Region capture needs a screen source", "warn"); return; }
+      if (!currentRegion && !(await chooseRegion())) return;
+    }
+
     if (selectedSourceId === "picker://screen") {
       if (!pendingDisplayStreamRef.current && !pendingPickerOpeningRef.current) {
         try {
           pendingPickerOpeningRef.current = true;
           addToast("Opening screen picker — choose what to share", "neutral");
-          const gdOptions = { video: true, audio: (captureMode === 'video+system' || captureMode === 'audio-only') ? true : false };
+          const gdOptions = { video: true, audio: (usesSystemAudio(captureMode) || captureMode === 'audio-only') ? true : false };
           const s = await navigator.mediaDevices.getDisplayMedia(gdOptions);
           pendingDisplayStreamRef.current = s;
           attachStreamEndHandler(s);
@@ -271,15 +542,18 @@ export default function App() {
       }
     }
 
-    setCountdown(3);
-    setStatus("Starting in 3s...");
-    addToast("Recording starts in 3s", "neutral");
+    const countdownSecs = settingsRef.current.countdownSeconds;
+    if (!countdownSecs) { startRecording(); return; }
+    setCountdown(countdownSecs);
+    setStatus(`Starting in ${countdownSecs}s...`);
+    addToast(`Recording starts in ${countdownSecs}s`, "neutral");
     const id = setInterval(()=> {
       setCountdown(c => {
-        if (c <= 1) { clearInterval(id); setCountdown(0); startRecording(); return 0; }
+        if (c <= 1) { clearInterval(id); countdownTimerRef.current = null; setCountdown(0); startRecording(); return 0; }
         return c - 1;
       });
     }, 1000);
+    countdownTimerRef.current = id;
   };
 
   function attachStreamEndHandler(stream) {
@@ -288,7 +562,10 @@ export default function App() {
       track.onended = () => {
         console.log('TRACK.ONENDED', track.kind, track.label);
         setTimeout(() => {
-          if (!recording) {
+          // read the live recorder state (not the `recording` closure) so paused sessions still auto-stop
+          const mr = mediaRecorderRef.current;
+          const active = !!mr && (mr.state === 'recording' || mr.state === 'paused');
+          if (!active) {
             try { if (pendingDisplayStreamRef.current) pendingDisplayStreamRef.current.getTracks().forEach(t=>t.stop()); } catch(_) {}
             pendingDisplayStreamRef.current = null;
           } else {
@@ -306,52 +583,220 @@ export default function App() {
     });
   }
 
-  function mixAudioTracks(screenStream, micStream) {
+  // audio sources of a capture mode, with the gain remembered for each device
+  function audioChannels(mode, micId, gains) {
+    const channels = [];
+    if (usesSystemAudio(mode)) channels.push({ id: 'system', key: gainKey('system'), label: 'System audio' });
+    if (usesMic(mode)) {
+      const mic = micDevices.find(m => m.deviceId === micId);
+      channels.push({ id: 'mic', key: gainKey('mic', micId), label: mic && mic.label ? mic.label : 'Microphone' });
+    }
+    return channels.map(ch => ({ gain: 1, muted: false, ...((gains || {})[ch.key]), ...ch }));
+  }
+
+  // every source goes through the mixer (per-source gain / mute / meters), even when there is only one
+  async function mixAudioTracks(screenStream, micStream) {
     const screenHasAudio = !!(screenStream && screenStream.getAudioTracks && screenStream.getAudioTracks().length > 0);
     const micHasAudio = !!(micStream && micStream.getAudioTracks && micStream.getAudioTracks().length > 0);
-
     if (!screenHasAudio && !micHasAudio) return [];
-    if (!micHasAudio && screenHasAudio) return screenStream.getAudioTracks();
-    if (!screenHasAudio && micHasAudio) return micStream.getAudioTracks();
-
-    if (!audioContextRef.current) audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    const ac = audioContextRef.current;
 
-    if (mixerDestinationRef.current) {
-      try { mixerDestinationRef.current.disconnect(); } catch(_) {}
-      mixerDestinationRef.current = null;
-    }
-
-    const destination = ac.createMediaStreamDestination();
-    mixerDestinationRef.current = destination;
+    const ac = getAudioContext();
+    stopMixer();
 
+    const gains = settingsRef.current.audioGains || {};
+    const m = createAudioMixer(ac);
     if (screenHasAudio) {
       try {
-        const screenSource = ac.createMediaStreamSource(screenStream);
-        screenSource.connect(destination);
+        m.addSource('system', new MediaStream(screenStream.getAudioTracks()), gains[gainKey('system')]);
       } catch (e) {
         console.warn('mixAudioTracks: screenSource failed', e);
       }
     }
     if (micHasAudio) {
       try {
-        const micSource = ac.createMediaStreamSource(micStream);
-        micSource.connect(destination);
+        micChainRef.current = await createMicChain(ac, settingsRef.current.micProcessing);
+        m.addSource('mic', micStream, { ...gains[gainKey('mic', selectedMicId)], chain: micChainRef.current });
       } catch (e) {
         console.warn('mixAudioTracks: micSource failed', e);
       }
     }
-    return destination.stream.getAudioTracks();
+    mixerRef.current = m;
+    setMixer(m);
+    return m.stream.getAudioTracks();
+  }
+
+  function stopMixer() {
+    if (micChainRef.current) {
+      micChainRef.current.disconnect();
+      micChainRef.current = null;
+    }
+    if (!mixerRef.current) return;
+    mixerRef.current.stop();
+    mixerRef.current = null;
+    setMixer(null);
+  }
+
+  function getAudioContext() {
+    if (!audioContextRef.current) audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    const ac = audioContextRef.current;
+    if (ac.state === 'suspended') ac.resume().catch(e => console.warn('AudioContext resume failed', e));
+    return ac;
+  }
+
+  /* -------- Mic processing + headphone preview -------- */
+  function updateMicProcessing(patch) {
+    const micProcessing = { ...MIC_PROCESSING_DEFAULTS, ...settingsRef.current.micProcessing, ...patch };
+    settingsRef.current = { ...settingsRef.current, micProcessing };
+    setSettings(s => ({ ...s, micProcessing }));
+
+    // live: re-route the Web Audio chain, ask the capture track to switch browser processing
+    const chains = [micChainRef.current, micPreviewRef.current && micPreviewRef.current.chain].filter(Boolean);
+    chains.forEach(c => c.update(micProcessing));
+    if ('noiseSuppression' in patch || 'echoCancellation' in patch) {
+      const streams = [streamsRef.current && streamsRef.current.audioStream, micPreviewRef.current && micPreviewRef.current.stream].filter(Boolean);
+      streams.forEach(st => st.getAudioTracks().forEach(t => {
+        t.applyConstraints(micConstraints(micProcessing)).catch(e => console.warn('applyConstraints failed', e));
+      }));
+    }
+
+    clearTimeout(processingSaveTimerRef.current);
+    processingSaveTimerRef.current = setTimeout(() => saveSettings({ micProcessing: settingsRef.current.micProcessing }), 400);
+  }
+
+  /* -------- Cursor effects -------- */
+  // style changes apply live (the compositor reads settingsRef every frame); saved debounced
+  function updateCursorEffects(patch) {
+    const cursorEffects = { ...CURSOR_EFFECT_DEFAULTS, ...settingsRef.current.cursorEffects, ...patch };
+    settingsRef.current = { ...settingsRef.current, cursorEffects };
+    setSettings(s => ({ ...s, cursorEffects }));
+    clearTimeout(effectsSaveTimerRef.current);
+    effectsSaveTimerRef.current = setTimeout(() => saveSettings({ cursorEffects: settingsRef.current.cursorEffects }), 400);
+  }
+
+  // main samples the pointer (and clicks / shortcuts when its input hook loads) on the captured display
+  async function startCursorEffects(displayId, style) {
+    const effects = createCursorEffects(() => settingsRef.current.cursorEffects);
+    const unsubscribe = window.electronAPI.onInputEvent(ev => effects.push(ev));
+    const res = await window.electronAPI.startInputTracking(displayId, { clicks: !!style.clicks, keys: !!style.keys });
+    if (!res || !res.success) {
+      unsubscribe();
+      console.warn('startInputTracking failed', res && res.error);
+      addToast('Cursor effects unavailable: ' + ((res && res.error) || 'unknown error'), 'warn');
+      return null;
+    }
+    inputTrackingRef.current = unsubscribe;
+    if ((style.clicks && !res.clicks) || (style.keys && !res.keys)) {
+      addToast("Clicks and shortcut keys can't be captured on this system — only the cursor halo is recorded", "warn");
+    }
+    return effects;
+  }
+
+  function stopCursorEffects() {
+    const unsubscribe = inputTrackingRef.current;
+    inputTrackingRef.current = null;
+    if (!unsubscribe) return;
+    unsubscribe();
+    window.electronAPI.stopInputTracking().catch(e => console.warn('stopInputTracking failed', e));
+  }
+
+  /* -------- On-screen annotations -------- */
+  async function armAnnotation(displayId) {
+    try {
+      const res = await window.electronAPI.setAnnotationTarget(displayId);
+      if (res && res.success) setAnnotation({ armed: true, drawing: false });
+      else console.warn('setAnnotationTarget failed', res && res.error);
+    } catch (e) {
+      console.warn('setAnnotationTarget failed', e);
+    }
+  }
+
+  function disarmAnnotation() {
+    setAnnotation({ armed: false, drawing: false });
+    if (!window.electronAPI || !window.electronAPI.setAnnotationTarget) return;
+    window.electronAPI.setAnnotationTarget(null).catch(e => console.warn('setAnnotationTarget failed', e));
+  }
+
+  async function toggleAnnotation() {
+    try {
+      const res = await window.electronAPI.toggleAnnotation();
+      if (!res || !res.success) addToast('Drawing unavailable: ' + ((res && res.error) || 'unknown error'), 'warn');
+    } catch (e) {
+      console.warn('toggleAnnotation failed', e);
+    }
+  }
+
+  function stopMicPreview() {
+    const preview = micPreviewRef.current;
+    micPreviewRef.current = null;
+    setMicPreviewing(false);
+    if (!preview) return;
+    preview.source.disconnect();
+    preview.chain.disconnect();
+    preview.stream.getTracks().forEach(t => t.stop());
+  }
+
+  async function toggleMicPreview() {
+    if (micPreviewRef.current) { stopMicPreview(); return; }
+    try {
+      const stream = await getMicStream(selectedMicId, settingsRef.current.micProcessing);
+      const ac = getAudioContext();
+      const chain = await createMicChain(ac, settingsRef.current.micProcessing);
+      const source = ac.createMediaStreamSource(stream);
+      source.connect(chain.input);
+      chain.output.connect(ac.destination);
+      micPreviewRef.current = { stream, source, chain };
+      setMicPreviewing(true);
+    } catch (e) {
+      console.warn('mic preview failed', e);
+      addToast('Mic preview failed: ' + (e.message || e), 'error');
+    }
+  }
+
+  // live on the running mixer; persisted per device (debounced — sliders fire continuously)
+  function updateAudioChannel(id, patch) {
+    const ch = audioChannels(captureMode, selectedMicId, settingsRef.current.audioGains).find(c => c.id === id);
+    if (!ch) return;
+    if (mixerRef.current) {
+      if (patch.gain !== undefined) mixerRef.current.setGain(id, patch.gain);
+      if (patch.muted !== undefined) mixerRef.current.setMuted(id, patch.muted);
+    }
+    const audioGains = { ...(settingsRef.current.audioGains || {}), [ch.key]: { gain: ch.gain, muted: ch.muted, ...patch } };
+    settingsRef.current = { ...settingsRef.current, audioGains };
+    setSettings(s => ({ ...s, audioGains }));
+    clearTimeout(gainSaveTimerRef.current);
+    gainSaveTimerRef.current = setTimeout(() => saveSettings({ audioGains: settingsRef.current.audioGains }), 400);
   }
 
   async function startRecording() {
+    // read the saved region now (it may have been chosen just before the countdown)
+    const cfg = settingsRef.current;
+    const scheduleId = scheduledRunIdRef.current;
+    scheduledRunIdRef.current = null;
+    const region = regionMode && regionAvailable && captureMode !== 'audio-only' ? ((cfg.regions || {})[regionDisplayId] || null) : null;
+    let screenStream = null;
+    let micStream = null;
     try {
-      setStatus("Requesting streams...");
-      let screenStream = null;
-      let micStream = null;
+      if (selectedSourceId === "picker://screen" && !pendingDisplayStreamRef.current) { addToast("No screen selected", "warn"); setStatus("No screen"); return; }
+
+      // Electron: stream every chunk to a temp file in main; browser: buffer in memory until stop.
+      // Opened before any capture starts, so a refusal (e.g. no recordings left) leaves nothing running.
+      const baseFilename = await nextFilename(selectedSource ? selectedSource.name : '', captureMode);
+      // segmented: a numbered series of files, each written by its own recorder so it has its own header
+      const segmentBase = (cfg.segmentMinutes || cfg.segmentMegabytes) ? baseFilename.replace(/\.webm$/i, '') : null;
+      const filename = segmentBase ? segmentFilename(segmentBase, 1) : baseFilename;
+      // capture details kept in the library index next to the probed duration/resolution
+      const micDevice = usesMic(captureMode) ? micDevices.find(m => m.deviceId === selectedMicId) : null;
+      const captureMeta = {
+        sourceName: selectedSource ? selectedSource.name : '',
+        mode: captureMode,
+        micLabel: micDevice ? micDevice.label : '',
+        ...(scheduleId ? { scheduleId } : {}),
+        ...(segmentBase ? { segmentGroup: segmentBase, segmentIndex: 1 } : {})
+      };
+      writeSessionRef.current = await openWriteSession(filename, captureMeta);
 
+      setStatus("Requesting streams...");
       if (selectedSourceId === "picker://screen") {
-        if (!pendingDisplayStreamRef.current) { addToast("No screen selected", "warn"); setStatus("No screen"); return; }
         screenStream = pendingDisplayStreamRef.current;
         pendingDisplayStreamRef.current = null;
         attachStreamEndHandler(screenStream);
@@ -361,10 +806,12 @@ export default function App() {
             mandatory: {
               chromeMediaSource: "desktop",
               chromeMediaSourceId: selectedSourceId,
-              maxFrameRate: 30
+              maxFrameRate: cfg.frameRate,
+              // region crops keep full resolution: ask for the display's physical size
+              ...(region && region.pixelSize ? { maxWidth: region.pixelSize.width, maxHeight: region.pixelSize.height } : {})
             }
           },
-          audio: captureMode === "video+system" ? {
+          audio: usesSystemAudio(captureMode) ? {
             mandatory: {
               chromeMediaSource: "desktop",
               chromeMediaSourceId: selectedSourceId
@@ -377,9 +824,11 @@ export default function App() {
         }
       }
 
-      if (captureMode === "audio-only" || captureMode === "video+mic") {
+      if (usesMic(captureMode)) {
         try {
-          micStream = await getMicStream(selectedMicId);
+          // the preview holds the same device; hand it over to the recording
+          stopMicPreview();
+          micStream = await getMicStream(selectedMicId, cfg.micProcessing);
         } catch (err) {
           console.warn("mic acquisition failed", err);
           micStream = null;
@@ -390,26 +839,32 @@ export default function App() {
       // Compose combined stream
       let combined = null;
       if (captureMode === "audio-only") {
-        if (!micStream) { addToast("Mic not available", "error"); setStatus("No mic"); return; }
-        combined = micStream;
+        if (!micStream) { abortWriteSession(); addToast("Mic not available", "error"); setStatus("No mic"); return; }
+        combined = new MediaStream(await mixAudioTracks(null, micStream));
         streamsRef.current = { screenStream: null, audioStream: micStream, combined };
       } else {
         combined = new MediaStream();
-        if (screenStream) screenStream.getVideoTracks().forEach(t => combined.addTrack(t));
-
-        let audioTracks = [];
-        const screenHasAudio = !!(screenStream && screenStream.getAudioTracks && screenStream.getAudioTracks().length > 0);
-        const micHasAudio = !!(micStream && micStream.getAudioTracks && micStream.getAudioTracks().length > 0);
-
-        if (micHasAudio && screenHasAudio) {
-          audioTracks = mixAudioTracks(screenStream, micStream);
-        } else if (micHasAudio) {
-          audioTracks = micStream.getAudioTracks();
-        } else if (screenHasAudio) {
-          audioTracks = screenStream.getAudioTracks();
+        const effects = screenStream && cursorEffectsAvailable && cursorEffectsEnabled(cfg.cursorEffects)
+          ? await startCursorEffects(regionDisplayId, { ...CURSOR_EFFECT_DEFAULTS, ...cfg.cursorEffects })
+          : null;
+        if (screenStream && (cameraStream || region || effects) && screenStream.getVideoTracks().length) {
+          // webcam picture-in-picture / region crop / cursor effects: record the composited canvas instead of the raw screen track
+          compositorRef.current = createCompositor({
+            screenStream,
+            cameraStream,
+            crop: region ? region.rect : null,
+            frameRate: cfg.frameRate,
+            getOverlay: () => cameraOverlayRef.current,
+            effects
+          });
+          combined.addTrack(compositorRef.current.track);
+        } else if (screenStream) {
+          screenStream.getVideoTracks().forEach(t => combined.addTrack(t));
         }
+        // drawings are an ordinary window on the recorded screen, so the capture picks them up
+        if (screenStream && annotationAvailable) await armAnnotation(regionDisplayId);
 
-        audioTracks.forEach(t => combined.addTrack(t));
+        (await mixAudioTracks(screenStream, micStream)).forEach(t => combined.addTrack(t));
         streamsRef.current = { screenStream, audioStream: micStream, combined };
       }
 
@@ -426,71 +881,164 @@ export default function App() {
         try { await previewRef.current.play(); } catch(_) {}
       }
 
-      // recorder options (prefer vp8)
+      // recorder options (configured codec first, then the other one)
       const options = {};
       if (MediaRecorder.isTypeSupported) {
-        if (MediaRecorder.isTypeSupported('video/webm;codecs=vp8')) options.mimeType = 'video/webm;codecs=vp8';
-        else if (MediaRecorder.isTypeSupported('video/webm;codecs=vp9')) options.mimeType = 'video/webm;codecs=vp9';
-        else options.mimeType = 'video/webm';
+        const codecs = cfg.codec === 'vp9' ? ['vp9', 'vp8'] : ['vp8', 'vp9'];
+        const codec = codecs.find(c => MediaRecorder.isTypeSupported(`video/webm;codecs=${c}`));
+        options.mimeType = codec ? `video/webm;codecs=${codec}` : 'video/webm';
       }
 
       const mr = new MediaRecorder(combined, options);
       mediaRecorderRef.current = mr;
       chunksRef.current = [];
 
-      mr.ondataavailable = e => { if (e.data && e.data.size) { console.log('ondataavailable size', e.data.size); chunksRef.current.push(e.data); } };
+      // only disk sessions can roll over; the in-memory fallback keeps a single file
+      segmentRef.current = segmentBase && writeSessionRef.current ? {
+        base: segmentBase,
+        index: 1,
+        meta: captureMeta,
+        elapsed: 0,
+        // recording-clock time where the current part began (its markers are stored relative to it)
+        startMs: 0,
+        limitSecs: (cfg.segmentMinutes || 0) * 60,
+        limitBytes: (cfg.segmentMegabytes || 0) * 1024 * 1024,
+        rolling: false
+      } : null;
+
+      // raw (pre-mixer) copies of each audio source, only when both exist
+      const micRaw = micStream && micStream.getAudioTracks().length ? micStream : null;
+      const systemRaw = screenStream && screenStream.getAudioTracks().length ? new MediaStream(screenStream.getAudioTracks()) : null;
+      if (cfg.separateAudioTracks && micRaw && systemRaw && writeSessionRef.current) {
+        sideTracksRef.current = await openSideTracks(filename, [{ kind: 'mic', stream: micRaw }, { kind: 'system', stream: systemRaw }]);
+      }
+
+      mr.ondataavailable = e => {
+        if (!e.data || !e.data.size) return;
+        const session = writeSessionRef.current;
+        if (session) appendChunk(session, e.data);
+        else chunksRef.current.push(e.data);
+      };
 
       mr.onstart = () => {
         lastStartTimeRef.current = Date.now();
+        recordClockRef.current = { baseMs: 0, since: performance.now() };
+        markersRef.current = [];
+        setMarkers([]);
         setRecording(true);
+        setPaused(false);
         setStatus("Recording...");
         addToast("Recording started", "recording");
         setSeconds(0);
-        timerRef.current = setInterval(()=>setSeconds(s=>s+1), 1000);
+        startTimer();
+      };
+
+      // timer freezes while paused and picks up where it left off on resume
+      mr.onpause = () => {
+        const clock = recordClockRef.current;
+        if (clock.since != null) recordClockRef.current = { baseMs: clock.baseMs + performance.now() - clock.since, since: null };
+        stopTimer();
+        setPaused(true);
+        setStatus("Paused");
+        addToast("Recording paused", "warn");
+      };
+
+      mr.onresume = () => {
+        recordClockRef.current = { ...recordClockRef.current, since: performance.now() };
+        setPaused(false);
+        setStatus("Recording...");
+        addToast("Recording resumed", "recording");
+        startTimer();
       };
 
       mr.onstop = async () => {
         setRecording(false);
-        if (timerRef.current) { clearInterval(timerRef.current); timerRef.current = null; }
-        setStatus("Finalizing...");
-        addToast("Saving recording...", "neutral");
-
-        const blob = new Blob(chunksRef.current, { type: 'video/webm' });
-        const filename = `xigrecorder_${new Date().toISOString().replace(/[:.]/g,'-')}.webm`;
-        const approxSize = chunksRef.current.reduce((s,c)=>s+(c.size||0), 0);
-        console.log('Approx bytes:', approxSize, 'chunks:', chunksRef.current.length);
+        setPaused(false);
+        stopTimer();
+        const sideTracks = takeSideTracks();
+        const segment = segmentRef.current;
+        segmentRef.current = null;
+        const earlierParts = segment ? segment.index - 1 : 0;
+        // this file's markers; earlier parts took theirs when they were finished
+        const fileMarkers = markersBetween(segment ? segment.startMs : 0, Infinity);
+        recordClockRef.current = { baseMs: 0, since: null };
+        if (!cancelRequestedRef.current) {
+          setStatus("Finalizing...");
+          addToast("Saving recording...", "neutral");
+        }
 
-        try {
-          if (window.electronAPI && typeof window.electronAPI.saveVideo === 'function') {
-            const arrayBuffer = await blob.arrayBuffer();
-            const res = await window.electronAPI.saveVideo(arrayBuffer, filename);
-            console.log('saveVideo response', res);
-            if (res && res.success) {
-              addToast("Saved to Videos", "ok");
-              setStatus("Saved: " + res.path + ` (${niceBytes(res.size || approxSize)})`);
-              // note usage increment here
-              noteRecordingSaved();
+        const session = writeSessionRef.current;
+        writeSessionRef.current = null;
+
+        if (cancelRequestedRef.current) {
+          // canceled: throw away what was captured
+          cancelRequestedRef.current = false;
+          chunksRef.current = [];
+          if (session) {
+            try {
+              await session.writes;
+              await window.electronAPI.abortRecording(session.id);
+            } catch (err) {
+              console.warn('abortRecording failed', err);
+            }
+          }
+          await finishSideTracks(sideTracks, false);
+          setStatus("Recording canceled");
+          if (earlierParts) addToast(`Recording canceled — the ${earlierParts} finished part(s) were kept`, "warn");
+          else addToast("Recording canceled — nothing saved", "warn");
+        } else {
+          await finishSideTracks(sideTracks, true);
+          try {
+            if (session) {
+              // wait for the last chunk (delivered just before onstop) to hit disk
+              await session.writes;
+              const res = await window.electronAPI.finalizeRecording(session.id, fileMarkers);
+              console.log('finalizeRecording response', res);
+              if (res && res.success) {
+                if (session.failed) addToast("Saved (incomplete — a write failed)", "warn");
+                else if (earlierParts) addToast(`Saved ${earlierParts + 1} parts to Videos`, "ok");
+                else addToast("Saved to Videos", "ok");
+                const length = res.durationMs ? `, ${formatSecs(Math.round(res.durationMs / 1000))}` : '';
+                setStatus("Saved: " + res.path + ` (${niceBytes(res.size || session.bytes)}${length})`);
+              } else {
+                addToast("Save failed", "error");
+                setStatus("Save failed: " + (res && res.error));
+              }
             } else {
-              addToast("Save failed", "error");
-              setStatus("Save failed: " + (res && res.error));
+              const blob = new Blob(chunksRef.current, { type: 'video/webm' });
+              const approxSize = chunksRef.current.reduce((s,c)=>s+(c.size||0), 0);
+              console.log('Approx bytes:', approxSize, 'chunks:', chunksRef.current.length);
+              chunksRef.current = [];
+
+              if (window.electronAPI && typeof window.electronAPI.saveVideo === 'function') {
+                const arrayBuffer = await blob.arrayBuffer();
+                const res = await window.electronAPI.saveVideo(arrayBuffer, filename, captureMeta, fileMarkers);
+                console.log('saveVideo response', res);
+                if (res && res.success) {
+                  addToast("Saved to Videos", "ok");
+                  setStatus("Saved: " + res.path + ` (${niceBytes(res.size || approxSize)})`);
+                } else {
+                  addToast("Save failed", "error");
+                  setStatus("Save failed: " + (res && res.error));
+                }
+              } else {
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                URL.revokeObjectURL(url);
+                addToast("Downloaded (browser)", "ok");
+                setStatus("Downloaded (browser)");
+              }
             }
-          } else {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            a.remove();
-            URL.revokeObjectURL(url);
-            addToast("Downloaded (browser)", "ok");
-            setStatus("Downloaded (browser)");
-            noteRecordingSaved();
+          } catch (err) {
+            console.error('save error', err);
+            addToast("Save error: " + (err.message || err), "error");
+            setStatus("Save error: " + (err.message || err));
           }
-        } catch (err) {
-          console.error('save error', err);
-          addToast("Save error: " + (err.message || err), "error");
-          setStatus("Save error: " + (err.message || err));
         }
 
         // cleanup
@@ -498,10 +1046,10 @@ export default function App() {
           streamsRef.current?.screenStream?.getTracks()?.forEach(t => t.stop());
           streamsRef.current?.audioStream?.getTracks()?.forEach(t => t.stop());
           if (previewRef.current) { previewRef.current.pause(); previewRef.current.srcObject = null; }
-          if (mixerDestinationRef.current) {
-            try { mixerDestinationRef.current.disconnect(); } catch(_) {}
-            mixerDestinationRef.current = null;
-          }
+          if (compositorRef.current) { compositorRef.current.stop(); compositorRef.current = null; }
+          stopCursorEffects();
+          disarmAnnotation();
+          stopMixer();
         } catch (e) {}
         streamsRef.current = null;
         // reload recordings list
@@ -514,18 +1062,331 @@ export default function App() {
       try {
         if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'inactive') {
           mediaRecorderRef.current.start(1000);
+          // same task as the main recorder, so all files share time zero
+          sideTracksRef.current.forEach(t => t.recorder.start(1000));
         } else {
           console.warn('Recorder not inactive -> not starting', mediaRecorderRef.current && mediaRecorderRef.current.state);
         }
       } catch (err) {
         console.error('Recorder.start failed', err);
         addToast('Recorder start failed: ' + (err.message || err), 'error');
+        abortWriteSession();
+        finishSideTracks(takeSideTracks(), false);
       }
     } catch (err) {
       console.error('startRecording error', err);
+      abortWriteSession();
+      finishSideTracks(takeSideTracks(), false);
       addToast('Start failed: ' + (err && err.message), 'error');
       setStatus('Start failed: ' + (err && err.message));
       try { if (pendingDisplayStreamRef.current) { pendingDisplayStreamRef.current.getTracks().forEach(t=>t.stop()); pendingDisplayStreamRef.current = null; } } catch(e){}
+      // whatever was captured before the failure stops, preview included
+      [screenStream, micStream, streamsRef.current && streamsRef.current.screenStream, streamsRef.current && streamsRef.current.audioStream]
+        .forEach(s => { if (s) s.getTracks().forEach(t => t.stop()); });
+      streamsRef.current = null;
+      if (previewRef.current) { previewRef.current.pause(); previewRef.current.srcObject = null; }
+      if (compositorRef.current) { compositorRef.current.stop(); compositorRef.current = null; }
+      stopCursorEffects();
+      disarmAnnotation();
+      stopMixer();
+    }
+  }
+
+  // configured template in Electron; the built-in pattern in the browser
+  async function nextFilename(sourceName, mode) {
+    if (window.electronAPI && window.electronAPI.nextRecordingFilename) {
+      try {
+        const res = await window.electronAPI.nextRecordingFilename(sourceName, mode);
+        if (res && res.success) return res.filename;
+        console.warn('nextRecordingFilename failed', res && res.error);
+      } catch (e) {
+        console.warn('nextRecordingFilename error', e);
+      }
+    }
+    return `xigrecorder_${new Date().toISOString().replace(/[:.]/g,'-')}.webm`;
+  }
+
+  /* -------- Chunked write session (Electron) -------- */
+  // throws when main can't create the file
+  async function openDiskSession(filename, meta) {
+    const res = await window.electronAPI.openRecording(filename, meta);
+    if (!res || !res.success) throw Object.assign(new Error(res && res.error), { code: res && res.code, quota: res && res.quota });
+    console.log('write session opened', res.tempPath);
+    return { id: res.sessionId, writes: Promise.resolve(), bytes: 0, failed: null };
+  }
+
+  async function openWriteSession(filename, meta) {
+    if (!window.electronAPI || typeof window.electronAPI.openRecording !== 'function') return null;
+    try {
+      return await openDiskSession(filename, meta);
+    } catch (err) {
+      // out of recordings: memory wouldn't help, main refuses the save as well
+      if (err.code === 'QUOTA_EXCEEDED') {
+        if (err.quota) setQuota(err.quota);
+        throw err;
+      }
+      console.warn('openRecording failed — buffering in memory', err);
+      addToast('Could not open file on disk — recording to memory', 'warn');
+      return null;
+    }
+  }
+
+  // chained so chunks are written strictly in order; the first failure stops the recording
+  function appendChunk(session, blob) {
+    session.writes = session.writes.then(async () => {
+      if (session.failed) return;
+      const res = await window.electronAPI.appendRecordingChunk(session.id, await blob.arrayBuffer());
+      if (!res || !res.success) throw new Error((res && res.error) || 'write failed');
+      session.bytes = res.size;
+    }).catch(err => {
+      if (session.failed) return;
+      session.failed = err;
+      console.error('chunk write failed', err);
+      addToast('Disk write failed — stopping recording', 'error');
+      stopRecording();
+    });
+  }
+
+  /* -------- Segmented recording -------- */
+  // called every recorded second (the timer stops while paused, so pauses don't count)
+  function tickSegment() {
+    const seg = segmentRef.current;
+    if (!seg || seg.rolling) return;
+    seg.elapsed += 1;
+    const session = writeSessionRef.current;
+    const full = seg.limitBytes && session && session.bytes >= seg.limitBytes;
+    if ((seg.limitSecs && seg.elapsed >= seg.limitSecs) || full) rollSegment();
+  }
+
+  // Switch to the next part without a gap: the new recorder starts before the old one stops,
+  // so each file gets its own header and the capture itself never pauses.
+  async function rollSegment() {
+    const seg = segmentRef.current;
+    const old = mediaRecorderRef.current;
+    if (!seg || !old || old.state !== 'recording') return;
+    seg.rolling = true;
+    const index = seg.index + 1;
+    const filename = segmentFilename(seg.base, index);
+    const oldSides = sideTracksRef.current;
+    let session = null;
+    let nextSides = [];
+    try {
+      // open the next files first so the new recorders' chunks always have somewhere to go
+      session = await openDiskSession(filename, { ...seg.meta, segmentIndex: index });
+      if (oldSides.length) nextSides = await openSideTracks(filename, oldSides.map(t => ({ kind: t.kind, stream: t.recorder.stream })));
+    } catch (err) {
+      // don't retry every second: the rest of the recording stays in the current part
+      console.warn('next segment could not be opened', err);
+      addToast(`Could not start part ${index} — recording continues in part ${seg.index}`, 'warn');
+      seg.limitSecs = 0;
+      seg.limitBytes = 0;
+    }
+    // stopped, paused or canceled meanwhile: keep the current file and try again later
+    if (!session || segmentRef.current !== seg || mediaRecorderRef.current !== old || old.state !== 'recording') {
+      if (session) window.electronAPI.abortRecording(session.id).catch(e => console.warn('abortRecording failed', e));
+      finishSideTracks(nextSides, false);
+      seg.rolling = false;
+      return;
+    }
+
+    const next = new MediaRecorder(old.stream, { mimeType: old.mimeType });
+    const oldSession = writeSessionRef.current;
+    next.ondataavailable = e => { if (e.data && e.data.size) appendChunk(session, e.data); };
+    // the whole-recording handlers move to the new recorder; the old one only completes its file
+    next.onpause = old.onpause;
+    next.onresume = old.onresume;
+    next.onstop = old.onstop;
+    old.onpause = old.onresume = null;
+    old.ondataavailable = e => { if (e.data && e.data.size) appendChunk(oldSession, e.data); };
+    // markers dropped from here on belong to the new part
+    const partStart = seg.startMs;
+    const cut = recordedMs();
+    old.onstop = () => finishSegment(oldSession, seg.index, markersBetween(partStart, cut));
+    mediaRecorderRef.current = next;
+    writeSessionRef.current = session;
+    sideTracksRef.current = nextSides;
+
+    next.start(1000);
+    nextSides.forEach(t => t.recorder.start(1000));
+    old.stop();
+    oldSides.forEach(t => { if (t.recorder.state !== 'inactive') t.recorder.stop(); });
+    finishSideTracks(oldSides, true);
+
+    console.log('segment', seg.index, '->', index, filename);
+    seg.index = index;
+    seg.elapsed = 0;
+    seg.startMs = cut;
+    seg.rolling = false;
+  }
+
+  async function finishSegment(session, index, partMarkers = []) {
+    try {
+      // the old recorder's last chunk arrives just before its onstop
+      await session.writes;
+      const res = await window.electronAPI.finalizeRecording(session.id, partMarkers);
+      if (!res || !res.success) throw new Error(res && res.error);
+      addToast(`Part ${index} saved`, 'ok');
+      loadRecordings();
+    } catch (err) {
+      console.error('segment finalize failed', err);
+      addToast(`Part ${index} could not be saved: ` + (err.message || err), 'error');
+    }
+  }
+
+  /* -------- Chapter markers -------- */
+  function recordedMs() {
+    const clock = recordClockRef.current;
+    return Math.max(0, Math.round(clock.baseMs + (clock.since != null ? performance.now() - clock.since : 0)));
+  }
+
+  // the markers of one file ([fromMs, toMs) of the recording clock), on that file's own clock
+  function markersBetween(fromMs, toMs) {
+    return markersRef.current
+      .filter(m => m.timeMs >= fromMs && m.timeMs < toMs)
+      .map(m => ({ timeMs: m.timeMs - fromMs, name: m.name }));
+  }
+
+  // works while paused too: the marker lands where the recording will resume
+  function addMarker() {
+    const mr = mediaRecorderRef.current;
+    if (!mr || mr.state === 'inactive') return;
+    const timeMs = recordedMs();
+    const name = `Chapter ${markersRef.current.length + 1}`;
+    markersRef.current = [...markersRef.current, { id: `${timeMs}-${markersRef.current.length}`, timeMs, name }];
+    setMarkers(markersRef.current);
+    addToast(`${name} at ${formatSecs(Math.floor(timeMs / 1000))}`, 'neutral');
+  }
+
+  function updateMarker(id, patch) {
+    markersRef.current = markersRef.current.map(m => (m.id === id ? { ...m, ...patch } : m));
+    setMarkers(markersRef.current);
+  }
+
+  function removeMarker(id) {
+    markersRef.current = markersRef.current.filter(m => m.id !== id);
+    setMarkers(markersRef.current);
+  }
+
+  /* -------- Separate audio tracks (side files) -------- */
+  // one audio-only recorder per raw source, written next to the main file as <base>.<kind>.webm
+  async function openSideTracks(filename, sources) {
+    const base = filename.replace(/\.webm$/i, '');
+    const tracks = [];
+    for (const { kind, stream } of sources) {
+      // side files need a disk session; there is no in-memory fallback for them
+      let session;
+      try {
+        session = await openDiskSession(`${base}.${kind}.webm`, { sideOf: filename, kind });
+      } catch (err) {
+        console.warn('side track not opened', kind, err);
+        addToast(`Separate ${kind} track unavailable`, 'warn');
+        continue;
+      }
+      const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+      recorder.ondataavailable = e => { if (e.data && e.data.size) appendChunk(session, e.data); };
+      tracks.push({ kind, recorder, session, stopped });
+    }
+    return tracks;
+  }
+
+  // detach the running side recorders and stop them
+  function takeSideTracks() {
+    const tracks = sideTracksRef.current;
+    sideTracksRef.current = [];
+    tracks.forEach(t => {
+      if (t.recorder.state !== 'inactive') t.recorder.stop();
+    });
+    return tracks;
+  }
+
+  async function finishSideTracks(tracks, save) {
+    for (const t of tracks) {
+      try {
+        if (t.recorder.state !== 'inactive') await t.stopped;
+        await t.session.writes;
+        const res = save
+          ? await window.electronAPI.finalizeRecording(t.session.id)
+          : await window.electronAPI.abortRecording(t.session.id);
+        if (!res || !res.success) throw new Error(res && res.error);
+      } catch (err) {
+        console.warn('side track', t.kind, save ? 'finalize' : 'abort', 'failed', err);
+        if (save) addToast(`Separate ${t.kind} track not saved`, 'warn');
+      }
+    }
+  }
+
+  function abortWriteSession() {
+    const session = writeSessionRef.current;
+    writeSessionRef.current = null;
+    if (!session) return;
+    session.writes
+      .then(() => window.electronAPI.abortRecording(session.id))
+      .catch(err => console.warn('abortRecording failed', err));
+  }
+
+  function startTimer() {
+    if (timerRef.current) clearInterval(timerRef.current);
+    timerRef.current = setInterval(() => {
+      setSeconds(s => s + 1);
+      tickSegment();
+    }, 1000);
+  }
+
+  function stopTimer() {
+    if (timerRef.current) { clearInterval(timerRef.current); timerRef.current = null; }
+  }
+
+  function pauseRecording() {
+    try {
+      const mr = mediaRecorderRef.current;
+      if (mr && mr.state === 'recording') {
+        mr.pause();
+        sideTracksRef.current.forEach(t => { if (t.recorder.state === 'recording') t.recorder.pause(); });
+      } else {
+        setStatus('Recorder not recording');
+      }
+    } catch (err) {
+      console.error('pauseRecording error', err);
+      setStatus('Pause failed: ' + (err && err.message));
+    }
+  }
+
+  function resumeRecording() {
+    try {
+      const mr = mediaRecorderRef.current;
+      if (mr && mr.state === 'paused') {
+        mr.resume();
+        sideTracksRef.current.forEach(t => { if (t.recorder.state === 'paused') t.recorder.resume(); });
+      } else {
+        setStatus('Recorder not paused');
+      }
+    } catch (err) {
+      console.error('resumeRecording error', err);
+      setStatus('Resume failed: ' + (err && err.message));
+    }
+  }
+
+  // stop without saving; during the countdown just call the start off
+  function cancelRecording() {
+    if (countdownTimerRef.current) {
+      clearInterval(countdownTimerRef.current);
+      countdownTimerRef.current = null;
+      setCountdown(0);
+      setStatus("Start canceled");
+      addToast("Start canceled", "neutral");
+      return;
+    }
+    const mr = mediaRecorderRef.current;
+    if (mr && (mr.state === 'recording' || mr.state === 'paused')) {
+      cancelRequestedRef.current = true;
+      try { mr.stop(); } catch (err) {
+        cancelRequestedRef.current = false;
+        console.error('cancelRecording error', err);
+        setStatus('Cancel failed: ' + (err && err.message));
+      }
+    } else {
+      setStatus('Recorder not running');
     }
   }
 
@@ -544,6 +1405,105 @@ export default function App() {
     }
   }
 
+  /* -------- Camera overlay -------- */
+  const cameraTrack = cameraStream && cameraStream.getVideoTracks()[0];
+  const cameraSettings = (cameraTrack && cameraTrack.getSettings && cameraTrack.getSettings()) || {};
+  const cameraAspect = cameraSettings.width && cameraSettings.height ? cameraSettings.width / cameraSettings.height : undefined;
+  const showCameraLayout = !!cameraStream && !recording && captureMode !== 'audio-only';
+
+  // drag on the live preview only while the composited canvas is what is being shown
+  const previewDrag = useOverlayDrag({
+    getContentSize: () => compositorRef.current && previewRef.current && { w: previewRef.current.videoWidth, h: previewRef.current.videoHeight },
+    overlay: cameraOverlay,
+    camAspect: cameraAspect,
+    onChange: setCameraOverlay
+  });
+
+  // latest closures for commands coming from global shortcuts / tray / the scheduler
+  useEffect(() => {
+    commenceStartRef.current = commenceStartRecording;
+    commandHandlerRef.current = (action, payload = {}) => {
+      const mr = mediaRecorderRef.current;
+      const active = !!mr && (mr.state === 'recording' || mr.state === 'paused');
+      if (action === 'start') {
+        if (!active && countdown === 0) commenceStartRecording();
+      } else if (action === 'scheduled-start') {
+        runScheduledStart(payload.job, active || countdown > 0);
+      } else if (action === 'stop') {
+        if (payload.reason === 'size') addToast('Scheduled recording reached its size limit', 'neutral');
+        else if (payload.reason === 'time') addToast('Scheduled recording finished', 'neutral');
+        if (active) stopRecording();
+      } else if (action === 'pause') {
+        if (mr && mr.state === 'recording') pauseRecording();
+        else if (mr && mr.state === 'paused') resumeRecording();
+      } else if (action === 'cancel') {
+        cancelRecording();
+      } else if (action === 'marker') {
+        if (active) addMarker();
+      }
+    };
+  });
+
+  /* -------- Scheduled recordings -------- */
+  // apply the job's saved selection; the effect below starts once React has committed it
+  async function runScheduledStart(job, busy) {
+    const fail = (error) => {
+      console.warn('scheduled start failed', job && job.id, error);
+      addToast('Scheduled recording not started: ' + error, 'error');
+      window.electronAPI.reportScheduleStartFailed(job && job.id, error);
+    };
+    if (!job || !job.selection) return fail('invalid job');
+    if (busy) return fail('another recording is in progress');
+    if (!canStartRecording()) return fail(quotaMessage(quota));
+    const sel = job.selection;
+    try {
+      // window ids change between sessions; fall back to the name the job was saved with
+      const fresh = await window.electronAPI.getSources();
+      const source = fresh.find(s => s.id === sel.sourceId) || fresh.find(s => s.name === sel.sourceName);
+      if (!source) return fail(`source "${sel.sourceName}" is not available`);
+      setSources(fresh);
+      let micId = selectedMicId;
+      if (usesMic(sel.mode)) {
+        const mic = micDevices.find(m => m.deviceId === sel.micId) || micDevices.find(m => m.label && m.label === sel.micLabel);
+        if (mic) micId = mic.deviceId;
+        else if (sel.micId) addToast(`Microphone "${sel.micLabel || sel.micId}" not found — using the current one`, 'warn');
+      }
+      setSelectedSourceId(source.id);
+      setCaptureMode(sel.mode);
+      setSelectedMicId(micId);
+      addToast(`Starting scheduled recording${job.label ? ': ' + job.label : ''}`, 'neutral');
+      setScheduledStart({ job, sourceId: source.id, mode: sel.mode, micId });
+    } catch (err) {
+      fail(err.message || String(err));
+    }
+  }
+
+  useEffect(() => {
+    if (!scheduledStart) return;
+    const { job, sourceId, mode, micId } = scheduledStart;
+    if (selectedSourceId !== sourceId || captureMode !== mode || selectedMicId !== micId) return;
+    setScheduledStart(null);
+    scheduledRunIdRef.current = job.id;
+    commenceStartRef.current();
+  }, [scheduledStart, selectedSourceId, captureMode, selectedMicId]);
+
+  const addScheduledRecording = async (job) => {
+    try {
+      const res = await window.electronAPI.addScheduledRecording(job);
+      if (!res || !res.success) throw new Error(res && res.error);
+      addToast(`Scheduled for ${new Date(res.job.startAt).toLocaleString()}`, 'ok');
+      return true;
+    } catch (err) {
+      addToast('Could not schedule: ' + (err.message || err), 'error');
+      return false;
+    }
+  };
+
+  const removeScheduledRecording = async (jobId) => {
+    const res = await window.electronAPI.removeScheduledRecording(jobId);
+    if (!res || !res.success) addToast('Could not remove: ' + (res && res.error), 'error');
+  };
+
   /* -------- UI helpers -------- */
   const onSelectSource = (id) => {
     setSelectedSourceId(id);
@@ -562,6 +1522,11 @@ export default function App() {
 
   /* -------- OTP / account flow (renderer side) -------- */
 
+  function applyAuthSession(session) {
+    setAuthSession(session || null);
+    if (session) setAccountEmail(session.email);
+  }
+
   async function sendOtpToEmail(email) {
     if (!window.electronAPI || !window.electronAPI.sendOtp) {
       addToast("OTP sending not available (not in Electron)", "error");
@@ -574,7 +1539,8 @@ export default function App() {
         addToast('OTP sent to ' + email, 'ok');
         return { success: true };
       } else {
-        addToast('OTP send failed: ' + (res && res.error), 'error');
+        // retryable: the email service had a temporary problem, the request itself was fine
+        addToast('OTP send failed: ' + (res && res.error), res && res.retryable ? 'warn' : 'error');
         return { success: false, error: res && res.error };
       }
     } catch (err) {
@@ -592,13 +1558,11 @@ export default function App() {
     try {
       const res = await window.electronAPI.verifyOtp(email, code);
       if (res && res.success) {
-        // store user as logged in
-        setUserEmail(email);
-        addToast('Logged in as ' + email, 'ok');
+        applyAuthSession(res.session);
+        addToast('Logged in as ' + res.session.email, 'ok');
         setAccountPanelOpen(false);
         setOtpSent(false);
         setOtpValue('');
-        setUserCountState(getUserCount());
         return { success: true };
       } else {
         addToast('OTP verify failed: ' + (res && res.error), 'error');
@@ -611,11 +1575,15 @@ export default function App() {
     }
   }
 
-  /* Testing helper: reset guest count (button shown only in dev/test) */
-  function handleResetGuestCount() {
-    resetGuestCount();
-    setGuestCountState(0);
-    addToast('Guest count reset', 'ok');
+  async function logout() {
+    try {
+      const res = await window.electronAPI.logout();
+      if (!res || !res.success) return addToast('Logout failed: ' + (res && res.error), 'error');
+      applyAuthSession(null);
+      addToast('Logged out', 'ok');
+    } catch (err) {
+      console.error('logout error', err);
+    }
   }
 
   /* -------- Render -------- */
@@ -629,7 +1597,13 @@ export default function App() {
         <div style={{display:'flex',gap:12,alignItems:'center'}}>
           <button className="mini" onClick={refreshAll}>Refresh</button>
           <button className="mini" onClick={openRecordingsFolder}>Open Videos</button>
-          <button className="mini" onClick={() => setAccountPanelOpen(s=>!s)}>{getUserEmail() ? 'Account' : 'Login / Signup'}</button>
+          {window.electronAPI && window.electronAPI.getSchedule ? (
+            <button className="mini" onClick={() => setScheduleOpen(true)} title={schedule.jobs.length ? `Next: ${new Date(schedule.jobs[0].startAt).toLocaleString()}` : 'No recordings scheduled'}>
+              Schedule{schedule.jobs.length ? ` (${schedule.jobs.length})` : ''}
+            </button>
+          ) : null}
+          <button className="mini" onClick={() => setSettingsOpen(true)} disabled={recording || countdown > 0}>Settings</button>
+          <button className="mini" onClick={() => setAccountPanelOpen(s=>!s)}>{authSession ? 'Account' : 'Login / Signup'}</button>
         </div>
       </header>
 
@@ -660,10 +1634,7 @@ export default function App() {
             <div className="row" style={{alignItems:'center'}}>
               <label>Capture</label>
               <select value={captureMode} onChange={e => setCaptureMode(e.target.value)}>
-                <option value="video+mic">Video + Microphone</option>
-                <option value="video-only">Video only</option>
-                <option value="audio-only">Audio only (microphone)</option>
-                <option value="video+system">Video + System audio</option>
+                {Object.entries(CAPTURE_MODE_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
               </select>
 
               <label style={{marginLeft:12}}>Microphone</label>
@@ -673,6 +1644,91 @@ export default function App() {
               </select>
 
               <button className="mini" onClick={enumerateMics}>Refresh Mics</button>
+            </div>
+
+            <AudioMixer
+              channels={audioChannels(captureMode, selectedMicId, settings.audioGains)}
+              mixer={mixer}
+              onGainChange={(id, gain) => updateAudioChannel(id, { gain })}
+              onMuteChange={(id, muted) => updateAudioChannel(id, { muted })}
+            />
+
+            {usesMic(captureMode) && usesSystemAudio(captureMode) ? (
+              <label className="mic-stage separate-tracks">
+                <input
+                  type="checkbox"
+                  checked={!!settings.separateAudioTracks}
+                  disabled={recording}
+                  onChange={e => saveSettings({ separateAudioTracks: e.target.checked })}
+                />
+                Also save microphone and system audio as separate files
+              </label>
+            ) : null}
+
+            {usesMic(captureMode) ? (
+              <MicProcessingPanel
+                processing={settings.micProcessing}
+                onChange={updateMicProcessing}
+                previewing={micPreviewing}
+                onTogglePreview={toggleMicPreview}
+                previewDisabled={recording}
+              />
+            ) : null}
+
+            <div className="row" style={{alignItems:'center'}}>
+              <label>Region</label>
+              <label style={{minWidth:0, display:'flex', alignItems:'center', gap:6}}>
+                <input type="checkbox" checked={regionMode} disabled={recording || !regionAvailable} onChange={e => setRegionMode(e.target.checked)} />
+                Record a region
+              </label>
+              {regionMode && (
+                <>
+                  <select value={regionAspect} onChange={e => setRegionAspect(e.target.value)} title="Output aspect ratio">
+                    {Object.keys(REGION_ASPECTS).map(k => <option key={k} value={k}>{k || 'Free aspect'}</option>)}
+                  </select>
+                  <button className="mini" onClick={chooseRegion} disabled={recording || !regionAvailable}>{currentRegion ? 'Change region…' : 'Select region…'}</button>
+                  {currentRegion && currentRegion.pixelSize ? (
+                    <span className="small-note">{Math.round(currentRegion.rect.w * currentRegion.pixelSize.width)}×{Math.round(currentRegion.rect.h * currentRegion.pixelSize.height)}</span>
+                  ) : null}
+                </>
+              )}
+              {!regionAvailable && <span className="small-note">Pick a screen source to record a region.</span>}
+            </div>
+
+            {captureMode !== 'audio-only' ? (
+              <CursorEffectsPanel
+                effects={settings.cursorEffects}
+                onChange={updateCursorEffects}
+                note={cursorEffectsAvailable ? '' : 'Pick a screen source to record cursor effects.'}
+              />
+            ) : null}
+
+            <div className="row" style={{alignItems:'center'}}>
+              <label>Camera</label>
+              <select value={selectedCameraId} onChange={e => setSelectedCameraId(e.target.value)} disabled={recording || captureMode === 'audio-only'}>
+                <option value="">No camera</option>
+                {cameraDevices.map(c => <option key={c.deviceId} value={c.deviceId}>{c.label || c.deviceId}</option>)}
+              </select>
+
+              {selectedCameraId && (
+                <>
+                  <select value={cameraOverlay.pos ? 'custom' : cameraOverlay.corner} onChange={e => setCameraOverlay(o => ({ ...o, corner: e.target.value === 'custom' ? o.corner : e.target.value, pos: e.target.value === 'custom' ? o.pos : null }))}>
+                    <option value="top-left">Top left</option>
+                    <option value="top-right">Top right</option>
+                    <option value="bottom-left">Bottom left</option>
+                    <option value="bottom-right">Bottom right</option>
+                    {cameraOverlay.pos ? <option value="custom">Custom (dragged)</option> : null}
+                  </select>
+                  <select value={cameraOverlay.shape} onChange={e => setCameraOverlay(o => ({ ...o, shape: e.target.value }))}>
+                    <option value="circle">Circle</option>
+                    <option value="rounded">Rounded</option>
+                    <option value="rect">Rectangle</option>
+                  </select>
+                  <input type="range" min={0.1} max={0.4} step={0.01} value={cameraOverlay.size} title="Camera size" onChange={e => setCameraOverlay(o => ({ ...o, size: Number(e.target.value) }))} />
+                </>
+              )}
+
+              <button className="mini" onClick={enumerateCameras}>Refresh Cameras</button>
 
               <div style={{marginLeft:'auto'}}>
                 <div style={{color:'#9aa7b0'}}>{status}</div>
@@ -681,29 +1737,74 @@ export default function App() {
 
             <div className="row actions" style={{marginTop:12}}>
               {countdown > 0 ? (
-                <div style={{fontSize:18, fontWeight:700}}>Starting in {countdown}...</div>
+                <>
+                  <div style={{fontSize:18, fontWeight:700}}>Starting in {countdown}...</div>
+                  <button className="mini" onClick={cancelRecording}>Cancel</button>
+                </>
               ) : (
                 <>
                   <button className="primary" onClick={commenceStartRecording} disabled={recording}>Start Recording</button>
+                  {paused ? (
+                    <button className="secondary" onClick={resumeRecording} disabled={!recording}>Resume</button>
+                  ) : (
+                    <button className="secondary" onClick={pauseRecording} disabled={!recording}>Pause</button>
+                  )}
                   <button className="secondary" onClick={stopRecording} disabled={!recording}>Stop</button>
+                  <button className="mini" onClick={cancelRecording} disabled={!recording} title="Stop and discard">Cancel</button>
+                  <button
+                    className="mini"
+                    onClick={addMarker}
+                    disabled={!recording}
+                    title={`Drop a chapter marker at the current time${(settings.shortcuts || {}).marker ? ` (${settings.shortcuts.marker})` : ''}`}
+                  >
+                    Add marker
+                  </button>
+                  {annotation.armed ? (
+                    <button
+                      className={"mini" + (annotation.drawing ? " active" : "")}
+                      onClick={toggleAnnotation}
+                      disabled={!recording}
+                      title={`Draw on the recorded screen${(settings.shortcuts || {}).annotate ? ` (${settings.shortcuts.annotate})` : ''} — Esc to stop drawing`}
+                    >
+                      {annotation.drawing ? 'Stop drawing' : 'Draw'}
+                    </button>
+                  ) : null}
                 </>
               )}
 
               <div style={{marginLeft:'auto', display:'flex',alignItems:'center',gap:12}}>
-                {recording ? <div className="record-indicator"><span className="dot" /> {formatSecs(seconds)}</div> : null}
+                {recording ? <div className={`record-indicator ${paused ? 'paused' : ''}`}><span className="dot" /> {paused ? 'Paused ' : ''}{formatSecs(seconds)}</div> : null}
                 <div className="save-msg" title={status}>{status}</div>
               </div>
             </div>
 
+            {recording && markers.length ? (
+              <div className="live-markers">
+                {markers.map(m => (
+                  <div key={m.id} className="chapter-row">
+                    <span className="chapter-time">{formatSecs(Math.floor(m.timeMs / 1000))}</span>
+                    <input type="text" value={m.name} maxLength={100} onChange={e => updateMarker(m.id, { name: e.target.value })} />
+                    <button className="mini" onClick={() => removeMarker(m.id)} title="Remove marker">×</button>
+                  </div>
+                ))}
+              </div>
+            ) : null}
+
             <div style={{marginTop:12, display:'flex', gap:10, alignItems:'center'}}>
-              <div className="small-note">Files saved to your system <strong>Videos</strong> folder (Electron). In browser they download to your Downloads folder.</div>
+              <div className="small-note">
+                {settings.outputFolder
+                  ? <>Files saved to <strong>{settings.outputFolder}</strong>.</>
+                  : <>Files saved to your system <strong>Videos</strong> folder (Electron). In browser they download to your Downloads folder.</>}
+              </div>
               <div style={{marginLeft:'auto', color:'#9aa7b0'}}>Sources loaded (desktop)</div>
             </div>
 
-            <div style={{marginTop:12}}>
-              <button className="mini" onClick={handleResetGuestCount}>Reset Guest Count (test)</button>
-              <div style={{marginTop:8, color:'#9aa7b0'}}>Guest used {guestCount} / 5. Logged-in additional used {userCount}</div>
-            </div>
+            {quota ? (
+              <div className={"quota-note" + (quota.remaining > 0 ? "" : " quota-empty")}>
+                {quota.remaining} of {quota.limit} recordings left ({quota.account || 'guest'})
+                {quota.resetsAt ? ` • resets ${formatDate(quota.resetsAt)}` : ''}
+              </div>
+            ) : null}
           </div>
         </div>
 
@@ -713,15 +1814,24 @@ export default function App() {
             <div className="card preview-card">
               <div className="card-title">Preview <span className="muted">(muted)</span></div>
               <div className="preview-wrap">
-                <video ref={previewRef} className="preview-video" playsInline />
+                {showCameraLayout && (
+                  <CameraLayoutPreview
+                    background={(sources.find(s => s.id === selectedSourceId) || {}).thumbnail || null}
+                    cameraStream={cameraStream}
+                    overlay={cameraOverlay}
+                    onOverlayChange={setCameraOverlay}
+                    crop={currentRegion ? currentRegion.rect : null}
+                  />
+                )}
+                <video ref={previewRef} className="preview-video" playsInline style={showCameraLayout ? {display:'none'} : undefined} {...previewDrag} />
               </div>
-              <div className="preview-foot">If blank, try Refresh or check mic permissions.</div>
+              <div className="preview-foot">{selectedCameraId ? 'Drag the camera to reposition it.' : 'If blank, try Refresh or check mic permissions.'}</div>
             </div>
 
             <div className="card recordings-card">
               <div className="card-title">Recordings</div>
               <div className="recordings-list" style={{maxHeight: 240, overflowY:'auto'}}>
-                <RecordingsList recordings={recordings} onReveal={() => { loadRecordings(); }} />
+                <RecordingsList recordings={recordings} onReveal={() => { loadRecordings(); }} onChanged={loadRecordings} />
               </div>
               <div className="recordings-actions" style={{marginTop:10}}>
                 <button className="mini" onClick={loadRecordings}>Refresh list</button>
@@ -747,7 +1857,10 @@ export default function App() {
             </div>
 
             <div style={{marginTop:12}}>
-              <div style={{color:'#9aa7b0'}}>Logged in: {getUserEmail() || 'Guest'}</div>
+              <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', color:'#9aa7b0'}}>
+                <span>Logged in: {authSession ? authSession.email : 'Guest'}</span>
+                {authSession ? <button className="mini" onClick={logout}>Log out</button> : null}
+              </div>
               <div style={{marginTop:12}}>
                 <input type="email" placeholder="Email" value={accountEmail} onChange={e=>setAccountEmail(e.target.value)} style={{width:'100%', padding:10, borderRadius:8, border:'1px solid rgba(255,255,255,0.04)', background:'#070b0f', color:'#fff'}} />
                 <div style={{display:'flex', gap:8, marginTop:8}}>
@@ -782,13 +1895,66 @@ export default function App() {
                 )}
               </div>
 
-              <div style={{marginTop:12, color:'#9aa7b0'}}>For now login/signup is simulated. Once verified you'll be able to record extra times (total 10 recordings).</div>
+              <div style={{marginTop:12, color:'#9aa7b0'}}>Sign in with a one-time code sent to your email. Once verified your account gets its own allowance{quota ? ` of ${quota.limits.account} recordings` : ''}, separate from the guest one.</div>
 
             </div>
           </div>
         </div>
       )}
 
+      <SettingsPanel
+        open={settingsOpen}
+        settings={settings}
+        shortcutStatus={shortcutStatus}
+        onSave={async (patch) => {
+          if (await saveSettings(patch)) {
+            addToast("Settings saved", "ok");
+            setSettingsOpen(false);
+            loadRecordings();
+          }
+        }}
+        onFolderChanged={(next) => { settingsRef.current = next; setSettings(next); loadRecordings(); }}
+        onReset={async () => {
+          if (!window.electronAPI || !window.electronAPI.resetSettings) { setSettings(DEFAULT_SETTINGS); return; }
+          const res = await window.electronAPI.resetSettings();
+          if (res && res.success) { settingsRef.current = res.settings; setSettings(res.settings); addToast("Settings reset", "ok"); loadRecordings(); }
+          else addToast("Reset failed: " + (res && res.error), "error");
+        }}
+        onClose={() => setSettingsOpen(false)}
+      />
+
+      <SchedulePanel
+        open={scheduleOpen}
+        schedule={schedule}
+        selection={{
+          sourceId: selectedSourceId,
+          sourceName: selectedSource ? selectedSource.name : '',
+          mode: captureMode,
+          micId: usesMic(captureMode) ? selectedMicId : '',
+          micLabel: usesMic(captureMode) ? ((micDevices.find(m => m.deviceId === selectedMicId) || {}).label || '') : ''
+        }}
+        modeLabel={CAPTURE_MODE_LABELS[captureMode]}
+        onAdd={addScheduledRecording}
+        onRemove={removeScheduledRecording}
+        onClose={() => setScheduleOpen(false)}
+      />
+
+      <RecoveryPrompt
+        open={recoveryOpen && interrupted.length > 0}
+        files={interrupted}
+        onClose={() => setRecoveryOpen(false)}
+        onRecovered={(file, res) => {
+          dropInterrupted(file);
+          addToast("Recovered " + res.path, "ok");
+          loadRecordings();
+        }}
+        onDiscarded={(file) => {
+          dropInterrupted(file);
+          addToast("Discarded " + file.name, "neutral");
+        }}
+        onError={(msg) => addToast(msg, "error")}
+      />
+
       <div className="toasts">
         {toasts.map(t => <div key={t.id} className={`toast ${t.kind || ''}`}>{t.text}</div>)}
       </div>
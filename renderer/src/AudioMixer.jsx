@@ -0,0 +1,109 @@
+// renderer/src/AudioMixer.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { CLIP_LEVEL, GAIN_MAX_DB, GAIN_MIN_DB, dbToGain, gainToDb } from "./mixer";
+
+// meters show -60..0 dBFS
+const METER_FLOOR_DB = -60;
+// how long the peak marker / clip warning stay up
+const PEAK_HOLD_MS = 1500;
+
+function meterPercent(level) {
+  const db = gainToDb(level);
+  if (!Number.isFinite(db)) return 0;
+  return Math.max(0, Math.min(100, ((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100));
+}
+
+function formatDb(gain) {
+  const db = gainToDb(gain);
+  if (!Number.isFinite(db)) return "-∞ dB";
+  return `${db > 0 ? "+" : ""}${db.toFixed(1)} dB`;
+}
+
+function Meter({ level, hold, clipping }) {
+  return (
+    <div className={"mixer-meter" + (clipping ? " clipping" : "")}>
+      <div className="mixer-meter-fill" style={{ width: `${meterPercent(level ? level.rms : 0)}%` }} />
+      {hold ? <div className="mixer-meter-peak" style={{ left: `${meterPercent(hold)}%` }} /> : null}
+    </div>
+  );
+}
+
+/*
+  Channel strips (gain slider, mute, meter) for the audio sources of the current capture mode.
+  Meters run only while a mixer exists (i.e. during a recording).
+  Props:
+    - channels: array of { id, label, gain, muted }
+    - mixer: live mixer from createAudioMixer, or null
+    - onGainChange(id, gain)
+    - onMuteChange(id, muted)
+*/
+export default function AudioMixer({ channels = [], mixer = null, onGainChange, onMuteChange }) {
+  const [levels, setLevels] = useState({});
+  // id -> { peak, at } for peak hold; id -> until (ms) for the clip warning
+  const holdRef = useRef({});
+  const clipRef = useRef({});
+
+  useEffect(() => {
+    setLevels({});
+    holdRef.current = {};
+    clipRef.current = {};
+    if (!mixer) return;
+    let raf = null;
+    const tick = () => {
+      const now = performance.now();
+      const next = mixer.levels();
+      for (const [id, l] of Object.entries(next)) {
+        const h = holdRef.current[id];
+        if (!h || l.peak >= h.peak || now - h.at > PEAK_HOLD_MS) holdRef.current[id] = { peak: l.peak, at: now };
+        if (l.peak >= CLIP_LEVEL) clipRef.current[id] = now + PEAK_HOLD_MS;
+      }
+      setLevels(next);
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [mixer]);
+
+  if (!channels.length) return null;
+
+  const now = performance.now();
+  const isClipping = id => (clipRef.current[id] || 0) > now;
+  const anyClipping = mixer && [...channels.map(c => c.id), "master"].some(isClipping);
+  const hold = id => (holdRef.current[id] ? holdRef.current[id].peak : 0);
+
+  return (
+    <div className="mixer">
+      {channels.map(ch => (
+        <div className="row mixer-strip" key={ch.id}>
+          <label title={ch.label}>{ch.label}</label>
+          <button
+            className={"mini mixer-mute" + (ch.muted ? " active" : "")}
+            onClick={() => onMuteChange(ch.id, !ch.muted)}
+            title={ch.muted ? "Unmute" : "Mute"}
+          >
+            {ch.muted ? "Muted" : "Mute"}
+          </button>
+          <input
+            type="range"
+            min={GAIN_MIN_DB}
+            max={GAIN_MAX_DB}
+            step={0.5}
+            value={Math.max(GAIN_MIN_DB, gainToDb(ch.gain))}
+            onChange={e => onGainChange(ch.id, dbToGain(Number(e.target.value)))}
+            onDoubleClick={() => onGainChange(ch.id, 1)}
+            title="Gain (double-click for 0 dB)"
+          />
+          <span className="mixer-db">{formatDb(ch.gain)}</span>
+          {mixer ? <Meter level={levels[ch.id]} hold={hold(ch.id)} clipping={isClipping(ch.id)} /> : null}
+        </div>
+      ))}
+      {mixer && channels.length > 1 ? (
+        <div className="row mixer-strip">
+          <label>Mix</label>
+          <Meter level={levels.master} hold={hold("master")} clipping={isClipping("master")} />
+        </div>
+      ) : null}
+      {anyClipping ? <div className="mixer-warning">⚠ Audio is clipping — lower the gain</div> : null}
+    </div>
+  );
+}
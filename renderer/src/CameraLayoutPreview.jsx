@@ -0,0 +1,71 @@
+// renderer/src/CameraLayoutPreview.jsx
+import React, { useEffect, useRef } from "react";
+import { drawFrame, outputSize } from "./compositor";
+import useOverlayDrag from "./useOverlayDrag";
+
+/*
+  Pre-recording layout preview: the selected source's thumbnail with the live camera
+  composited by the same drawFrame() the recorder uses.
+  Props:
+    - background: image URL (source thumbnail) or null
+    - cameraStream: MediaStream from the selected camera
+    - overlay: overlay settings (see compositor OVERLAY_DEFAULTS)
+    - onOverlayChange(next): called while dragging
+    - crop: normalized region rect when recording a region, else null
+*/
+export default function CameraLayoutPreview({ background, cameraStream, overlay, onOverlayChange, crop = null }) {
+  const canvasRef = useRef(null);
+  const imgRef = useRef(null);
+  const camRef = useRef(null);
+  const overlayRef = useRef(overlay);
+  overlayRef.current = overlay;
+  const cropRef = useRef(crop);
+  cropRef.current = crop;
+
+  useEffect(() => {
+    const img = new Image();
+    if (background) img.src = background;
+    imgRef.current = img;
+  }, [background]);
+
+  useEffect(() => {
+    const v = document.createElement("video");
+    v.muted = true;
+    v.playsInline = true;
+    v.srcObject = cameraStream;
+    v.play().catch(e => console.warn("camera preview play failed", e));
+    camRef.current = v;
+    return () => { v.srcObject = null; };
+  }, [cameraStream]);
+
+  useEffect(() => {
+    let raf = null;
+    const loop = () => {
+      const canvas = canvasRef.current;
+      const img = imgRef.current;
+      if (canvas) {
+        // match the thumbnail's aspect so the overlay lands where it will in the recording
+        if (img && img.naturalWidth) {
+          const out = outputSize(img.naturalWidth, img.naturalHeight, cropRef.current);
+          const h = Math.round(canvas.width * out.height / out.width);
+          if (canvas.height !== h) canvas.height = h;
+        }
+        drawFrame(canvas.getContext("2d"), img, camRef.current, overlayRef.current, cropRef.current);
+      }
+      raf = requestAnimationFrame(loop);
+    };
+    loop();
+    return () => cancelAnimationFrame(raf);
+  }, []);
+
+  const camTrack = cameraStream && cameraStream.getVideoTracks()[0];
+  const camSettings = (camTrack && camTrack.getSettings && camTrack.getSettings()) || {};
+  const drag = useOverlayDrag({
+    getContentSize: () => canvasRef.current && { w: canvasRef.current.width, h: canvasRef.current.height },
+    overlay,
+    camAspect: camSettings.width && camSettings.height ? camSettings.width / camSettings.height : undefined,
+    onChange: onOverlayChange
+  });
+
+  return <canvas ref={canvasRef} className="preview-video layout-preview" width={1280} height={720} {...drag} />;
+}
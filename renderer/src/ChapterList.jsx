@@ -0,0 +1,108 @@
+// renderer/src/ChapterList.jsx
+import React, { useEffect, useState } from "react";
+
+// 1:02 or 1:01:02
+function formatTime(ms) {
+  const total = Math.floor(Math.max(0, ms) / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/*
+  Chapter markers of the recording in the inline player: click a time to seek, rename, remove,
+  add one at the playhead, and export them (WebVTT chapters, or a timestamp list for descriptions).
+  Props:
+    - recording: library entry ({ path, markers: [{ timeMs, name }] })
+    - currentMs: player position, highlights the running chapter
+    - onSeek(ms)
+    - getCurrentMs(): player position for a new marker
+    - onChanged(): markers were saved (reload the list)
+*/
+export default function ChapterList({ recording, currentMs = 0, onSeek, getCurrentMs, onChanged }) {
+  const [markers, setMarkers] = useState(recording.markers || []);
+  const [note, setNote] = useState("");
+
+  // the saved markers come back with the reloaded list
+  useEffect(() => {
+    setMarkers(recording.markers || []);
+  }, [recording]);
+
+  const save = async (next) => {
+    setMarkers(next);
+    try {
+      const res = await window.electronAPI.updateRecordingMeta(recording.path, { markers: next.map(m => ({ timeMs: m.timeMs, name: m.name })) });
+      if (!res || !res.success) {
+        alert("Could not save markers: " + (res && res.error));
+        return;
+      }
+      onChanged();
+    } catch (e) {
+      console.warn("updateRecordingMeta error", e);
+    }
+  };
+
+  const rename = (index, name) => setMarkers(ms => ms.map((m, i) => (i === index ? { ...m, name } : m)));
+
+  const add = () => {
+    const timeMs = Math.round(getCurrentMs());
+    if (markers.some(m => m.timeMs === timeMs)) return;
+    save([...markers, { timeMs, name: `Chapter ${markers.length + 1}` }].sort((a, b) => a.timeMs - b.timeMs));
+  };
+
+  const exportAs = async (format, toFile) => {
+    setNote("");
+    try {
+      const res = await window.electronAPI.exportMarkers(recording.path, format, toFile);
+      if (!res || !res.success) {
+        alert("Export failed: " + (res && res.error));
+        return;
+      }
+      if (!toFile) {
+        await navigator.clipboard.writeText(res.text);
+        setNote("Timestamps copied");
+      } else if (res.path) {
+        setNote("Saved " + res.path.split(/[\\/]/).pop());
+      }
+    } catch (e) {
+      console.warn("exportMarkers error", e);
+    }
+  };
+
+  // the chapter the playhead is in
+  let current = -1;
+  markers.forEach((m, i) => { if (m.timeMs <= currentMs) current = i; });
+
+  return (
+    <div className="chapter-list">
+      <div className="chapter-header">
+        <span>Chapters</span>
+        <button className="mini" onClick={add} title="Add a marker at the current playback position">Add at playhead</button>
+        {markers.length ? (
+          <>
+            <button className="mini" onClick={() => exportAs("txt", false)} title="Copy a timestamp list for a video description">Copy timestamps</button>
+            <button className="mini" onClick={() => exportAs("txt", true)}>Save list…</button>
+            <button className="mini" onClick={() => exportAs("vtt", true)}>Save WebVTT…</button>
+          </>
+        ) : null}
+        {note ? <span className="small-note">{note}</span> : null}
+      </div>
+      {markers.length === 0 ? <div className="small-note">No markers — add one here or press the marker shortcut while recording.</div> : null}
+      {markers.map((m, i) => (
+        <div key={m.timeMs} className={"chapter-row" + (i === current ? " current" : "")}>
+          <button className="chapter-time" onClick={() => onSeek(m.timeMs)} title="Jump to this chapter">{formatTime(m.timeMs)}</button>
+          <input
+            type="text"
+            value={m.name}
+            maxLength={100}
+            onChange={e => rename(i, e.target.value)}
+            onBlur={() => { if (m.name !== ((recording.markers || [])[i] || {}).name) save(markers); }}
+            onKeyDown={e => { if (e.key === "Enter") e.target.blur(); }}
+          />
+          <button className="mini" onClick={() => save(markers.filter((x, j) => j !== i))} title="Remove marker">×</button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+// renderer/src/ConfirmDialog.jsx
+import React from "react";
+import Modal from "./Modal";
+
+/*
+  Yes/no confirmation built on Modal.
+  Props:
+    - open
+    - title
+    - children: the question / details
+    - confirmLabel: text of the confirming button (default "OK")
+    - busy: disables the confirming button while the action runs
+    - onConfirm
+    - onClose
+*/
+export default function ConfirmDialog({ open, title, children, confirmLabel = "OK", busy = false, onConfirm, onClose }) {
+  return (
+    <Modal
+      open={open}
+      title={title}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="secondary" onClick={onClose}>Cancel</button>
+          <button className="primary" disabled={busy} onClick={onConfirm}>{confirmLabel}</button>
+        </>
+      }
+    >
+      {children}
+    </Modal>
+  );
+}
@@ -0,0 +1,64 @@
+// renderer/src/CursorEffectsPanel.jsx
+import React from "react";
+import { CURSOR_EFFECT_DEFAULTS } from "./cursorEffects";
+
+const KEY_POSITIONS = {
+  "bottom-center": "Bottom centre",
+  "bottom-left": "Bottom left",
+  "bottom-right": "Bottom right",
+  "top-center": "Top centre"
+};
+
+/*
+  Toggles and styles for the cursor halo, click ripples and shortcut badges.
+  Props:
+    - effects: settings.cursorEffects
+    - onChange(patch)
+    - note: why some effects won't be recorded (e.g. a window source), or ''
+*/
+export default function CursorEffectsPanel({ effects, onChange, note = "" }) {
+  const e = { ...CURSOR_EFFECT_DEFAULTS, ...effects };
+  return (
+    <div className="cursor-effects">
+      <div className="row cursor-effect">
+        <label className="mic-stage" title="a soft circle that follows the pointer">
+          <input type="checkbox" checked={!!e.halo} onChange={ev => onChange({ halo: ev.target.checked })} />
+          Cursor halo
+        </label>
+        {e.halo ? (
+          <>
+            <input type="color" value={e.haloColor} title="Halo colour" onChange={ev => onChange({ haloColor: ev.target.value })} />
+            <input type="range" min={10} max={120} step={1} value={e.haloSize} title="Halo size" onChange={ev => onChange({ haloSize: Number(ev.target.value) })} />
+            <input type="range" min={0.1} max={1} step={0.05} value={e.haloOpacity} title="Halo opacity" onChange={ev => onChange({ haloOpacity: Number(ev.target.value) })} />
+          </>
+        ) : null}
+      </div>
+      <div className="row cursor-effect">
+        <label className="mic-stage" title="a ring that expands where you click">
+          <input type="checkbox" checked={!!e.clicks} onChange={ev => onChange({ clicks: ev.target.checked })} />
+          Click ripples
+        </label>
+        {e.clicks ? (
+          <>
+            <span className="small-note">Left</span>
+            <input type="color" value={e.leftColor} title="Left click colour" onChange={ev => onChange({ leftColor: ev.target.value })} />
+            <span className="small-note">Right</span>
+            <input type="color" value={e.rightColor} title="Right click colour" onChange={ev => onChange({ rightColor: ev.target.value })} />
+          </>
+        ) : null}
+      </div>
+      <div className="row cursor-effect">
+        <label className="mic-stage" title="combinations with Ctrl / Alt / Cmd, Esc and F-keys; plain typing is never shown">
+          <input type="checkbox" checked={!!e.keys} onChange={ev => onChange({ keys: ev.target.checked })} />
+          Shortcut badges
+        </label>
+        {e.keys ? (
+          <select value={e.keyPosition} onChange={ev => onChange({ keyPosition: ev.target.value })}>
+            {Object.entries(KEY_POSITIONS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        ) : null}
+      </div>
+      {note ? <div className="small-note">{note}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// renderer/src/ExportDialog.jsx
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+
+/*
+  Pick an export preset / resolution for one recording.
+  Props:
+    - recording: { name, path } or null (closed)
+    - onStart(preset, height): start the job (height null = original size)
+    - onClose
+*/
+export default function ExportDialog({ recording, onStart, onClose }) {
+  const [presets, setPresets] = useState([]);
+  const [heights, setHeights] = useState([]);
+  const [preset, setPreset] = useState("mp4");
+  const [height, setHeight] = useState("");
+
+  useEffect(() => {
+    if (!recording || !window.electronAPI || !window.electronAPI.getExportPresets) return;
+    window.electronAPI.getExportPresets()
+      .then(res => {
+        if (!res || !res.success) return;
+        setPresets(res.presets || []);
+        setHeights(res.heights || []);
+      })
+      .catch(e => console.warn("getExportPresets failed", e));
+  }, [recording]);
+
+  const current = presets.find(p => p.id === preset);
+
+  return (
+    <Modal
+      open={!!recording}
+      title={recording ? `Export ${recording.name}` : "Export"}
+      onClose={onClose}
+      footer={
+        <>
+          <button className="secondary" onClick={onClose}>Cancel</button>
+          <button className="primary" disabled={!current} onClick={() => onStart(preset, height ? Number(height) : null)}>Export</button>
+        </>
+      }
+    >
+      <div className="row">
+        <label>Format</label>
+        <select value={preset} onChange={e => setPreset(e.target.value)}>
+          {presets.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </div>
+      <div className="row">
+        <label>Resolution</label>
+        <select value={height} onChange={e => setHeight(e.target.value)} disabled={current && !current.video}>
+          <option value="">Original</option>
+          {heights.map(h => <option key={h} value={h}>{h}p (max)</option>)}
+        </select>
+      </div>
+      <div className="small-note" style={{ marginTop: 8 }}>Exports run with your local ffmpeg and are saved next to the original.</div>
+    </Modal>
+  );
+}
@@ -0,0 +1,56 @@
+// renderer/src/MicProcessingPanel.jsx
+import React from "react";
+import { MIC_PROCESSING_DEFAULTS } from "./micChain";
+
+const STAGES = [
+  { key: "noiseSuppression", label: "Noise suppression", hint: "browser, removes steady background noise" },
+  { key: "echoCancellation", label: "Echo cancellation", hint: "browser, for speakers instead of headphones" },
+  { key: "highPass", label: "High-pass filter", hint: "cuts rumble below 80 Hz" },
+  { key: "gate", label: "Noise gate", hint: "silences the mic between words" },
+  { key: "compressor", label: "Compressor / limiter", hint: "evens out loud and quiet speech" }
+];
+
+/*
+  Toggles for the microphone processing chain plus a headphone preview.
+  Props:
+    - processing: settings.micProcessing
+    - onChange(patch)
+    - previewing: the mic is currently routed to the speakers
+    - onTogglePreview()
+    - previewDisabled: e.g. while recording
+*/
+export default function MicProcessingPanel({ processing, onChange, previewing = false, onTogglePreview, previewDisabled = false }) {
+  const p = { ...MIC_PROCESSING_DEFAULTS, ...processing };
+  return (
+    <div className="mic-processing">
+      <div className="mic-processing-stages">
+        {STAGES.map(stage => (
+          <label key={stage.key} className="mic-stage" title={stage.hint}>
+            <input type="checkbox" checked={!!p[stage.key]} onChange={e => onChange({ [stage.key]: e.target.checked })} />
+            {stage.label}
+          </label>
+        ))}
+      </div>
+      {p.gate ? (
+        <div className="row mixer-strip">
+          <label>Gate threshold</label>
+          <input
+            type="range"
+            min={-90}
+            max={-10}
+            step={1}
+            value={p.gateThresholdDb}
+            onChange={e => onChange({ gateThresholdDb: Number(e.target.value) })}
+          />
+          <span className="mixer-db">{p.gateThresholdDb} dB</span>
+        </div>
+      ) : null}
+      <div className="row" style={{ alignItems: "center" }}>
+        <button className={"mini" + (previewing ? " active" : "")} disabled={previewDisabled && !previewing} onClick={onTogglePreview}>
+          {previewing ? "Stop preview" : "Preview mic"}
+        </button>
+        <span className="small-note">Use headphones — the processed mic plays through your speakers.</span>
+      </div>
+    </div>
+  );
+}
@@ -3,7 +3,7 @@ import React, { useEffect } from "react";
 import ReactDOM from "react-dom";
 import "./app.css"; // ensure modal styles are available
 
-export default function Modal({ open, onClose, title, children, footer, closeOnBackdrop = true }) {
+export default function Modal({ open, onClose, title, children, footer, closeOnBackdrop = true, className = "" }) {
   useEffect(() => {
     if (!open) return;
     const onKey = (e) => { if (e.key === "Escape") onClose && onClose(); };
@@ -14,7 +14,7 @@ export default function Modal({ open, onClose, title, children, footer, closeOnB
   if (!open) return null;
   return ReactDOM.createPortal(
     <div className="xr-modal-backdrop" onMouseDown={e => { if (closeOnBackdrop && e.target.classList.contains('xr-modal-backdrop')) onClose && onClose(); }}>
-      <div className="xr-modal" role="dialog" aria-modal="true" aria-label={title || "modal"}>
+      <div className={"xr-modal" + (className ? " " + className : "")} role="dialog" aria-modal="true" aria-label={title || "modal"}>
         <div className="xr-modal-header">
           <strong>{title || ""}</strong>
           <button className="xr-modal-close" onClick={() => onClose && onClose()}>Close</button>
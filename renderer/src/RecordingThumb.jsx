@@ -0,0 +1,60 @@
+// renderer/src/RecordingThumb.jsx
+import React, { useEffect, useState } from "react";
+
+/*
+  Poster frame for a recording; hovering scrubs through the sprite strip rendered by main.
+  Props:
+    - recording: library entry { path, mtimeMs, size, durationMs, mode }
+    - onClick: optional (e.g. play)
+*/
+export default function RecordingThumb({ recording, onClick }) {
+  const [thumbs, setThumbs] = useState(null);
+  const [frame, setFrame] = useState(null);
+  const { path, mtimeMs, size, durationMs } = recording;
+
+  // re-requested whenever the file changes; main answers from its cache when it can
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.getThumbnails) return;
+    let cancelled = false;
+    window.electronAPI.getThumbnails(path, durationMs)
+      .then(res => {
+        if (cancelled) return;
+        if (res && res.success) setThumbs(res);
+        else console.warn("getThumbnails failed", res && res.error);
+      })
+      .catch(e => console.warn("getThumbnails error", e));
+    return () => { cancelled = true; };
+  }, [path, mtimeMs, size, durationMs]);
+
+  const onMove = (e) => {
+    if (!thumbs || !thumbs.sprite) return;
+    const box = e.currentTarget.getBoundingClientRect();
+    const x = Math.max(0, Math.min(0.999, (e.clientX - box.left) / box.width));
+    setFrame(Math.floor(x * thumbs.frames));
+  };
+
+  if (!thumbs || thumbs.none) {
+    return (
+      <div className="recording-thumb placeholder" onClick={onClick}>
+        {thumbs && thumbs.none ? "♪" : ""}
+      </div>
+    );
+  }
+
+  const scrubbing = frame !== null;
+  return (
+    <div
+      className="recording-thumb"
+      onClick={onClick}
+      onMouseMove={onMove}
+      onMouseLeave={() => setFrame(null)}
+      style={scrubbing ? {
+        backgroundImage: `url(${thumbs.sprite})`,
+        backgroundSize: `${thumbs.frames * 100}% 100%`,
+        backgroundPosition: `${thumbs.frames > 1 ? (frame / (thumbs.frames - 1)) * 100 : 0}% 0`
+      } : { backgroundImage: `url(${thumbs.poster})` }}
+    >
+      {scrubbing ? <div className="recording-thumb-bar" style={{ width: `${((frame + 1) / thumbs.frames) * 100}%` }} /> : null}
+    </div>
+  );
+}
@@ -1,14 +1,341 @@
 // renderer/src/RecordingsList.jsx
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import ExportDialog from "./ExportDialog";
+import RecordingThumb from "./RecordingThumb";
+import ConfirmDialog from "./ConfirmDialog";
+import RenameDialog from "./RenameDialog";
+import TrimEditor from "./TrimEditor";
+import ChapterList from "./ChapterList";
+
+const AUDIO_TRACK_LABELS = { mic: "Mic track", system: "System track" };
+const MODE_LABELS = { "video+mic": "Video + mic", "video+system": "Video + system", "video+system+mic": "Video + system + mic", "audio-only": "Audio only" };
+
+const DATE_RANGES = { all: null, today: "today", week: 7, month: 30 };
+
+const SORTS = {
+  newest: (a, b) => b.mtimeMs - a.mtimeMs,
+  oldest: (a, b) => a.mtimeMs - b.mtimeMs,
+  longest: (a, b) => (b.durationMs || 0) - (a.durationMs || 0),
+  largest: (a, b) => (b.size || 0) - (a.size || 0),
+  title: (a, b) => displayTitle(a).localeCompare(displayTitle(b))
+};
+
+function displayTitle(r) {
+  return r.title || r.name;
+}
+
+function formatDuration(ms) {
+  if (!ms) return "";
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+function inDateRange(r, range) {
+  const spec = DATE_RANGES[range];
+  if (!spec) return true;
+  const since = new Date();
+  if (spec === "today") since.setHours(0, 0, 0, 0);
+  else since.setDate(since.getDate() - spec);
+  return r.mtimeMs >= since.getTime();
+}
+
+function matchesQuery(r, query) {
+  if (!query) return true;
+  const haystack = [r.name, r.title, r.sourceName, r.micLabel, r.accountEmail, ...(r.tags || [])]
+    .filter(Boolean).join(" ").toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
 
 /*
-  Small recordings list component.
+  Recordings library: search / filter / sort over the index kept by main, inline title + tag editing,
+  rename / move / trash (single or multi-select; trash can be undone for a few seconds), and an
+  inline player with the recording's chapter markers.
   Props:
-    - recordings: array of { name, path, size, mtimeMs }
+    - recordings: array of library entries { name, path, size, mtimeMs, durationMs, width, height,
+                  sourceName, mode, micLabel, accountEmail, title, tags, audioTracks,
+                  segmentGroup, segmentIndex, markers }
     - onReveal: optional callback after revealing / opening
+    - onChanged: optional callback after library metadata or files changed (reload the list)
 */
-export default function RecordingsList({ recordings = [], onReveal = () => {} }) {
-  const [playingUrl, setPlayingUrl] = useState(null);
+export default function RecordingsList({ recordings = [], onReveal = () => {}, onChanged = () => {} }) {
+  const [query, setQuery] = useState("");
+  const [modeFilter, setModeFilter] = useState("all");
+  const [dateFilter, setDateFilter] = useState("all");
+  const [sortBy, setSortBy] = useState("newest");
+  // path of the row being edited + its draft
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState({ title: "", tags: "" });
+  // multi-select: set of paths
+  const [selected, setSelected] = useState(() => new Set());
+  const [renameFor, setRenameFor] = useState(null);
+  // paths waiting for the trash confirmation
+  const [confirmTrash, setConfirmTrash] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // last trash operation that can still be undone: { trashId, count }
+  const [undo, setUndo] = useState(null);
+  // inline player: { url, path }
+  const [playing, setPlaying] = useState(null);
+  const [playheadMs, setPlayheadMs] = useState(0);
+  const playerRef = useRef(null);
+  const [exportFor, setExportFor] = useState(null);
+  const [trimFor, setTrimFor] = useState(null);
+  // segmented sessions whose parts are shown
+  const [expanded, setExpanded] = useState(() => new Set());
+  // trim jobs change the library when they finish; exports don't
+  const trimJobsRef = useRef(new Set());
+  const onChangedRef = useRef(onChanged);
+  useEffect(() => { onChangedRef.current = onChanged; }, [onChanged]);
+  // jobId -> { jobId, path, label, status: 'running'|'done'|'error'|'cancelled', percent, outputPath, error }
+  const [jobs, setJobs] = useState({});
+
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.onExportEvent) return;
+    const off = window.electronAPI.onExportEvent(evt => {
+      if (evt.type !== 'progress' && trimJobsRef.current.has(evt.jobId)) {
+        trimJobsRef.current.delete(evt.jobId);
+        if (evt.type === 'done') onChangedRef.current();
+      }
+      setJobs(all => {
+        const job = all[evt.jobId];
+        if (!job) return all;
+        const next = { ...job };
+        if (evt.type === 'progress') next.percent = evt.percent;
+        else if (evt.type === 'done') { next.status = 'done'; next.percent = 100; next.outputPath = evt.outputPath; }
+        else if (evt.type === 'error') { next.status = 'error'; next.error = evt.error; }
+        else if (evt.type === 'cancelled') next.status = 'cancelled';
+        return { ...all, [evt.jobId]: next };
+      });
+    });
+    return off;
+  }, []);
+
+  const startExport = async (preset, height) => {
+    const rec = exportFor;
+    setExportFor(null);
+    try {
+      const res = await window.electronAPI.startExport(rec.path, preset, height);
+      if (!res || !res.success) {
+        alert("Export failed: " + (res && res.error));
+        return;
+      }
+      const label = preset.toUpperCase() + (height ? ` ${height}p` : "");
+      setJobs(all => ({ ...all, [res.jobId]: { jobId: res.jobId, path: rec.path, label, status: 'running', percent: 0, outputPath: res.outputPath } }));
+    } catch (e) {
+      console.warn("export error", e);
+    }
+  };
+
+  const startTrim = async (startMs, endMs, mode) => {
+    const rec = trimFor;
+    setTrimFor(null);
+    try {
+      const res = await window.electronAPI.startTrim(rec.path, startMs, endMs, mode);
+      if (!res || !res.success) {
+        alert("Trim failed: " + (res && res.error));
+        return;
+      }
+      trimJobsRef.current.add(res.jobId);
+      const label = "Trim" + (res.copy ? "" : " (re-encoding)");
+      setJobs(all => ({ ...all, [res.jobId]: { jobId: res.jobId, path: rec.path, label, status: 'running', percent: 0, outputPath: null } }));
+    } catch (e) {
+      console.warn("trim error", e);
+    }
+  };
+
+  const cancelExport = async (jobId) => {
+    try {
+      await window.electronAPI.cancelExport(jobId);
+    } catch (e) {
+      console.warn("cancel export error", e);
+    }
+  };
+
+  // main reports when deferred trash is carried out (the undo window is over)
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.onTrashCommitted) return;
+    const off = window.electronAPI.onTrashCommitted(({ trashId, failed }) => {
+      setUndo(u => (u && u.trashId === trashId ? null : u));
+      if (failed && failed.length) {
+        alert(`Could not move ${failed.length} recording(s) to the trash: ${failed[0].error}`);
+        onChanged();
+      }
+    });
+    return off;
+  }, [onChanged]);
+
+  // forget selections of recordings that are no longer listed
+  const selectedPaths = useMemo(
+    () => recordings.filter(r => selected.has(r.path)).map(r => r.path),
+    [recordings, selected]
+  );
+
+  const toggleSelected = (path) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const renameRecording = async (newName) => {
+    const rec = renameFor;
+    try {
+      const res = await window.electronAPI.renameRecording(rec.path, newName);
+      if (!res || !res.success) {
+        alert("Rename failed: " + (res && res.error));
+        return;
+      }
+      setRenameFor(null);
+      setSelected(prev => {
+        if (!prev.has(rec.path)) return prev;
+        const next = new Set(prev);
+        next.delete(rec.path);
+        next.add(res.path);
+        return next;
+      });
+      onChanged();
+    } catch (e) {
+      console.warn("rename error", e);
+    }
+  };
+
+  const trashRecordings = async () => {
+    const paths = confirmTrash;
+    setBusy(true);
+    try {
+      const res = await window.electronAPI.trashRecordings(paths);
+      if (!res || !res.success) {
+        alert("Delete failed: " + (res && res.error));
+        return;
+      }
+      setConfirmTrash(null);
+      setSelected(new Set());
+      setUndo({ trashId: res.trashId, count: res.count });
+      onChanged();
+    } catch (e) {
+      console.warn("trash error", e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const undoTrash = async () => {
+    const { trashId } = undo;
+    setUndo(null);
+    try {
+      const res = await window.electronAPI.undoTrash(trashId);
+      if (!res || !res.success) alert("Undo failed: " + (res && res.error));
+      onChanged();
+    } catch (e) {
+      console.warn("undo trash error", e);
+    }
+  };
+
+  const moveRecordings = async (paths) => {
+    setBusy(true);
+    try {
+      const res = await window.electronAPI.moveRecordings(paths);
+      if (!res || !res.success) {
+        alert("Move failed: " + (res && res.error));
+        return;
+      }
+      if (!res.folder) return;
+      if (res.failed.length) alert(`${res.failed.length} recording(s) could not be moved: ${res.failed[0].error}`);
+      setSelected(new Set());
+      onChanged();
+    } catch (e) {
+      console.warn("move error", e);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fileActions = !!(window.electronAPI && window.electronAPI.trashRecordings);
+
+  const visible = useMemo(() => recordings
+    .filter(r => modeFilter === "all" || r.mode === modeFilter)
+    .filter(r => inDateRange(r, dateFilter))
+    .filter(r => matchesQuery(r, query.trim()))
+    .sort(SORTS[sortBy]), [recordings, modeFilter, dateFilter, query, sortBy]);
+
+  // parts of a segmented recording collapse into one session row, placed where its first visible part sorts
+  const items = useMemo(() => {
+    const byGroup = new Map();
+    for (const r of visible) {
+      if (!r.segmentGroup) continue;
+      if (!byGroup.has(r.segmentGroup)) byGroup.set(r.segmentGroup, []);
+      byGroup.get(r.segmentGroup).push(r);
+    }
+    const out = [];
+    const placed = new Set();
+    for (const r of visible) {
+      const parts = r.segmentGroup ? byGroup.get(r.segmentGroup) : null;
+      if (!parts || parts.length < 2) {
+        out.push({ recording: r });
+      } else if (!placed.has(r.segmentGroup)) {
+        placed.add(r.segmentGroup);
+        out.push({ group: r.segmentGroup, parts: [...parts].sort((a, b) => a.segmentIndex - b.segmentIndex) });
+      }
+    }
+    return out;
+  }, [visible]);
+
+  const toggleExpanded = (group) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(group)) next.delete(group);
+      else next.add(group);
+      return next;
+    });
+  };
+
+  const selectAll = (paths, on) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      paths.forEach(p => (on ? next.add(p) : next.delete(p)));
+      return next;
+    });
+  };
+
+  const startEdit = (r) => {
+    setEditing(r.path);
+    setDraft({ title: r.title || "", tags: (r.tags || []).join(", ") });
+  };
+
+  const saveEdit = async () => {
+    const filePath = editing;
+    try {
+      const res = await window.electronAPI.updateRecordingMeta(filePath, {
+        title: draft.title,
+        tags: draft.tags.split(",").map(t => t.trim()).filter(Boolean)
+      });
+      if (!res || !res.success) {
+        alert("Could not save: " + (res && res.error));
+        return;
+      }
+      setEditing(null);
+      onChanged();
+    } catch (e) {
+      console.warn("updateRecordingMeta error", e);
+    }
+  };
+
+  const onEditKey = (e) => {
+    if (e.key === "Enter") saveEdit();
+    else if (e.key === "Escape") setEditing(null);
+  };
+
+  const dismissJob = (jobId) => {
+    setJobs(all => {
+      const next = { ...all };
+      delete next[jobId];
+      return next;
+    });
+  };
 
   const reveal = async (path) => {
     if (!window.electronAPI || !window.electronAPI.revealRecording) {
@@ -37,31 +364,233 @@ export default function RecordingsList({ recordings = [], onReveal = () => {} })
 
   const playInline = (path) => {
     const fileUrl = "file:///" + path.replace(/\\/g, "/");
-    setPlayingUrl(fileUrl);
+    setPlaying({ url: fileUrl, path });
+    setPlayheadMs(0);
   };
 
-  return (
-    <div className="recordings-list">
-      {recordings.length === 0 && <div className="empty">No recordings yet</div>}
-      {recordings.map(r => (
-        <div className="recording-row" key={r.path}>
+  const seekTo = (ms) => {
+    const video = playerRef.current;
+    if (!video) return;
+    video.currentTime = ms / 1000;
+    if (video.paused) video.play().catch(() => {});
+  };
+
+  // chapters only for library entries (not for a separate audio track played on its own)
+  const playingEntry = playing ? recordings.find(r => r.path === playing.path) : null;
+
+  const renderRow = (r, part = false) => (
+    <div className={"recording-row" + (part ? " recording-part" : "") + (selected.has(r.path) ? " selected" : "")} key={r.path}>
+      {fileActions ? (
+        <input type="checkbox" className="recording-select" checked={selected.has(r.path)} onChange={() => toggleSelected(r.path)} title="Select" />
+      ) : null}
+      <RecordingThumb recording={r} onClick={() => playInline(r.path)} />
+      {editing === r.path ? (
+        <div className="library-edit">
+          <input type="text" placeholder={r.name} value={draft.title} autoFocus onKeyDown={onEditKey} onChange={e => setDraft(d => ({ ...d, title: e.target.value }))} />
+          <input type="text" placeholder="tags, comma separated" value={draft.tags} onKeyDown={onEditKey} onChange={e => setDraft(d => ({ ...d, tags: e.target.value }))} />
+          <button className="mini" onClick={saveEdit}>Save</button>
+          <button className="mini" onClick={() => setEditing(null)}>Cancel</button>
+        </div>
+      ) : (
+        <div className="meta">
+          <div className="name" title={r.title ? `${r.title} (${r.name})` : r.name}>{displayTitle(r)}</div>
+          <div className="sub">
+            {[
+              new Date(r.mtimeMs).toLocaleString(),
+              formatDuration(r.durationMs),
+              r.size ? (r.size/1024/1024).toFixed(2) + " MB" : "",
+              r.width && r.height ? `${r.width}×${r.height}` : "",
+              MODE_LABELS[r.mode] || ""
+            ].filter(Boolean).join(" • ")}
+          </div>
+          {r.sourceName || r.micLabel ? (
+            <div className="sub" title={[r.sourceName, r.micLabel].filter(Boolean).join(" • ")}>
+              {[r.sourceName, r.micLabel].filter(Boolean).join(" • ")}
+            </div>
+          ) : null}
+          {r.audioTracks && r.audioTracks.length ? (
+            <div className="library-tags" title="Separate audio tracks saved with this recording">
+              {r.audioTracks.map(t => (
+                <button key={t.kind} className="library-tag library-track" onClick={() => playInline(t.path)} title={`Play ${t.name}`}>
+                  ♪ {AUDIO_TRACK_LABELS[t.kind] || t.kind}
+                </button>
+              ))}
+            </div>
+          ) : null}
+          {r.tags && r.tags.length ? (
+            <div className="library-tags">
+              {r.tags.map(t => <button key={t} className="library-tag" onClick={() => setQuery(t)} title="Filter by tag">{t}</button>)}
+            </div>
+          ) : null}
+        </div>
+      )}
+      <div className="actions">
+        <button className="mini" onClick={() => playInline(r.path)}>Play</button>
+        <button className="mini" onClick={() => reveal(r.path)}>Reveal</button>
+        <button className="mini" onClick={() => openExternal(r.path)}>Open</button>
+        {window.electronAPI && window.electronAPI.updateRecordingMeta && editing !== r.path ? (
+          <button className="mini" onClick={() => startEdit(r)}>Edit</button>
+        ) : null}
+        {fileActions ? (
+          <>
+            <button className="mini" onClick={() => setRenameFor(r)}>Rename</button>
+            <button className="mini" disabled={busy} onClick={() => moveRecordings([r.path])}>Move…</button>
+            <button className="mini" onClick={() => setConfirmTrash([r.path])}>Delete</button>
+          </>
+        ) : null}
+        {window.electronAPI && window.electronAPI.startExport ? (
+          <button className="mini" onClick={() => setExportFor(r)}>Export…</button>
+        ) : null}
+        {window.electronAPI && window.electronAPI.startTrim ? (
+          <button className="mini" onClick={() => setTrimFor(r)}>Trim…</button>
+        ) : null}
+      </div>
+      {Object.values(jobs).filter(j => j.path === r.path).map(j => (
+        <div className="export-job" key={j.jobId}>
+          <div className="export-job-label">
+            {j.label} — {j.status === 'running' ? (j.percent != null ? `${j.percent.toFixed(0)}%` : 'working…') : j.status}
+            {j.status === 'error' ? <span className="export-job-error" title={j.error}> {j.error}</span> : null}
+          </div>
+          {j.status === 'running' ? (
+            <>
+              <progress max={100} value={j.percent || 0} />
+              <button className="mini" onClick={() => cancelExport(j.jobId)}>Cancel</button>
+            </>
+          ) : (
+            <>
+              {j.status === 'done' ? <button className="mini" onClick={() => reveal(j.outputPath)}>Reveal</button> : null}
+              <button className="mini" onClick={() => dismissJob(j.jobId)}>Dismiss</button>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderSession = ({ group, parts }) => {
+    const open = expanded.has(group);
+    const paths = parts.map(p => p.path);
+    const allSelected = paths.every(p => selected.has(p));
+    const first = parts[0];
+    const durationMs = parts.reduce((sum, p) => sum + (p.durationMs || 0), 0);
+    const size = parts.reduce((sum, p) => sum + (p.size || 0), 0);
+    return (
+      <React.Fragment key={"session:" + group}>
+        <div className={"recording-row recording-session" + (allSelected ? " selected" : "")}>
+          {fileActions ? (
+            <input type="checkbox" className="recording-select" checked={allSelected} onChange={() => selectAll(paths, !allSelected)} title="Select all parts" />
+          ) : null}
+          <RecordingThumb recording={first} onClick={() => playInline(first.path)} />
           <div className="meta">
-            <div className="name" title={r.name}>{r.name}</div>
-            <div className="sub">{new Date(r.mtimeMs).toLocaleString()} • {r.size ? (r.size/1024/1024).toFixed(2) + " MB" : ""}</div>
+            <div className="name" title={group}>{first.title || group}</div>
+            <div className="sub">
+              {[
+                new Date(first.mtimeMs).toLocaleString(),
+                `${parts.length} parts`,
+                formatDuration(durationMs),
+                size ? (size/1024/1024).toFixed(2) + " MB" : "",
+                MODE_LABELS[first.mode] || ""
+              ].filter(Boolean).join(" • ")}
+            </div>
           </div>
           <div className="actions">
-            <button className="mini" onClick={() => playInline(r.path)}>Play</button>
-            <button className="mini" onClick={() => reveal(r.path)}>Reveal</button>
-            <button className="mini" onClick={() => openExternal(r.path)}>Open</button>
+            <button className="mini" onClick={() => toggleExpanded(group)}>{open ? "Hide parts" : "Show parts"}</button>
+            <button className="mini" onClick={() => reveal(first.path)}>Reveal</button>
+            {fileActions ? (
+              <>
+                <button className="mini" disabled={busy} onClick={() => moveRecordings(paths)}>Move…</button>
+                <button className="mini" onClick={() => setConfirmTrash(paths)}>Delete</button>
+              </>
+            ) : null}
           </div>
         </div>
-      ))}
+        {open ? parts.map(p => renderRow(p, true)) : null}
+      </React.Fragment>
+    );
+  };
+
+  return (
+    <div className="recordings-list">
+      {recordings.length > 0 && (
+        <div className="library-toolbar">
+          <input type="search" placeholder="Search title, tags, source…" value={query} onChange={e => setQuery(e.target.value)} />
+          <select value={modeFilter} onChange={e => setModeFilter(e.target.value)} title="Capture mode">
+            <option value="all">All modes</option>
+            {Object.entries(MODE_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <select value={dateFilter} onChange={e => setDateFilter(e.target.value)} title="Date">
+            <option value="all">Any date</option>
+            <option value="today">Today</option>
+            <option value="week">Last 7 days</option>
+            <option value="month">Last 30 days</option>
+          </select>
+          <select value={sortBy} onChange={e => setSortBy(e.target.value)} title="Sort">
+            <option value="newest">Newest</option>
+            <option value="oldest">Oldest</option>
+            <option value="longest">Longest</option>
+            <option value="largest">Largest</option>
+            <option value="title">Title</option>
+          </select>
+        </div>
+      )}
+      {selectedPaths.length > 0 && (
+        <div className="library-selection">
+          <span>{selectedPaths.length} selected</span>
+          <button className="mini" disabled={busy} onClick={() => moveRecordings(selectedPaths)}>Move…</button>
+          <button className="mini" disabled={busy} onClick={() => setConfirmTrash(selectedPaths)}>Delete</button>
+          <button className="mini" onClick={() => setSelected(new Set())}>Clear</button>
+        </div>
+      )}
+      {undo && (
+        <div className="library-selection">
+          <span>{undo.count === 1 ? "Recording moved" : `${undo.count} recordings moved`} to the trash</span>
+          <button className="mini" onClick={undoTrash}>Undo</button>
+        </div>
+      )}
+      {recordings.length === 0 && <div className="empty">No recordings yet</div>}
+      {recordings.length > 0 && visible.length === 0 && <div className="empty">No recordings match</div>}
+      {items.map(item => item.parts ? renderSession(item) : renderRow(item.recording))}
+
+      <ExportDialog recording={exportFor} onStart={startExport} onClose={() => setExportFor(null)} />
+      <TrimEditor recording={trimFor} onStart={startTrim} onClose={() => setTrimFor(null)} />
+      <RenameDialog recording={renameFor} onRename={renameRecording} onClose={() => setRenameFor(null)} />
+      <ConfirmDialog
+        open={!!confirmTrash}
+        title={confirmTrash && confirmTrash.length > 1 ? `Delete ${confirmTrash.length} recordings?` : "Delete recording?"}
+        confirmLabel="Move to trash"
+        busy={busy}
+        onConfirm={trashRecordings}
+        onClose={() => setConfirmTrash(null)}
+      >
+        <div>
+          {confirmTrash && confirmTrash.length === 1
+            ? <><strong>{(recordings.find(r => r.path === confirmTrash[0]) || {}).name}</strong> will be moved to the trash.</>
+            : "The selected recordings will be moved to the trash."}
+          {" "}You can undo this for a few seconds.
+        </div>
+      </ConfirmDialog>
 
-      {playingUrl && (
+      {playing && (
         <div style={{marginTop:12}}>
-          <video src={playingUrl} controls autoPlay style={{ width: "100%", borderRadius: 8 }} />
+          <video
+            ref={playerRef}
+            src={playing.url}
+            controls
+            autoPlay
+            onTimeUpdate={e => setPlayheadMs(e.currentTarget.currentTime * 1000)}
+            style={{ width: "100%", borderRadius: 8 }}
+          />
+          {playingEntry && window.electronAPI && window.electronAPI.exportMarkers ? (
+            <ChapterList
+              recording={playingEntry}
+              currentMs={playheadMs}
+              onSeek={seekTo}
+              getCurrentMs={() => (playerRef.current ? playerRef.current.currentTime * 1000 : 0)}
+              onChanged={onChanged}
+            />
+          ) : null}
           <div style={{ textAlign: "right", marginTop: 8 }}>
-            <button className="mini" onClick={() => setPlayingUrl(null)}>Close</button>
+            <button className="mini" onClick={() => setPlaying(null)}>Close</button>
           </div>
         </div>
       )}
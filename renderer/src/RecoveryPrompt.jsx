@@ -0,0 +1,85 @@
+// renderer/src/RecoveryPrompt.jsx
+import React, { useState } from "react";
+import Modal from "./Modal";
+
+/*
+  Offers to recover (or discard) recordings left behind by an interrupted session.
+  Props:
+    - open: show the dialog
+    - files: array of { name, path, size, mtimeMs } from listInterruptedRecordings
+    - onRecovered(file, res): called after a successful recovery
+    - onDiscarded(file): called after the user confirmed and the file was deleted
+    - onError(message): called when a main-process call fails
+    - onClose: dismiss (files stay on disk and are offered again next start)
+*/
+export default function RecoveryPrompt({ open, files = [], onRecovered = () => {}, onDiscarded = () => {}, onError = () => {}, onClose }) {
+  const [busyPath, setBusyPath] = useState(null);
+  const [confirmFile, setConfirmFile] = useState(null);
+
+  const recover = async (file) => {
+    setBusyPath(file.path);
+    try {
+      const res = await window.electronAPI.recoverRecording(file.path);
+      if (res && res.success) onRecovered(file, res);
+      else onError("Recovery failed: " + (res && res.error));
+    } catch (e) {
+      console.warn("recover error", e);
+      onError("Recovery error: " + (e.message || e));
+    } finally {
+      setBusyPath(null);
+    }
+  };
+
+  const discard = async (file) => {
+    setBusyPath(file.path);
+    try {
+      const res = await window.electronAPI.discardRecording(file.path);
+      if (res && res.success) onDiscarded(file);
+      else onError("Discard failed: " + (res && res.error));
+    } catch (e) {
+      console.warn("discard error", e);
+      onError("Discard error: " + (e.message || e));
+    } finally {
+      setBusyPath(null);
+      setConfirmFile(null);
+    }
+  };
+
+  if (confirmFile) {
+    return (
+      <Modal
+        open={open}
+        title="Discard recording?"
+        onClose={() => setConfirmFile(null)}
+        footer={
+          <>
+            <button className="secondary" onClick={() => setConfirmFile(null)}>Cancel</button>
+            <button className="primary" disabled={!!busyPath} onClick={() => discard(confirmFile)}>Discard permanently</button>
+          </>
+        }
+      >
+        <div><strong>{confirmFile.name}</strong> will be deleted. This can't be undone.</div>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal open={open} title="Recover interrupted recordings" onClose={onClose}>
+      <div className="small-note" style={{ marginBottom: 12 }}>
+        XigRecorder was closed while these recordings were in progress. Recover them to keep everything captured up to that point.
+      </div>
+      {files.map(f => (
+        <div className="recording-row" key={f.path}>
+          <div className="meta">
+            <div className="name" title={f.name}>{f.name}</div>
+            <div className="sub">{new Date(f.mtimeMs).toLocaleString()} • {(f.size/1024/1024).toFixed(2)} MB</div>
+          </div>
+          <div className="actions">
+            <button className="mini" disabled={!!busyPath} onClick={() => recover(f)}>{busyPath === f.path ? "Recovering..." : "Recover"}</button>
+            <button className="mini" disabled={!!busyPath} onClick={() => setConfirmFile(f)}>Discard</button>
+          </div>
+        </div>
+      ))}
+    </Modal>
+  );
+}
@@ -0,0 +1,49 @@
+// renderer/src/RenameDialog.jsx
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+
+/*
+  Rename one recording file (the .webm extension is kept by main).
+  Props:
+    - recording: { name, path } or null (closed)
+    - onRename(newName)
+    - onClose
+*/
+export default function RenameDialog({ recording, onRename, onClose }) {
+  const [name, setName] = useState("");
+
+  useEffect(() => {
+    if (recording) setName(recording.name.replace(/\.webm$/i, ""));
+  }, [recording]);
+
+  const submit = () => {
+    if (name.trim()) onRename(name.trim());
+  };
+
+  return (
+    <Modal
+      open={!!recording}
+      title="Rename recording"
+      onClose={onClose}
+      footer={
+        <>
+          <button className="secondary" onClick={onClose}>Cancel</button>
+          <button className="primary" disabled={!name.trim()} onClick={submit}>Rename</button>
+        </>
+      }
+    >
+      <div className="row">
+        <label>File name</label>
+        <input
+          type="text"
+          className="settings-template"
+          value={name}
+          autoFocus
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => { if (e.key === "Enter") submit(); }}
+        />
+        <span className="small-note">.webm</span>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,170 @@
+// renderer/src/SchedulePanel.jsx
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+
+const REPEAT_LABELS = { none: "Once", daily: "Every day", weekly: "Every week" };
+const STATUS_LABELS = { done: "Recorded", failed: "Failed", missed: "Missed" };
+const STOP_REASONS = { time: "time limit", size: "size limit" };
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// <input type="datetime-local"> value in local time
+function toLocalInput(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function fromLocalInput(value) {
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function formatWhen(ms) {
+  return ms ? new Date(ms).toLocaleString([], { dateStyle: "medium", timeStyle: "short" }) : "";
+}
+
+function describeStop(job) {
+  const parts = [job.stopAt != null ? `until ${new Date(job.stopAt).toLocaleTimeString([], { timeStyle: "short" })}` : `${Math.round(job.durationMs / 60000)} min`];
+  if (job.maxBytes) parts.push(`max ${Math.round(job.maxBytes / (1024 * 1024))} MB`);
+  return parts.join(", ");
+}
+
+// a fresh form: next full five minutes, 30 minutes long
+function emptyDraft() {
+  const start = Math.ceil((Date.now() + 60000) / 300000) * 300000;
+  return { label: "", start: toLocalInput(start), stopType: "duration", minutes: "30", stopAt: toLocalInput(start + 30 * 60000), sizeMb: "", repeat: "none" };
+}
+
+/*
+  Scheduled recordings: add a job for the current source / mic / mode selection and list upcoming
+  and recent runs. Jobs are stored and timed in the main process.
+  Props:
+    - open
+    - schedule: { jobs, history, active } from main
+    - selection: { sourceId, sourceName, mode, micId, micLabel } — what a scheduled run will record
+    - modeLabel: display name of selection.mode
+    - onAdd(job): resolves true when main accepted the job
+    - onRemove(jobId)
+    - onClose
+*/
+export default function SchedulePanel({ open, schedule, selection, modeLabel, onAdd, onRemove, onClose }) {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (open) setDraft(emptyDraft());
+  }, [open]);
+
+  const set = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+  const { jobs = [], history = [], active = null } = schedule || {};
+  const pickerSelected = !selection.sourceId || selection.sourceId.startsWith("picker://");
+
+  const add = async () => {
+    const startAt = fromLocalInput(draft.start);
+    const job = {
+      label: draft.label.trim(),
+      startAt,
+      durationMs: draft.stopType === "duration" ? Number(draft.minutes) * 60000 : null,
+      stopAt: draft.stopType === "at" ? fromLocalInput(draft.stopAt) : null,
+      maxBytes: draft.sizeMb ? Number(draft.sizeMb) * 1024 * 1024 : null,
+      repeat: draft.repeat,
+      selection
+    };
+    setBusy(true);
+    try {
+      if (await onAdd(job)) setDraft(emptyDraft());
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} title="Scheduled recordings" onClose={onClose} className="schedule-modal">
+      <div className="schedule-form">
+        <div className="row">
+          <label>Name</label>
+          <input type="text" placeholder="Weekly demo" value={draft.label} onChange={e => set("label", e.target.value)} />
+        </div>
+        <div className="row">
+          <label>Start</label>
+          <input type="datetime-local" value={draft.start} onChange={e => set("start", e.target.value)} />
+          <select value={draft.repeat} onChange={e => set("repeat", e.target.value)}>
+            {Object.entries(REPEAT_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </div>
+        <div className="row">
+          <label>Stop</label>
+          <select value={draft.stopType} onChange={e => set("stopType", e.target.value)}>
+            <option value="duration">after</option>
+            <option value="at">at</option>
+          </select>
+          {draft.stopType === "duration" ? (
+            <>
+              <input type="number" min={1} max={1440} value={draft.minutes} onChange={e => set("minutes", e.target.value)} style={{ width: 80 }} />
+              <span className="schedule-unit">minutes</span>
+            </>
+          ) : (
+            <input type="datetime-local" value={draft.stopAt} onChange={e => set("stopAt", e.target.value)} />
+          )}
+        </div>
+        <div className="row">
+          <label>Size limit</label>
+          <input type="number" min={1} placeholder="none" value={draft.sizeMb} onChange={e => set("sizeMb", e.target.value)} style={{ width: 100 }} />
+          <span className="schedule-unit">MB</span>
+        </div>
+        <div className="schedule-selection">
+          Records: {[selection.sourceName || "no source", modeLabel, selection.micLabel].filter(Boolean).join(" • ")}
+          <div className="schedule-hint">
+            {pickerSelected
+              ? "Select a screen or window source first — the system picker can't be used unattended."
+              : "The current source, microphone and capture mode are saved with the schedule."}
+          </div>
+        </div>
+        <button className="primary" disabled={busy || pickerSelected || !draft.start} onClick={add}>Add schedule</button>
+      </div>
+
+      {active ? (
+        <div className="schedule-active">
+          ● {active.phase === "running" ? "Recording" : "Starting"} {active.label || "scheduled recording"} — stops at {formatWhen(active.stopAt)}
+        </div>
+      ) : null}
+
+      <div className="card-title" style={{ marginTop: 12 }}>Upcoming</div>
+      {jobs.length === 0 ? <div className="empty">Nothing scheduled</div> : null}
+      {jobs.map(job => (
+        <div className="schedule-row" key={job.id}>
+          <div className="meta">
+            <div className="name">{job.label || job.selection.sourceName || "Scheduled recording"}</div>
+            <div className="sub">
+              {[formatWhen(job.startAt), describeStop(job), job.repeat !== "none" ? REPEAT_LABELS[job.repeat] : "", job.selection.sourceName].filter(Boolean).join(" • ")}
+            </div>
+          </div>
+          <button className="mini" onClick={() => onRemove(job.id)}>Remove</button>
+        </div>
+      ))}
+
+      {history.length ? (
+        <>
+          <div className="card-title" style={{ marginTop: 12 }}>Recent</div>
+          {history.map((h, i) => (
+            <div className={"schedule-row schedule-" + h.status} key={h.jobId + ":" + i}>
+              <div className="meta">
+                <div className="name">{h.label || "Scheduled recording"}</div>
+                <div className="sub">
+                  {[
+                    STATUS_LABELS[h.status] || h.status,
+                    formatWhen(h.startedAt),
+                    h.stopReason ? `stopped by ${STOP_REASONS[h.stopReason] || h.stopReason}` : "",
+                    h.error
+                  ].filter(Boolean).join(" • ")}
+                </div>
+              </div>
+            </div>
+          ))}
+        </>
+      ) : null}
+    </Modal>
+  );
+}
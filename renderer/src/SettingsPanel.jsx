@@ -0,0 +1,135 @@
+// renderer/src/SettingsPanel.jsx
+import React, { useState } from "react";
+import Modal from "./Modal";
+
+const SHORTCUT_LABELS = { start: "Start", stop: "Stop", pause: "Pause / resume", cancel: "Cancel", annotate: "Draw on screen", marker: "Add marker" };
+
+/*
+  Recording settings editor. Validation happens in the main process (schema) — this
+  only collects a draft and hands it to onSave.
+  Props:
+    - open
+    - settings: current settings object
+    - shortcutStatus: { registered, conflicts } from main's global shortcut registration
+    - onSave(patch): persist the edited fields
+    - onFolderChanged(settings): main saved a new recordings folder (it is never part of the patch)
+    - onReset(): restore defaults
+    - onClose
+*/
+export default function SettingsPanel({ open, settings, shortcutStatus = { conflicts: [] }, onSave, onFolderChanged, onReset, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [wasOpen, setWasOpen] = useState(open);
+
+  // start from the saved values every time the panel opens (a folder change while open keeps the draft)
+  if (open !== wasOpen) {
+    setWasOpen(open);
+    if (open) setDraft(settings);
+  }
+
+  const set = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+
+  // the folder is chosen in main's own dialog and saved right away
+  const changeFolder = async (choose) => {
+    if (!window.electronAPI || !window.electronAPI.chooseOutputFolder) return;
+    try {
+      const res = choose ? await window.electronAPI.chooseOutputFolder() : await window.electronAPI.clearOutputFolder();
+      if (!res || !res.success) { alert("Could not change the folder: " + (res && res.error)); return; }
+      if (!res.settings) return;
+      set("outputFolder", res.settings.outputFolder);
+      onFolderChanged(res.settings);
+    } catch (e) {
+      console.warn("changeFolder failed", e);
+    }
+  };
+
+  const save = () => onSave({
+    codec: draft.codec,
+    frameRate: Number(draft.frameRate),
+    countdownSeconds: Number(draft.countdownSeconds),
+    filenameTemplate: draft.filenameTemplate.trim(),
+    segmentMinutes: Number(draft.segmentMinutes) || 0,
+    segmentMegabytes: Number(draft.segmentMegabytes) || 0,
+    shortcuts: Object.fromEntries(Object.keys(SHORTCUT_LABELS).map(k => [k, ((draft.shortcuts || {})[k] || "").trim()]))
+  });
+
+  return (
+    <Modal
+      open={open}
+      title="Settings"
+      onClose={onClose}
+      footer={
+        <>
+          <button className="mini" style={{ marginRight: "auto" }} onClick={onReset}>Reset to defaults</button>
+          <button className="secondary" onClick={onClose}>Cancel</button>
+          <button className="primary" onClick={save}>Save</button>
+        </>
+      }
+    >
+      <div className="row">
+        <label>Folder</label>
+        <div className="settings-folder" title={draft.outputFolder || "System Videos folder"}>{draft.outputFolder || "System Videos folder"}</div>
+        <button className="mini" onClick={() => changeFolder(true)}>Choose…</button>
+        {draft.outputFolder ? <button className="mini" onClick={() => changeFolder(false)}>Use Videos</button> : null}
+      </div>
+
+      <div className="row">
+        <label>Codec</label>
+        <select value={draft.codec} onChange={e => set("codec", e.target.value)}>
+          <option value="vp8">VP8 (faster, larger files)</option>
+          <option value="vp9">VP9 (smaller files, more CPU)</option>
+        </select>
+      </div>
+
+      <div className="row">
+        <label>Frame rate</label>
+        <input type="number" min={5} max={60} step={1} value={draft.frameRate} onChange={e => set("frameRate", e.target.value)} />
+        <span className="small-note">fps (5–60)</span>
+      </div>
+
+      <div className="row">
+        <label>Countdown</label>
+        <input type="number" min={0} max={10} step={1} value={draft.countdownSeconds} onChange={e => set("countdownSeconds", e.target.value)} />
+        <span className="small-note">seconds (0 starts immediately)</span>
+      </div>
+
+      <div className="row">
+        <label>File name</label>
+        <input type="text" className="settings-template" value={draft.filenameTemplate} onChange={e => set("filenameTemplate", e.target.value)} />
+      </div>
+      <div className="small-note">
+        Tokens: <kbd>{"{date}"}</kbd> <kbd>{"{source}"}</kbd> <kbd>{"{mode}"}</kbd> <kbd>{"{counter}"}</kbd> — <code>.webm</code> is added automatically.
+      </div>
+
+      <div className="card-title" style={{ marginTop: 16 }}>Segments</div>
+      <div className="row">
+        <label>New file every</label>
+        <input type="number" min={0} max={720} step={1} value={draft.segmentMinutes} onChange={e => set("segmentMinutes", e.target.value)} />
+        <span className="small-note">minutes</span>
+        <input type="number" min={0} max={102400} step={1} value={draft.segmentMegabytes} onChange={e => set("segmentMegabytes", e.target.value)} />
+        <span className="small-note">MB</span>
+      </div>
+      <div className="small-note">
+        Long recordings are split into <code>…_part001.webm</code>, <code>…_part002.webm</code>, … whichever limit is reached first. 0 turns a limit off.
+      </div>
+
+      <div className="card-title" style={{ marginTop: 16 }}>Global shortcuts</div>
+      {Object.entries(SHORTCUT_LABELS).map(([action, label]) => {
+        const conflict = (shortcutStatus.conflicts || []).find(c => c.action === action);
+        return (
+          <div className="row" key={action}>
+            <label>{label}</label>
+            <input
+              type="text"
+              className="settings-template"
+              placeholder="Disabled"
+              value={(draft.shortcuts || {})[action] || ""}
+              onChange={e => set("shortcuts", { ...(draft.shortcuts || {}), [action]: e.target.value })}
+            />
+            {conflict ? <span className="settings-conflict" title={conflict.reason}>⚠ {conflict.reason}</span> : null}
+          </div>
+        );
+      })}
+      <div className="small-note">Electron accelerators, e.g. <kbd>CommandOrControl+Shift+R</kbd>. Leave empty to disable.</div>
+    </Modal>
+  );
+}
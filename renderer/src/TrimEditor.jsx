@@ -0,0 +1,233 @@
+// renderer/src/TrimEditor.jsx
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import Modal from "./Modal";
+
+// frame step for the ◀ ▶ buttons / arrow keys (recordings default to 30 fps)
+const FRAME_MS = 1000 / 30;
+// keep in sync with KEYFRAME_TOLERANCE_MS in main
+const KEYFRAME_TOLERANCE_MS = 1;
+
+function formatTime(ms) {
+  const total = Math.max(0, ms) / 1000;
+  const m = Math.floor(total / 60);
+  const s = (total - m * 60).toFixed(3).padStart(6, "0");
+  return `${m}:${s}`;
+}
+
+/*
+  Trim view: in/out handles on a timeline, frame-exact preview of whatever handle is moved.
+  Keys: I / O set in / out at the playhead, ← → step one frame, space plays the selection.
+  Props:
+    - recording: { name, path } or null (closed)
+    - onStart(startMs, endMs, mode): mode 'new' | 'replace'
+    - onClose
+*/
+export default function TrimEditor({ recording, onStart, onClose }) {
+  const videoRef = useRef(null);
+  const timelineRef = useRef(null);
+  const dragRef = useRef(null);
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState(null);
+  const [inMs, setInMs] = useState(0);
+  const [outMs, setOutMs] = useState(0);
+  const [currentMs, setCurrentMs] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [mode, setMode] = useState("new");
+
+  useEffect(() => {
+    setInfo(null);
+    setError(null);
+    setMode("new");
+    if (!recording || !window.electronAPI || !window.electronAPI.getTrimInfo) return;
+    let cancelled = false;
+    window.electronAPI.getTrimInfo(recording.path)
+      .then(res => {
+        if (cancelled) return;
+        if (!res || !res.success) {
+          setError((res && res.error) || "Could not read the recording");
+          return;
+        }
+        setInfo(res);
+        setInMs(0);
+        setOutMs(res.durationMs);
+        setCurrentMs(0);
+      })
+      .catch(e => setError(e.message || String(e)));
+    return () => { cancelled = true; };
+  }, [recording]);
+
+  const duration = info ? info.durationMs : 0;
+  const clamp = useCallback(ms => Math.max(0, Math.min(duration, ms)), [duration]);
+
+  const seek = useCallback((ms) => {
+    const v = videoRef.current;
+    const t = clamp(ms);
+    setCurrentMs(t);
+    if (v) v.currentTime = t / 1000;
+  }, [clamp]);
+
+  const pause = () => {
+    const v = videoRef.current;
+    if (v && !v.paused) v.pause();
+  };
+
+  const playSelection = () => {
+    const v = videoRef.current;
+    if (!v) return;
+    if (!v.paused) { v.pause(); return; }
+    if (currentMs < inMs || currentMs >= outMs - FRAME_MS) seek(inMs);
+    v.play().catch(err => console.warn("trim preview play failed", err));
+  };
+
+  const setIn = useCallback((ms) => {
+    setInMs(Math.min(clamp(ms), outMs - FRAME_MS));
+  }, [clamp, outMs]);
+
+  const setOut = useCallback((ms) => {
+    setOutMs(Math.max(clamp(ms), inMs + FRAME_MS));
+  }, [clamp, inMs]);
+
+  // nearest keyframe at or before the in point: the cut can then be stream-copied
+  const snapInToKeyframe = () => {
+    const ks = (info.keyframesMs || []).filter(k => k <= inMs + KEYFRAME_TOLERANCE_MS);
+    const k = ks.length ? ks[ks.length - 1] : 0;
+    setInMs(k);
+    seek(k);
+  };
+
+  // follow playback precisely; stop at the out point
+  const onTimeUpdate = () => {
+    const v = videoRef.current;
+    if (!v || dragRef.current) return;
+    const t = v.currentTime * 1000;
+    setCurrentMs(t);
+    if (!v.paused && t >= outMs) {
+      v.pause();
+      seek(outMs);
+    }
+  };
+
+  const msFromPointer = (e) => {
+    const box = timelineRef.current.getBoundingClientRect();
+    return clamp(((e.clientX - box.left) / box.width) * duration);
+  };
+
+  const onPointerDown = (e, target) => {
+    if (!info) return;
+    e.preventDefault();
+    e.stopPropagation();
+    pause();
+    dragRef.current = target;
+    timelineRef.current.setPointerCapture(e.pointerId);
+    onPointerMove(e);
+  };
+
+  const onPointerMove = (e) => {
+    const target = dragRef.current;
+    if (!target) return;
+    const ms = msFromPointer(e);
+    if (target === "in") {
+      const v = Math.min(ms, outMs - FRAME_MS);
+      setInMs(v);
+      seek(v);
+    } else if (target === "out") {
+      const v = Math.max(ms, inMs + FRAME_MS);
+      setOutMs(v);
+      seek(v);
+    } else {
+      seek(ms);
+    }
+  };
+
+  const onPointerUp = (e) => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    try { timelineRef.current.releasePointerCapture(e.pointerId); } catch (err) { console.warn("releasePointerCapture failed", err); }
+  };
+
+  useEffect(() => {
+    if (!recording || !info) return;
+    const onKey = (e) => {
+      if (e.target && (e.target.tagName === "INPUT" || e.target.tagName === "SELECT")) return;
+      if (e.key === "i" || e.key === "I") setIn(currentMs);
+      else if (e.key === "o" || e.key === "O") setOut(currentMs);
+      else if (e.key === "ArrowLeft") { pause(); seek(currentMs - FRAME_MS); }
+      else if (e.key === "ArrowRight") { pause(); seek(currentMs + FRAME_MS); }
+      else if (e.key === " ") playSelection();
+      else return;
+      e.preventDefault();
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  });
+
+  const pct = ms => (duration ? (ms / duration) * 100 : 0);
+  const onKeyframe = info && (!info.hasVideo || inMs === 0 || (info.keyframesMs || []).some(k => Math.abs(k - inMs) <= KEYFRAME_TOLERANCE_MS));
+  const fileUrl = recording ? "file:///" + recording.path.replace(/\\/g, "/") : null;
+
+  return (
+    <Modal
+      open={!!recording}
+      title={recording ? `Trim ${recording.name}` : "Trim"}
+      onClose={onClose}
+      className="trim-modal"
+      closeOnBackdrop={false}
+      footer={
+        <>
+          <label className="trim-mode"><input type="radio" checked={mode === "new"} onChange={() => setMode("new")} /> Save as new file</label>
+          <label className="trim-mode"><input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} /> Replace original</label>
+          <button className="secondary" style={{ marginLeft: "auto" }} onClick={onClose}>Cancel</button>
+          <button className="primary" disabled={!info} onClick={() => { pause(); onStart(Math.round(inMs), Math.round(outMs), mode); }}>Trim</button>
+        </>
+      }
+    >
+      {error ? <div className="settings-conflict">{error}</div> : null}
+      {recording && (
+        <video
+          ref={videoRef}
+          className="trim-video"
+          src={fileUrl}
+          preload="auto"
+          onTimeUpdate={onTimeUpdate}
+          onSeeked={onTimeUpdate}
+          onPlay={() => setPlaying(true)}
+          onPause={() => setPlaying(false)}
+        />
+      )}
+
+      <div
+        className="trim-timeline"
+        ref={timelineRef}
+        onPointerDown={e => onPointerDown(e, "playhead")}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        {info && (info.keyframesMs || []).map(k => <div key={k} className="trim-keyframe" style={{ left: `${pct(k)}%` }} />)}
+        <div className="trim-selection" style={{ left: `${pct(inMs)}%`, width: `${pct(outMs - inMs)}%` }} />
+        <div className="trim-handle in" style={{ left: `${pct(inMs)}%` }} onPointerDown={e => onPointerDown(e, "in")} title="In point" />
+        <div className="trim-handle out" style={{ left: `${pct(outMs)}%` }} onPointerDown={e => onPointerDown(e, "out")} title="Out point" />
+        <div className="trim-playhead" style={{ left: `${pct(currentMs)}%` }} />
+      </div>
+
+      <div className="row trim-controls">
+        <button className="mini" disabled={!info} onClick={() => { pause(); seek(currentMs - FRAME_MS); }} title="Previous frame (←)">◀</button>
+        <button className="mini" disabled={!info} onClick={playSelection} title="Play selection (space)">{playing ? "Pause" : "Play"}</button>
+        <button className="mini" disabled={!info} onClick={() => { pause(); seek(currentMs + FRAME_MS); }} title="Next frame (→)">▶</button>
+        <span className="trim-time">{formatTime(currentMs)}</span>
+        <button className="mini" disabled={!info} onClick={() => setIn(currentMs)} title="Set in point (I)">Set in</button>
+        <button className="mini" disabled={!info} onClick={() => setOut(currentMs)} title="Set out point (O)">Set out</button>
+      </div>
+
+      {info && (
+        <div className="small-note">
+          In {formatTime(inMs)} — Out {formatTime(outMs)} ({formatTime(outMs - inMs)})
+          <br />
+          {onKeyframe
+            ? "Starts on a keyframe: fast cut without re-encoding."
+            : <>Start is between keyframes: video will be re-encoded (slower). <button className="mini" onClick={snapInToKeyframe}>Snap in to keyframe</button></>}
+        </div>
+      )}
+    </Modal>
+  );
+}
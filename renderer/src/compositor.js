@@ -0,0 +1,174 @@
+// renderer/src/compositor.js
+// Canvas pipeline that draws the screen capture (optionally cropped to a region) with a
+// webcam picture-in-picture and the cursor effects on top.
+// The same drawFrame() is used for the recorded canvas and for the layout preview, so
+// what the user positions is exactly what ends up in the file.
+
+export const OVERLAY_DEFAULTS = {
+  corner: "bottom-right", // top-left | top-right | bottom-left | bottom-right
+  size: 0.22,             // overlay width as a fraction of the output width
+  shape: "circle",        // circle | rounded | rect
+  pos: null               // { x, y } normalized centre after drag-to-reposition; null = use corner
+};
+
+const MARGIN = 0.025;
+
+/* Overlay rectangle in output pixels. camAspect = camera width / height. */
+export function overlayRect(width, height, overlay, camAspect = 16 / 9) {
+  const o = { ...OVERLAY_DEFAULTS, ...overlay };
+  const w = Math.round(width * o.size);
+  const h = Math.round(o.shape === "circle" ? w : w / (camAspect || 16 / 9));
+  const m = Math.round(width * MARGIN);
+
+  let x, y;
+  if (o.pos) {
+    x = Math.round(o.pos.x * width - w / 2);
+    y = Math.round(o.pos.y * height - h / 2);
+  } else {
+    x = o.corner.endsWith("left") ? m : width - w - m;
+    y = o.corner.startsWith("top") ? m : height - h - m;
+  }
+  x = Math.max(0, Math.min(width - w, x));
+  y = Math.max(0, Math.min(height - h, y));
+  return { x, y, w, h };
+}
+
+function clipShape(ctx, r, shape) {
+  ctx.beginPath();
+  if (shape === "circle") {
+    ctx.arc(r.x + r.w / 2, r.y + r.h / 2, Math.min(r.w, r.h) / 2, 0, Math.PI * 2);
+  } else if (shape === "rounded" && ctx.roundRect) {
+    ctx.roundRect(r.x, r.y, r.w, r.h, Math.min(r.w, r.h) * 0.12);
+  } else {
+    ctx.rect(r.x, r.y, r.w, r.h);
+  }
+}
+
+// draw `source` (video/img/canvas) into rect r with object-fit: cover
+function drawCover(ctx, source, sw, sh, r) {
+  if (!sw || !sh) return;
+  const scale = Math.max(r.w / sw, r.h / sh);
+  const cw = r.w / scale;
+  const ch = r.h / scale;
+  ctx.drawImage(source, (sw - cw) / 2, (sh - ch) / 2, cw, ch, r.x, r.y, r.w, r.h);
+}
+
+function sourceSize(el) {
+  if (!el) return [0, 0];
+  if (el.videoWidth !== undefined) return [el.videoWidth, el.videoHeight];
+  return [el.naturalWidth || el.width, el.naturalHeight || el.height];
+}
+
+/* Output size for a source of vw x vh cropped to `crop` (normalized rect); even numbers for the encoder. */
+export function outputSize(vw, vh, crop = null) {
+  const even = v => Math.max(2, Math.round(v / 2) * 2);
+  if (!crop) return { width: even(vw), height: even(vh) };
+  return { width: even(crop.w * vw), height: even(crop.h * vh) };
+}
+
+/*
+  Draw one composited frame: background (cropped to `crop` if given) fills the canvas,
+  camera goes in the overlay rect.
+*/
+export function drawFrame(ctx, background, camera, overlay, crop = null) {
+  const { width, height } = ctx.canvas;
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, width, height);
+  const [bw, bh] = sourceSize(background);
+  if (bw && bh) {
+    if (crop) ctx.drawImage(background, crop.x * bw, crop.y * bh, crop.w * bw, crop.h * bh, 0, 0, width, height);
+    else ctx.drawImage(background, 0, 0, width, height);
+  }
+
+  const [cw, ch] = sourceSize(camera);
+  if (!cw || !ch) return;
+  const o = { ...OVERLAY_DEFAULTS, ...overlay };
+  const r = overlayRect(width, height, o, cw / ch);
+
+  ctx.save();
+  clipShape(ctx, r, o.shape);
+  ctx.clip();
+  drawCover(ctx, camera, cw, ch, r);
+  ctx.restore();
+
+  ctx.save();
+  clipShape(ctx, r, o.shape);
+  ctx.lineWidth = Math.max(2, Math.round(width / 480));
+  ctx.strokeStyle = "rgba(255,255,255,0.85)";
+  ctx.stroke();
+  ctx.restore();
+}
+
+/* Map a pointer event on an element showing content of size cw x ch (object-fit: contain) to content pixels. */
+export function pointerToContent(e, el, cw, ch) {
+  const box = el.getBoundingClientRect();
+  const scale = Math.min(box.width / cw, box.height / ch);
+  const ox = (box.width - cw * scale) / 2;
+  const oy = (box.height - ch * scale) / 2;
+  return { x: (e.clientX - box.left - ox) / scale, y: (e.clientY - box.top - oy) / scale };
+}
+
+function hiddenVideo(stream) {
+  const v = document.createElement("video");
+  v.muted = true;
+  v.playsInline = true;
+  v.srcObject = stream;
+  v.play().catch(err => console.warn("compositor: video play failed", err));
+  return v;
+}
+
+/*
+  Composite screen (+ optional camera) into one canvas video track.
+  `crop` is a normalized rect; the crop keeps the source's full resolution.
+  getOverlay() is read every frame so position/size/shape can change live.
+  effects (cursorEffects.js) are drawn over each finished frame.
+  Returns { track, stop }.
+*/
+export function createCompositor({ screenStream, cameraStream = null, crop = null, frameRate = 30, getOverlay = () => OVERLAY_DEFAULTS, effects = null }) {
+  const screenTrack = screenStream.getVideoTracks()[0];
+  const settings = (screenTrack && screenTrack.getSettings && screenTrack.getSettings()) || {};
+  const canvas = document.createElement("canvas");
+  const initial = outputSize(settings.width || 1280, settings.height || 720, crop);
+  canvas.width = initial.width;
+  canvas.height = initial.height;
+  const ctx = canvas.getContext("2d");
+
+  const screenVideo = hiddenVideo(new MediaStream([screenTrack]));
+  const cameraVideo = cameraStream ? hiddenVideo(cameraStream) : null;
+
+  let timer = null;
+  let stopped = false;
+  const interval = 1000 / frameRate;
+
+  // timer-driven (not requestAnimationFrame) so frames keep flowing while the window is hidden
+  const tick = () => {
+    if (stopped) return;
+    const started = performance.now();
+    // follow source resizes (e.g. a captured window changing size)
+    if (screenVideo.videoWidth) {
+      const size = outputSize(screenVideo.videoWidth, screenVideo.videoHeight, crop);
+      if (size.width !== canvas.width || size.height !== canvas.height) {
+        canvas.width = size.width;
+        canvas.height = size.height;
+      }
+    }
+    drawFrame(ctx, screenVideo, cameraVideo, getOverlay(), crop);
+    if (effects) effects.draw(ctx, crop);
+    timer = setTimeout(tick, Math.max(0, interval - (performance.now() - started)));
+  };
+  tick();
+
+  const track = canvas.captureStream(frameRate).getVideoTracks()[0];
+
+  return {
+    track,
+    canvas,
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      try { track.stop(); } catch (e) { console.warn("compositor: track stop failed", e); }
+      screenVideo.srcObject = null;
+      if (cameraVideo) cameraVideo.srcObject = null;
+    }
+  };
+}
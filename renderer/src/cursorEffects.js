@@ -0,0 +1,133 @@
+// renderer/src/cursorEffects.js
+// Cursor halo, click ripples and shortcut-key badges, drawn by the compositor on top of each frame.
+// Input comes from main (input-tracker.js) with positions normalized to the captured display;
+// the style is read every frame, so changes in the panel show up in a running recording.
+
+export const CURSOR_EFFECT_DEFAULTS = {
+  halo: false,
+  haloColor: "#ffd400",
+  haloSize: 36,        // radius in pixels of a 1080p frame
+  haloOpacity: 0.35,
+  clicks: false,
+  leftColor: "#3d9bff",
+  rightColor: "#ff4d6d",
+  keys: false,
+  keyPosition: "bottom-center" // bottom-center | bottom-left | bottom-right | top-center
+};
+
+const RIPPLE_MS = 600;
+const BADGE_MS = 1600;
+const BADGE_FADE_MS = 300;
+const MAX_BADGES = 3;
+
+export function cursorEffectsEnabled(effects) {
+  const e = { ...CURSOR_EFFECT_DEFAULTS, ...effects };
+  return !!(e.halo || e.clicks || e.keys);
+}
+
+function rgba(hex, alpha) {
+  const n = parseInt(String(hex).slice(1), 16) || 0;
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+// display position (0..1) -> canvas pixels through the crop; null when outside the recorded area
+function toCanvas(p, crop, width, height) {
+  const c = crop || { x: 0, y: 0, w: 1, h: 1 };
+  const x = (p.x - c.x) / c.w;
+  const y = (p.y - c.y) / c.h;
+  if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+  return { x: x * width, y: y * height };
+}
+
+function drawHalo(ctx, at, radius, color, opacity) {
+  const g = ctx.createRadialGradient(at.x, at.y, 0, at.x, at.y, radius);
+  g.addColorStop(0, rgba(color, opacity));
+  g.addColorStop(0.7, rgba(color, opacity * 0.8));
+  g.addColorStop(1, rgba(color, 0));
+  ctx.fillStyle = g;
+  ctx.beginPath();
+  ctx.arc(at.x, at.y, radius, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+function drawRipple(ctx, at, progress, radius, color, lineWidth) {
+  ctx.strokeStyle = rgba(color, 1 - progress);
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  ctx.arc(at.x, at.y, radius * (0.4 + 1.2 * progress), 0, Math.PI * 2);
+  ctx.stroke();
+}
+
+function drawBadges(ctx, badges, now, position, scale) {
+  const { width, height } = ctx.canvas;
+  const fontSize = Math.round(30 * scale);
+  const padX = Math.round(18 * scale);
+  const boxH = Math.round(fontSize * 1.7);
+  const gap = Math.round(10 * scale);
+  const margin = Math.round(40 * scale);
+  ctx.font = `600 ${fontSize}px system-ui, sans-serif`;
+  ctx.textBaseline = "middle";
+
+  // newest badge sits nearest the edge, older ones stack away from it
+  [...badges].reverse().forEach((b, i) => {
+    const left = BADGE_MS - (now - b.at);
+    ctx.globalAlpha = Math.min(1, left / BADGE_FADE_MS);
+    const boxW = ctx.measureText(b.label).width + padX * 2;
+    const x = position.endsWith("left") ? margin : position.endsWith("right") ? width - margin - boxW : (width - boxW) / 2;
+    const y = position.startsWith("top") ? margin + i * (boxH + gap) : height - margin - boxH - i * (boxH + gap);
+    ctx.fillStyle = "rgba(15,18,24,0.78)";
+    ctx.beginPath();
+    if (ctx.roundRect) ctx.roundRect(x, y, boxW, boxH, boxH * 0.25);
+    else ctx.rect(x, y, boxW, boxH);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.fillText(b.label, x + padX, y + boxH / 2);
+  });
+  ctx.globalAlpha = 1;
+}
+
+/*
+  Effect state for one recording. push(event) takes the events main sends
+  ({ type: 'move' | 'click' | 'key', ... }); draw(ctx, crop) paints the current state onto a frame.
+  getStyle() returns settings.cursorEffects.
+*/
+export function createCursorEffects(getStyle = () => CURSOR_EFFECT_DEFAULTS) {
+  let pointer = null;
+  let ripples = [];
+  let badges = [];
+
+  return {
+    push(ev) {
+      if (!ev) return;
+      const now = performance.now();
+      if (ev.type === "move" || ev.type === "click") pointer = { x: ev.x, y: ev.y };
+      if (ev.type === "click") ripples.push({ x: ev.x, y: ev.y, button: ev.button, at: now });
+      if (ev.type === "key") {
+        // a repeated shortcut restarts its badge instead of stacking copies
+        badges = [...badges.filter(b => b.label !== ev.label), { label: ev.label, at: now }].slice(-MAX_BADGES);
+      }
+    },
+
+    draw(ctx, crop = null) {
+      const s = { ...CURSOR_EFFECT_DEFAULTS, ...getStyle() };
+      const { width, height } = ctx.canvas;
+      const scale = height / 1080;
+      const radius = s.haloSize * scale;
+      const now = performance.now();
+      ripples = ripples.filter(r => now - r.at < RIPPLE_MS);
+      badges = badges.filter(b => now - b.at < BADGE_MS);
+
+      ctx.save();
+      const at = pointer && toCanvas(pointer, crop, width, height);
+      if (s.halo && at) drawHalo(ctx, at, radius, s.haloColor, s.haloOpacity);
+      if (s.clicks) {
+        ripples.forEach(r => {
+          const p = toCanvas(r, crop, width, height);
+          if (p) drawRipple(ctx, p, (now - r.at) / RIPPLE_MS, radius, r.button === "right" ? s.rightColor : s.leftColor, Math.max(2, 4 * scale));
+        });
+      }
+      if (s.keys && badges.length) drawBadges(ctx, badges, now, s.keyPosition, scale);
+      ctx.restore();
+    }
+  };
+}
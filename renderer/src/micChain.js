@@ -0,0 +1,109 @@
+// renderer/src/micChain.js
+// Optional microphone processing: browser noise suppression / echo cancellation (capture
+// constraints) and a Web Audio chain of high-pass -> noise gate -> compressor -> limiter.
+// Every stage can be toggled while audio is flowing.
+// The worklet is emitted as a file of its own (vite.config.js), as the CSP allows no data: scripts.
+import gateWorkletUrl from "./noiseGateWorklet.js?url";
+
+export const MIC_PROCESSING_DEFAULTS = {
+  noiseSuppression: true,
+  echoCancellation: true,
+  highPass: false,
+  gate: false,
+  gateThresholdDb: -50,
+  compressor: false
+};
+
+const HIGH_PASS_HZ = 80;
+
+// extra getUserMedia audio constraints for the mic
+export function micConstraints(processing) {
+  const p = { ...MIC_PROCESSING_DEFAULTS, ...processing };
+  return { noiseSuppression: !!p.noiseSuppression, echoCancellation: !!p.echoCancellation };
+}
+
+// the worklet module is added once per AudioContext
+const gateModules = new WeakMap();
+
+function loadGateModule(ctx) {
+  if (!ctx.audioWorklet) return Promise.reject(new Error("AudioWorklet not supported"));
+  if (!gateModules.has(ctx)) {
+    const loading = ctx.audioWorklet.addModule(gateWorkletUrl);
+    // a failed load may be retried later
+    loading.catch(() => gateModules.delete(ctx));
+    gateModules.set(ctx, loading);
+  }
+  return gateModules.get(ctx);
+}
+
+/*
+  createMicChain(ctx, processing) -> Promise<{
+    input, output,               // AudioNodes to splice between the mic source and the mixer
+    update(processing),          // re-route / retune live
+    disconnect()
+  }>
+  If the gate worklet can't be loaded the chain works without the gate stage.
+*/
+export async function createMicChain(ctx, processing) {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+
+  const highPass = ctx.createBiquadFilter();
+  highPass.type = "highpass";
+  highPass.frequency.value = HIGH_PASS_HZ;
+  highPass.Q.value = 0.707;
+
+  let gate = null;
+  try {
+    await loadGateModule(ctx);
+    gate = new AudioWorkletNode(ctx, "noise-gate");
+  } catch (err) {
+    console.warn("noise gate unavailable", err);
+  }
+
+  // voice-friendly compression followed by a brick-wall-ish limiter
+  const compressor = ctx.createDynamicsCompressor();
+  compressor.threshold.value = -24;
+  compressor.knee.value = 6;
+  compressor.ratio.value = 4;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.2;
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = -1;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.05;
+
+  const nodes = [input, highPass, gate, compressor, limiter].filter(Boolean);
+
+  const update = (next) => {
+    const p = { ...MIC_PROCESSING_DEFAULTS, ...next };
+    nodes.forEach(n => n.disconnect());
+    const stages = [];
+    if (p.highPass) stages.push(highPass);
+    if (p.gate && gate) {
+      gate.parameters.get("threshold").setValueAtTime(p.gateThresholdDb, ctx.currentTime);
+      stages.push(gate);
+    }
+    if (p.compressor) stages.push(compressor, limiter);
+    let prev = input;
+    for (const node of stages) {
+      prev.connect(node);
+      prev = node;
+    }
+    prev.connect(output);
+  };
+  update(processing);
+
+  return {
+    input,
+    output,
+    gateAvailable: !!gate,
+    update,
+    disconnect() {
+      nodes.forEach(n => n.disconnect());
+      output.disconnect();
+    }
+  };
+}
@@ -0,0 +1,125 @@
+// renderer/src/mixer.js
+// Web Audio mixer for the recorded audio: every source gets its own gain (mute = gain 0)
+// and a post-fader analyser for metering; all channels sum into one MediaStream track.
+
+export const GAIN_MIN_DB = -30;
+export const GAIN_MAX_DB = 12;
+// a sample at or above this (linear, 1 = 0 dBFS) counts as clipping
+export const CLIP_LEVEL = 0.99;
+
+// key under which a source's gain is remembered (settings.audioGains)
+export function gainKey(kind, deviceId) {
+  return kind === "mic" ? `mic:${deviceId || "default"}` : kind;
+}
+
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+export function gainToDb(gain) {
+  return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+}
+
+function createMeter(ctx) {
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  const buf = new Float32Array(analyser.fftSize);
+  return {
+    analyser,
+    // { rms, peak } of the most recent block, linear
+    read() {
+      analyser.getFloatTimeDomainData(buf);
+      let sum = 0;
+      let peak = 0;
+      for (let i = 0; i < buf.length; i++) {
+        const v = Math.abs(buf[i]);
+        sum += v * v;
+        if (v > peak) peak = v;
+      }
+      return { rms: Math.sqrt(sum / buf.length), peak };
+    }
+  };
+}
+
+/*
+  createAudioMixer(ctx) -> {
+    stream,                       // mixed output (one audio track)
+    addSource(id, stream, { gain, muted, chain }),   // chain: optional { input, output } spliced in before the gain
+    setGain(id, gain), setMuted(id, muted),
+    levels(),                     // { [id]: { rms, peak }, master: { rms, peak } }
+    stop()
+  }
+*/
+export function createAudioMixer(ctx) {
+  const destination = ctx.createMediaStreamDestination();
+  const master = ctx.createGain();
+  const masterMeter = createMeter(ctx);
+  master.connect(destination);
+  master.connect(masterMeter.analyser);
+
+  // id -> { source, gainNode, meter, gain, muted }
+  const channels = new Map();
+
+  const apply = (ch) => {
+    // short ramp so live changes don't click
+    ch.gainNode.gain.setTargetAtTime(ch.muted ? 0 : ch.gain, ctx.currentTime, 0.015);
+  };
+
+  return {
+    stream: destination.stream,
+
+    addSource(id, stream, { gain = 1, muted = false, chain = null } = {}) {
+      const source = ctx.createMediaStreamSource(stream);
+      const gainNode = ctx.createGain();
+      gainNode.gain.value = muted ? 0 : gain;
+      const meter = createMeter(ctx);
+      if (chain) {
+        source.connect(chain.input);
+        chain.output.connect(gainNode);
+      } else {
+        source.connect(gainNode);
+      }
+      gainNode.connect(master);
+      gainNode.connect(meter.analyser);
+      channels.set(id, { source, gainNode, meter, gain, muted });
+    },
+
+    setGain(id, gain) {
+      const ch = channels.get(id);
+      if (!ch) return;
+      ch.gain = gain;
+      apply(ch);
+    },
+
+    setMuted(id, muted) {
+      const ch = channels.get(id);
+      if (!ch) return;
+      ch.muted = muted;
+      apply(ch);
+    },
+
+    levels() {
+      const out = { master: masterMeter.read() };
+      for (const [id, ch] of channels) out[id] = ch.meter.read();
+      return out;
+    },
+
+    stop() {
+      for (const ch of channels.values()) {
+        try {
+          ch.source.disconnect();
+          ch.gainNode.disconnect();
+        } catch (e) {
+          console.warn("audio mixer: disconnect failed", e);
+        }
+      }
+      channels.clear();
+      try {
+        master.disconnect();
+      } catch (e) {
+        console.warn("audio mixer: disconnect failed", e);
+      }
+      destination.stream.getTracks().forEach(t => t.stop());
+    }
+  };
+}
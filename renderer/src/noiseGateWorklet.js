@@ -0,0 +1,60 @@
+// renderer/src/noiseGateWorklet.js
+// AudioWorklet noise gate: opens when the signal envelope rises above `threshold` (dBFS),
+// stays open for a short hold, then fades out. Loaded by micChain.js.
+
+const ATTACK_S = 0.003;
+const RELEASE_S = 0.12;
+const HOLD_S = 0.15;
+// envelope follower decay
+const ENVELOPE_S = 0.01;
+// the gate closes this many dB below the opening threshold (avoids chatter)
+const HYSTERESIS_DB = 4;
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: "threshold", defaultValue: -50, minValue: -100, maxValue: 0, automationRate: "k-rate" }];
+  }
+
+  constructor() {
+    super();
+    this.envelope = 0;
+    this.gain = 0;
+    this.open = false;
+    this.holdLeft = 0;
+    this.attack = 1 - Math.exp(-1 / (ATTACK_S * sampleRate));
+    this.release = 1 - Math.exp(-1 / (RELEASE_S * sampleRate));
+    this.decay = Math.exp(-1 / (ENVELOPE_S * sampleRate));
+    this.holdSamples = Math.round(HOLD_S * sampleRate);
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || !input.length) return true;
+
+    const openLevel = Math.pow(10, parameters.threshold[0] / 20);
+    const closeLevel = Math.pow(10, (parameters.threshold[0] - HYSTERESIS_DB) / 20);
+    const frames = input[0].length;
+
+    for (let i = 0; i < frames; i++) {
+      let level = 0;
+      for (let c = 0; c < input.length; c++) level = Math.max(level, Math.abs(input[c][i]));
+      this.envelope = Math.max(level, this.envelope * this.decay);
+
+      if (this.envelope >= openLevel) {
+        this.open = true;
+        this.holdLeft = this.holdSamples;
+      } else if (this.open && this.envelope < closeLevel) {
+        if (this.holdLeft > 0) this.holdLeft--;
+        else this.open = false;
+      }
+
+      const target = this.open ? 1 : 0;
+      this.gain += (target - this.gain) * (target > this.gain ? this.attack : this.release);
+      for (let c = 0; c < output.length; c++) output[c][i] = (input[c] || input[0])[i] * this.gain;
+    }
+    return true;
+  }
+}
+
+registerProcessor("noise-gate", NoiseGateProcessor);
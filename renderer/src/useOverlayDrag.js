@@ -0,0 +1,41 @@
+// renderer/src/useOverlayDrag.js
+import { useRef } from "react";
+import { overlayRect, pointerToContent } from "./compositor";
+
+const clamp01 = v => Math.max(0, Math.min(1, v));
+
+/*
+  Pointer handlers for dragging the camera overlay around a preview surface.
+  getContentSize() returns { w, h } of the content shown by the element (object-fit: contain),
+  or null when there is nothing to drag yet.
+*/
+export default function useOverlayDrag({ getContentSize, overlay, camAspect, onChange }) {
+  const dragRef = useRef(null);
+
+  const onPointerDown = (e) => {
+    const size = getContentSize();
+    if (!size || !size.w || !size.h) return;
+    const p = pointerToContent(e, e.currentTarget, size.w, size.h);
+    const r = overlayRect(size.w, size.h, overlay, camAspect);
+    if (p.x < r.x || p.x > r.x + r.w || p.y < r.y || p.y > r.y + r.h) return;
+    // remember where inside the overlay it was grabbed so it doesn't jump to the pointer
+    dragRef.current = { dx: p.x - (r.x + r.w / 2), dy: p.y - (r.y + r.h / 2), size };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  };
+
+  const onPointerMove = (e) => {
+    const d = dragRef.current;
+    if (!d) return;
+    const p = pointerToContent(e, e.currentTarget, d.size.w, d.size.h);
+    onChange({ ...overlay, pos: { x: clamp01((p.x - d.dx) / d.size.w), y: clamp01((p.y - d.dy) / d.size.h) } });
+  };
+
+  const onPointerUp = (e) => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    try { e.currentTarget.releasePointerCapture(e.pointerId); } catch (err) { console.warn("releasePointerCapture failed", err); }
+  };
+
+  return { onPointerDown, onPointerMove, onPointerUp, onPointerCancel: onPointerUp };
+}
@@ -1,7 +1,38 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Content-Security-Policy for the packaged renderer (loaded from file://). Media and thumbnails
+// come from file:, data: and blob: URLs; nothing is fetched from the network by the page itself.
+// The dev server gets a looser header from main (inline refresh preamble, HMR websocket).
+const CSP = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: blob: file:",
+  "media-src 'self' blob: file: mediastream:",
+  "font-src 'self' data:",
+  "connect-src 'self' blob: data:",
+  "worker-src 'self' blob:",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'none'"
+].join('; ')
+
+function contentSecurityPolicy() {
+  return {
+    name: 'content-security-policy',
+    apply: 'build',
+    transformIndexHtml() {
+      return [{ tag: 'meta', attrs: { 'http-equiv': 'Content-Security-Policy', content: CSP }, injectTo: 'head-prepend' }]
+    }
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), contentSecurityPolicy()],
+  build: {
+    // script assets (the noise gate worklet) must stay files: script-src has no data:
+    assetsInlineLimit: (filePath) => (filePath.endsWith('.js') ? false : undefined),
+  },
 })